@@ -311,6 +311,13 @@ export class CameraController {
         this.camera.lookAt(this.currentLookAt)
     }
 
+    /**
+     * Horizontal heading used for movement (fpYaw in first person, theta in third person)
+     */
+    getYaw() {
+        return this.isFirstPerson ? this.fpYaw : this.theta
+    }
+
     getForwardDirection() {
         if (this.isFirstPerson) {
             return new THREE.Vector3(Math.sin(this.fpYaw), 0, Math.cos(this.fpYaw)).normalize()
@@ -0,0 +1,218 @@
+import * as THREE from "three"
+import RAPIER from "@dimforge/rapier3d-compat"
+
+/**
+ * Movimiento del personaje compartido entre cliente y servidor.
+ * Mismo capsule y mismas reglas de salto/gravedad/escaleras que CharacterRapier,
+ * para que la prediccion local coincida con la simulacion autoritativa.
+ *
+ * Un "command" es el input de un paso:
+ * { forward, backward, left, right, jump, yaw }
+ * donde yaw es el angulo horizontal de la camara (theta / fpYaw).
+ */
+export class CharacterMotor {
+    constructor(world, position = { x: 0, y: 5, z: 0 }, options = {}) {
+        this.world = world
+
+        // Settings
+        this.speed = 10
+        this.verticalVelocity = 0
+        this.isClimbing = false
+        this.ladders = []
+
+        // Momentum System
+        this.momentum = new THREE.Vector3(0, 0, 0)
+        this.momentumDamping = 2.0
+
+        // immediate = true aplica la traslacion en el acto (servidor, sin world.step por frame)
+        // immediate = false usa setNextKinematicTranslation (cliente, empuja cuerpos dinamicos)
+        this.immediate = options.immediate || false
+
+        this.rigidBody = null
+        this.collider = null
+        this.characterController = null
+
+        this.initPhysics(position)
+    }
+
+    initPhysics(position) {
+        // KinematicPositionBased: controlamos la posicion via el character controller
+        let bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased().setTranslation(position.x, position.y, position.z)
+        this.rigidBody = this.world.createRigidBody(bodyDesc)
+
+        // Capsule: Radius 0.4, HalfHeight 0.5 -> Total Height 1.8
+        let colliderDesc = RAPIER.ColliderDesc.capsule(0.5, 0.4).setTranslation(0, 0.9, 0)
+        this.collider = this.world.createCollider(colliderDesc, this.rigidBody)
+
+        this.characterController = this.world.createCharacterController(0.1)
+        this.characterController.enableAutostep(0.6, 0.25, true)
+        this.characterController.enableSnapToGround(0.5)
+        this.characterController.setApplyImpulsesToDynamicBodies(true)
+        this.characterController.setMaxSlopeClimbAngle(45 * Math.PI / 180)
+        this.characterController.setMinSlopeSlideAngle(45 * Math.PI / 180)
+    }
+
+    applyImpulse(force) {
+        this.momentum.add(force)
+
+        // Momentum maneja XZ, verticalVelocity maneja Y
+        if (force.y !== 0) {
+            this.verticalVelocity = force.y
+            this.momentum.y = 0
+        }
+    }
+
+    /**
+     * Avanza un paso de simulacion con el command dado
+     * @param {number} dt
+     * @param {Object} command
+     * @returns {THREE.Vector3} - Traslacion horizontal deseada (para rotacion/animacion)
+     */
+    step(dt, command) {
+        let moveDir = new THREE.Vector3()
+        if (command.forward) moveDir.z += 1
+        if (command.backward) moveDir.z -= 1
+        if (command.left) moveDir.x -= 1
+        if (command.right) moveDir.x += 1
+
+        this.checkClimbing()
+
+        const yaw = command.yaw || 0
+        const forward = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw))
+        const right = new THREE.Vector3(-Math.cos(yaw), 0, Math.sin(yaw))
+
+        let desiredTranslation = new THREE.Vector3()
+        if (moveDir.lengthSq() > 0) {
+            desiredTranslation.x = forward.x * moveDir.z + right.x * moveDir.x
+            desiredTranslation.z = forward.z * moveDir.z + right.z * moveDir.x
+            desiredTranslation.normalize().multiplyScalar(this.speed * dt)
+        }
+        const horizontal = desiredTranslation.clone()
+
+        const grounded = this.characterController.computedGrounded()
+
+        if (this.isClimbing) {
+            // W/S controlan Y en la escalera
+            this.verticalVelocity = 0
+            if (command.forward) this.verticalVelocity = 3
+            if (command.backward) this.verticalVelocity = -3
+        }
+
+        // Jump
+        if (this.isClimbing) {
+            if (command.jump) {
+                this.isClimbing = false
+                this.verticalVelocity = 5
+            }
+        } else if (grounded && command.jump) {
+            this.verticalVelocity = 10
+        } else {
+            if (this.verticalVelocity > -15) this.verticalVelocity -= 50 * dt // Gravity accumulation
+        }
+
+        // Stick to ground
+        if (grounded && this.verticalVelocity <= 0) {
+            this.verticalVelocity = -5
+        }
+
+        if (this.isClimbing && (command.forward || command.backward)) {
+            // En la escalera solo se permite strafe (A/D), mas lento
+            desiredTranslation.x = right.x * moveDir.x
+            desiredTranslation.z = right.z * moveDir.x
+            if (desiredTranslation.lengthSq() > 0) {
+                desiredTranslation.normalize().multiplyScalar(this.speed / 2 * dt)
+            }
+        }
+
+        desiredTranslation.y = this.verticalVelocity * dt
+
+        // Momentum decay
+        const dampingFactor = Math.exp(-this.momentumDamping * dt)
+        this.momentum.multiplyScalar(dampingFactor)
+        if (this.momentum.lengthSq() < 0.01) {
+            this.momentum.set(0, 0, 0)
+        }
+        desiredTranslation.add(this.momentum.clone().multiplyScalar(dt))
+
+        this.characterController.computeColliderMovement(this.collider, desiredTranslation)
+
+        let correctedMovement = this.characterController.computedMovement()
+        let newPos = this.rigidBody.translation()
+        newPos.x += correctedMovement.x
+        newPos.y += correctedMovement.y
+        newPos.z += correctedMovement.z
+        this.moveTo(newPos)
+
+        return horizontal
+    }
+
+    moveTo(position) {
+        if (this.immediate) {
+            this.rigidBody.setTranslation(position, true)
+            this.world.propagateModifiedBodyPositionsToColliders()
+        } else {
+            this.rigidBody.setNextKinematicTranslation(position)
+        }
+    }
+
+    /**
+     * Teletransporte (spawn, correcciones del servidor)
+     */
+    setPosition(position) {
+        this.rigidBody.setTranslation({ x: position.x, y: position.y, z: position.z }, true)
+        this.rigidBody.setNextKinematicTranslation({ x: position.x, y: position.y, z: position.z })
+        this.world.propagateModifiedBodyPositionsToColliders()
+    }
+
+    /**
+     * Estado minimo para reconciliar cliente y servidor
+     */
+    getState() {
+        const pos = this.rigidBody.translation()
+        return {
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            verticalVelocity: this.verticalVelocity,
+            momentum: { x: this.momentum.x, y: this.momentum.y, z: this.momentum.z },
+            isClimbing: this.isClimbing,
+        }
+    }
+
+    setState(state) {
+        this.setPosition(state.position)
+        this.verticalVelocity = state.verticalVelocity || 0
+        if (state.momentum) this.momentum.set(state.momentum.x, state.momentum.y, state.momentum.z)
+        this.isClimbing = !!state.isClimbing
+    }
+
+    checkClimbing() {
+        if (!this.ladders || this.ladders.length === 0) return
+
+        const pos = this.rigidBody.translation()
+        const center = new THREE.Vector3(pos.x, pos.y + 1, pos.z)
+
+        let touchingLadder = false
+        for (const ladder of this.ladders) {
+            if (ladder.bounds.containsPoint(center)) {
+                touchingLadder = true
+                break
+            }
+        }
+
+        if (touchingLadder && !this.isClimbing) {
+            this.isClimbing = true
+            this.verticalVelocity = 0
+        } else if (!touchingLadder && this.isClimbing) {
+            this.isClimbing = false
+        }
+    }
+
+    getPosition() {
+        const pos = this.rigidBody.translation()
+        return new THREE.Vector3(pos.x, pos.y, pos.z)
+    }
+
+    dispose() {
+        if (this.characterController) this.world.removeCharacterController(this.characterController)
+        if (this.rigidBody) this.world.removeRigidBody(this.rigidBody)
+    }
+}
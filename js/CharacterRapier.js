@@ -1,6 +1,6 @@
 import * as THREE from "three"
-import RAPIER from "@dimforge/rapier3d-compat"
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js"
+import { CharacterMotor } from "./CharacterMotor.js"
 
 export class CharacterRapier {
     constructor(scene, world, camera, cameraController) {
@@ -14,15 +14,14 @@ export class CharacterRapier {
         this.animations = {}
         this.currentAction = null
 
+        // Physics (owned by the shared CharacterMotor)
+        this.motor = null
         this.rigidBody = null
         this.characterController = null
+        this.collider = null
 
         // Settings
         this.speed = 10
-        this.jumpForce = 20 // Rapier needs explicit impulses or vertical velocity handling
-        this.grounded = false
-        this.verticalVelocity = 0
-        this.collider = null
 
         this.ladders = [] // Reference to ladders in level
         this.isClimbing = false
@@ -38,13 +37,21 @@ export class CharacterRapier {
         this.rotationSmoothness = 0.15
         this.currentRotation = 0
 
-        // Momentum System
-        this.momentum = new THREE.Vector3(0, 0, 0)
-        this.momentumDamping = 2.0 // Friction/Air resistance for momentum
-
         // No-Clip / Build Mode Ghost
         this.noClip = false
 
+        // Client-Side Prediction (enabled while connected to a server)
+        this.predictionEnabled = false
+        this.inputHistory = [] // Unacknowledged inputs: { seq, dt, command, impulses }
+        this.nextInputSeq = 1
+        this.lastSentSeq = 0
+        this.maxInputHistory = 300
+
+        // Smooth reconciliation: visual offset that decays towards the corrected position
+        this.correctionOffset = new THREE.Vector3()
+        this.correctionSmoothing = 10 // Decay rate (1/s)
+        this.correctionSnapDistance = 5 // Bigger errors teleport instead of blending
+
         this.loadModel()
         this.initPhysics()
     }
@@ -64,113 +71,27 @@ export class CharacterRapier {
     }
 
     applyImpulse(force) {
-        // ... unchanged ...
-        // Add to current momentum
-        this.momentum.add(force)
-
-        // If force has Y component, handle vertical velocity explicitly
-        if (force.y !== 0) {
-            this.verticalVelocity = force.y
-            // Remove Y from momentum to avoid double counting if we use momentum for XZ primarily
-            // But let's keep it simple: Momentum handles XZ, verticalVelocity handles Y
-            this.momentum.y = 0
-            this.grounded = false // Force ungrounded
-        }
-    }
-
-    // ... initPhysics ... (unchanged, not included in replacement range unless needed)
-
-    // ... 
-
-    update(dt, input) {
-        if (!this.rigidBody) return
-
-        // 0. No-Clip Override
-        if (this.noClip) {
-            // In No-Clip, we behave like Spectator/God mode. 
-            // - No Gravity
-            // - Movement is direct translation
-            // - Flight mechanics logic reused or custom?
-
-            // Let's use logic similar to Flight but skipping computeColliderMovement
-            let speed = this.speed * 2
-            let moveDir = new THREE.Vector3()
-
-            if (this.cameraController) {
-                const camDir = new THREE.Vector3()
-                this.camera.getWorldDirection(camDir)
-                const right = this.cameraController.getRightDirection()
-
-                if (input.keys.forward) moveDir.add(camDir)
-                if (input.keys.backward) moveDir.sub(camDir)
-                if (input.keys.right) moveDir.add(right)
-                if (input.keys.left) moveDir.sub(right)
+        // Momentum handles XZ, verticalVelocity handles Y (see CharacterMotor)
+        this.motor.applyImpulse(force)
 
-                // Vertical
-                if (input.keys.jump) moveDir.y += 1
-                if (input.keys.crouch) moveDir.y -= 1 // Assuming crouch key exists or Shift?
-                // Default shift usually runs. Let's stick to Camera Pitch for Up/Down + Jump for pure Up.
-            }
-
-            if (moveDir.lengthSq() > 0) {
-                moveDir.normalize().multiplyScalar(speed * dt)
-            }
-
-            // Direct Translation (Bypassing Collider/Physics Solver)
-            let newPos = this.rigidBody.translation()
-            newPos.x += moveDir.x
-            newPos.y += moveDir.y
-            newPos.z += moveDir.z
-
-            this.rigidBody.setNextKinematicTranslation(newPos)
-            this.updateModelVisuals()
-            return // Skip rest of update
+        // Remember it so replaying this frame's input reproduces the launch
+        if (this.predictionEnabled && this.inputHistory.length > 0) {
+            this.inputHistory[this.inputHistory.length - 1].impulses.push(force.clone())
         }
-
-        // Flight Mode Check (Standard Physics-based Flight)
-        if (this.isFlying) {
-            // ... existing flight logic ...
-            // We can defer to existing logic
-            // But let's keep the existing checkFlightToggle here
-        }
-
-        // ... rest of update function ...
-
-        // Flattening the code for replacement context:
-        // We are inserting the noClip block at the start of update.
-        // And we need to make sure we don't delete the rest.
-        // Wait, replace block size is limited? 
-        // I will use specific insertion using original lines.
-
-        // ...
-
-        // Retrying with precise target content for just the start of update + constructor
     }
+
     initPhysics() {
-        // 1. Create Rigid Body
-        // KinematicPositionBased means we control position directly (via controller), perfect for characters
-        let bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased().setTranslation(0, 5, 0)
-        this.rigidBody = this.world.createRigidBody(bodyDesc)
-
-        // 2. Create Collider (Capsule)
-        // Radius 0.4, Total Height 1.8 -> HalfHeight = 0.9.
-        // Rapier Capsule is (HalfHeight, Radius). Note: "HalfHeight" is the distance from center to hemisphere center.
-        // Total Height = 2 * halfHeight + 2 * radius.
-        // We want Total = 1.8. Radius = 0.4.
-        // 1.8 = 2*hh + 0.8 => 1.0 = 2*hh => hh = 0.5.
-        let colliderDesc = RAPIER.ColliderDesc.capsule(0.5, 0.4).setTranslation(0, 0.9, 0)
-        this.collider = this.world.createCollider(colliderDesc, this.rigidBody)
-
-        // 3. Create Key Character Controller
-        // offset 0.1 helps with small bumps
-        this.characterController = this.world.createCharacterController(0.1)
-        this.characterController.enableAutostep(0.6, 0.25, true) // Max height 0.6, Min width 0.25, include dynamic bodies
-        this.characterController.enableSnapToGround(0.5) // Snap distance
-        this.characterController.setApplyImpulsesToDynamicBodies(true) // Push boxes
-
-        // Determine slope limit (45 deg = ~0.78 rad)
-        this.characterController.setMaxSlopeClimbAngle(45 * Math.PI / 180);
-        this.characterController.setMinSlopeSlideAngle(45 * Math.PI / 180);
+        // Same capsule + controller as the server simulation
+        this.motor = new CharacterMotor(this.world, { x: 0, y: 5, z: 0 })
+        this.rigidBody = this.motor.rigidBody
+        this.collider = this.motor.collider
+        this.characterController = this.motor.characterController
+    }
+
+    setPosition(position) {
+        this.motor.setPosition(position)
+        this.correctionOffset.set(0, 0, 0)
+        this.updateModelVisuals()
     }
 
     loadModel() {
@@ -270,30 +191,19 @@ export class CharacterRapier {
         }
 
 
-        // 1. Calculate Desired Movement (Velocity)
-        let moveDir = new THREE.Vector3()
-        if (input.keys.forward) moveDir.z += 1
-        if (input.keys.backward) moveDir.z -= 1
-        if (input.keys.left) moveDir.x -= 1
-        if (input.keys.left) moveDir.x -= 1
-        if (input.keys.right) moveDir.x += 1
+        // 1. Movement (shared with the server simulation)
+        const command = this.buildCommand(input)
+        this.motor.ladders = this.ladders
+        const desiredTranslation = this.motor.step(dt, command)
+        this.isClimbing = this.motor.isClimbing
 
-        // Check for Ladder Interaction
-        this.checkClimbing()
-
-        // Camera relative
-        let desiredTranslation = new THREE.Vector3()
-        let hasInput = moveDir.lengthSq() > 0
-
-        if (hasInput && this.cameraController) {
-            const forward = this.cameraController.getForwardDirection()
-            const right = this.cameraController.getRightDirection()
-
-            desiredTranslation.x = forward.x * moveDir.z + right.x * moveDir.x
-            desiredTranslation.z = forward.z * moveDir.z + right.z * moveDir.x
-            desiredTranslation.normalize().multiplyScalar(this.speed * dt)
+        if (this.predictionEnabled) {
+            this.inputHistory.push({ seq: this.nextInputSeq++, dt: dt, command: command, impulses: [] })
+            if (this.inputHistory.length > this.maxInputHistory) this.inputHistory.shift()
+        }
 
-            // Rotation Logic
+        // 2. Rotation / Animation
+        if (desiredTranslation.lengthSq() > 0 && this.cameraController) {
             let targetRotation = 0
             if (this.cameraController.isFirstPerson) {
                 // In First Person: Character always faces Camera Direction (plus offset)
@@ -339,131 +249,100 @@ export class CharacterRapier {
             this.switchAnimation("Idle")
         }
 
-        // 2. Physics Movement Calculation
-
-        // Gravity is handled by the controller's "computeColliderMovement" IF we pass it? 
-        // No, Rapier Controller expects "desired movement". We must add gravity manually to that vector.
-        // We accumulate gravity in a custom velocity variable?
-
-        // Simplified Gravity
-        // If climbing, no gravity.
-        if (this.isClimbing) {
-            this.verticalVelocity = 0 // Reset standard gravity
-
-            // Map Forward/Back to Up/Down
-            if (input.keys.forward) this.verticalVelocity = 3
-            if (input.keys.backward) this.verticalVelocity = -3
+        // 3. Update Visuals (Mesh)
+        this.correctionOffset.multiplyScalar(Math.exp(-this.correctionSmoothing * dt))
+        if (this.correctionOffset.lengthSq() < 0.0001) this.correctionOffset.set(0, 0, 0)
+        this.updateModelVisuals()
 
-            // Override forward movement to be "Up" visually? 
-            // Actually, we want W to go UP the ladder. And S to go DOWN.
-            // But we also want to stick to the ladder?
-            // Simple approach: When climbing, W/S controls Y, A/D controls X/Z (strafe).
+        if (this.mixer) this.mixer.update(dt)
+    }
 
-            // Re-calculate moveDir usage for X/Z
-            // If climbing, remove Z component from desiredTranslation calculation down below?
-            // Actually, let's keep it simple. W usually moves forward.
-            // On a ladder, Forward IS Up.
+    // --- Client-Side Prediction ---
+    setPredictionEnabled(enabled) {
+        this.predictionEnabled = enabled
+        this.inputHistory = []
+        this.lastSentSeq = this.nextInputSeq - 1
+        this.correctionOffset.set(0, 0, 0)
+    }
 
-            // We need to suppress "Forward" causing Z-movement if we are moving Vertically.
-            // Let's modify desiredTranslation after calculation or change inputs before.
+    /**
+     * Resumed session: the server already simulated up to lastSeq (maybe from before a page reload)
+     */
+    continueInputSeq(lastSeq) {
+        if (!Number.isInteger(lastSeq)) return
+        this.nextInputSeq = Math.max(this.nextInputSeq, lastSeq + 1)
+        this.lastSentSeq = this.nextInputSeq - 1
+    }
 
-        } else {
-            // Gravity
-            let gravityStep = -20 * dt
-        }
+    /**
+     * Inputs recorded since the last call (to send to the server)
+     */
+    takeUnsentInputs() {
+        const unsent = this.inputHistory.filter(record => record.seq > this.lastSentSeq)
+        if (unsent.length > 0) this.lastSentSeq = unsent[unsent.length - 1].seq
+        return unsent
+    }
 
-        // Jump
-        if (this.isClimbing) {
-            // Allow jumping off?
-            if (input.keys.jump) {
-                this.isClimbing = false
-                this.verticalVelocity = 5
-                // Jump AWAY from ladder?
-                // For now just up
-            }
-        } else if (this.characterController.computedGrounded() && input.keys.jump) {
-            // We need vertical velocity state
-            this.verticalVelocity = 10
-        } else {
-            // Simple state for jump curve
-            if (this.verticalVelocity > -15) this.verticalVelocity -= 50 * dt // Gravity accumulation
-        }
+    /**
+     * Server reconciliation: rewind to the authoritative state and replay
+     * every input the server has not processed yet.
+     * @param {Object} state - { seq, position, verticalVelocity, momentum, isClimbing }
+     */
+    reconcile(state) {
+        if (!this.predictionEnabled || this.noClip || this.isFlying) return
+
+        // Drop acknowledged inputs
+        this.inputHistory = this.inputHistory.filter(record => record.seq > state.seq)
+
+        // Where we are heading right now (pending kinematic target)
+        const predicted = this.rigidBody.nextTranslation()
+
+        this.motor.setState(state)
+        this.motor.ladders = this.ladders
+        this.motor.immediate = true
+        this.inputHistory.forEach(record => {
+            this.motor.step(record.dt, record.command)
+            record.impulses.forEach(force => this.motor.applyImpulse(force))
+        })
+        this.motor.immediate = false
+        this.isClimbing = this.motor.isClimbing
 
-        // Reset gravity if Grounded
-        // Note: computedGrounded() is from Last Frame's compute
-        if (this.characterController.computedGrounded() && this.verticalVelocity <= 0) {
-            this.verticalVelocity = -5 // Stick to ground force
-        }
+        const corrected = this.rigidBody.translation()
+        const error = new THREE.Vector3(predicted.x - corrected.x, predicted.y - corrected.y, predicted.z - corrected.z)
 
-        if (this.isClimbing) {
-            // If climbing, desiredTranslation.z (Forward) should be ZEROed out 
-            // because we converted it to Vertical Velocity above?
-            // Wait, I didn't zero it yet.
-
-            // When climbing, "Forward" input makes us go UP.
-            // So we shouldn't move Forward in XZ plane.
-            if (input.keys.forward || input.keys.backward) {
-                desiredTranslation.x = 0
-                desiredTranslation.z = 0
-
-                // If we want allow Strafing (A/D), we keep it. 
-                if (input.keys.left || input.keys.right) {
-                    // Recalculate just strafe
-                    const right = this.cameraController.getRightDirection()
-                    desiredTranslation.x = right.x * moveDir.x
-                    desiredTranslation.z = right.z * moveDir.x
-                    desiredTranslation.normalize().multiplyScalar(this.speed / 2 * dt) // Slower strafe
-                }
-            }
+        // Blend small errors out visually; snap on big ones (teleports, respawns)
+        this.correctionOffset.add(error)
+        if (this.correctionOffset.length() > this.correctionSnapDistance) {
+            this.correctionOffset.set(0, 0, 0)
         }
+    }
 
-        desiredTranslation.y = this.verticalVelocity * dt
-
-        // Apply Momentum (Decay)
-        // Damping
-        const dampingFactor = Math.exp(-this.momentumDamping * dt)
-        this.momentum.multiplyScalar(dampingFactor)
-
-        // Threshold to zero out
-        if (this.momentum.lengthSq() < 0.01) {
-            this.momentum.set(0, 0, 0)
+    /**
+     * Convierte el estado de teclas + camara en un command para CharacterMotor.
+     * Es lo que se envia al servidor.
+     */
+    buildCommand(input) {
+        return {
+            forward: input.keys.forward,
+            backward: input.keys.backward,
+            left: input.keys.left,
+            right: input.keys.right,
+            jump: input.keys.jump,
+            yaw: this.cameraController ? this.cameraController.getYaw() : 0,
         }
-
-        // Add momentum to translation
-        desiredTranslation.add(this.momentum.clone().multiplyScalar(dt))
-
-        // 3. EXECUTE MOVEMENT
-        this.characterController.computeColliderMovement(
-            this.collider,
-            desiredTranslation
-        )
-
-        // 4. Apply result to RigidBody
-        let correctedMovement = this.characterController.computedMovement()
-        let newPos = this.rigidBody.translation()
-        newPos.x += correctedMovement.x
-        newPos.y += correctedMovement.y
-        newPos.z += correctedMovement.z
-
-        this.rigidBody.setNextKinematicTranslation(newPos)
-
-        // 5. Update Visuals (Mesh)
-        this.updateModelVisuals()
-
-        if (this.mixer) this.mixer.update(dt)
     }
 
     // --- Flight Mode Logic ---
     toggleFlight() {
         this.isFlying = !this.isFlying
-        this.verticalVelocity = 0
-        this.momentum.set(0, 0, 0)
+        this.motor.verticalVelocity = 0
+        this.motor.momentum.set(0, 0, 0)
         console.log("Flight Mode:", this.isFlying)
     }
 
     handleFlightMovement(dt, input, moveDir) {
         // No gravity
-        this.verticalVelocity = 0
+        this.motor.verticalVelocity = 0
 
         let desiredTranslation = new THREE.Vector3()
         let speed = this.speed * 2 // Faster fly
@@ -522,39 +401,15 @@ export class CharacterRapier {
         this.wasJumpDown = input.keys.jump
     }
 
-    checkClimbing() {
-        if (!this.ladders || this.ladders.length === 0) return
-
-        const myPos = this.getPosition()
-        // Simple bounding box check
-        // Player height center
-        const center = myPos.clone().add(new THREE.Vector3(0, 1, 0))
-
-        let touchingLadder = false
-
-        for (const ladder of this.ladders) {
-            if (ladder.bounds.containsPoint(center)) {
-                touchingLadder = true
-                break
-            }
-        }
-
-        // State transition
-        if (touchingLadder && !this.isClimbing) {
-            // Only enter climbing if moving forward? Or auto?
-            // Auto is easier
-            this.isClimbing = true
-            this.verticalVelocity = 0
-        } else if (!touchingLadder && this.isClimbing) {
-            this.isClimbing = false
-        }
-    }
-
     updateModelVisuals() {
         if (!this.model || !this.rigidBody) return
 
         const pos = this.rigidBody.translation()
-        this.model.position.set(pos.x, pos.y, pos.z)
+        this.model.position.set(
+            pos.x + this.correctionOffset.x,
+            pos.y + this.correctionOffset.y,
+            pos.z + this.correctionOffset.z
+        )
         // Apply rotation (Calculated manually for character)
         this.model.rotation.y = this.currentRotation
     }
@@ -1,9 +1,157 @@
+import { CommandRegistry } from "./CommandRegistry.js";
+import { MuteList } from "./MuteList.js";
+
+// Chat channels: tag shown before each line and its color (the server decides who gets each one)
+export const CHAT_CHANNELS = {
+    room: { tag: "Sala", color: "#ffffff", placeholder: "Mensaje a la sala..." },
+    team: { tag: "Equipo", color: "#4fc3f7", placeholder: "Mensaje a tu equipo..." },
+    proximity: { tag: "Cerca", color: "#81c784", placeholder: "Mensaje a los jugadores cercanos..." },
+    whisper: { tag: "Susurro", color: "#f48fb1", placeholder: "Susurro a {name}..." },
+};
+
+// Channel commands: "/p hola" sends once; "/p" alone makes it the default channel
+const CHANNEL_COMMANDS = [
+    { name: "r", aliases: ["sala"], channel: "room" },
+    { name: "t", aliases: ["equipo"], channel: "team" },
+    { name: "p", aliases: ["cerca"], channel: "proximity" },
+];
+
+const MAX_HISTORY = 200; // Lines kept in the panel (oldest are dropped)
+const MAX_SENT_HISTORY = 50; // Own lines remembered for the up/down arrows (localStorage)
+const SECRET_COMMANDS = ["admin"]; // Carry a password: never kept in the sent history
+const FADE_AFTER = 30000; // A line hides from the closed chat after this long (still in the history)
+
 export class ChatManager {
     constructor(networkManager) {
         this.networkManager = networkManager;
         this.isChatOpen = false;
+        this.channel = "room"; // Default channel for lines without a prefix
+        this.whisperTarget = null; // Name, when the default channel is whisper
+        this.muteList = new MuteList(); // Players whose lines we don't want to see
+
+        // Slash commands; game modules add theirs with chatManager.commands.register()
+        this.commands = new CommandRegistry();
+        this.suggestions = []; // Autocomplete for the current input
+        this.suggestionIndex = -1; // Picked with Tab
+
+        // Lines we sent (newest last); sentIndex === sentHistory.length is the line being written
+        this.sentHistory = this.loadSentHistory();
+        this.sentIndex = this.sentHistory.length;
+        this.draft = ""; // What was typed before going up the history
+
         this.setupChatUI();
         this.setupEventListeners();
+        this.registerChatCommands();
+    }
+
+    registerChatCommands() {
+        this.commands.register({
+            name: "help",
+            aliases: ["ayuda"],
+            usage: "help [comando]",
+            description: "Lista de comandos",
+            complete: () => this.commands.list().map((command) => command.name),
+            run: (args) => this.commands.help(args[0]),
+        });
+
+        this.commands.register({
+            name: "w",
+            aliases: ["whisper", "susurro"],
+            usage: "w <jugador> [mensaje]",
+            description: "Susurrar a un jugador (sin mensaje: canal por defecto)",
+            complete: (args) => (args.length === 1 ? this.getPlayerNames() : []),
+            run: (args, context) => {
+                // Names can have spaces: /w "Ana Maria" hola
+                const target = context.rest.match(/^"([^"]+)"\s*(.*)$/) || context.rest.match(/^(\S+)\s*(.*)$/);
+                if (!target) return "Uso: /w <jugador> [mensaje]";
+                if (!target[2]) {
+                    this.setChannel("whisper", target[1]);
+                    return;
+                }
+                this.sendLine(target[2], "whisper", target[1]);
+            },
+        });
+
+        this.commands.register({
+            name: "team",
+            usage: "team [nombre]",
+            description: "Entrar en un equipo (sin nombre: salir)",
+            run: (args, context) => {
+                if (!this.networkManager.isConnected) return "Sin conexion con el servidor";
+                this.networkManager.setTeam(context.rest || null);
+            },
+        });
+
+        // Not /mute: that one is the server admin command
+        this.commands.register({
+            name: "ignore",
+            aliases: ["ignorar"],
+            usage: "ignore <jugador>",
+            description: "Ocultar los mensajes de un jugador",
+            complete: (args) => (args.length === 1 ? this.getPlayerNames() : []),
+            run: (args, context) => {
+                const name = ChatManager.readPlayerName(context.rest);
+                if (!name) return "Uso: /ignore <jugador>";
+                this.muteList.mute(name, false);
+                return `Ya no veras los mensajes de ${name}`;
+            },
+        });
+        this.commands.register({
+            name: "block",
+            aliases: ["bloquear"],
+            usage: "block <jugador>",
+            description: "Ocultar los mensajes y el nombre de un jugador",
+            complete: (args) => (args.length === 1 ? this.getPlayerNames() : []),
+            run: (args, context) => {
+                const name = ChatManager.readPlayerName(context.rest);
+                if (!name) return "Uso: /block <jugador>";
+                this.muteList.mute(name, true);
+                return `${name} bloqueado`;
+            },
+        });
+        this.commands.register({
+            name: "unignore",
+            aliases: ["unblock", "desbloquear"],
+            usage: "unignore <jugador>",
+            description: "Volver a ver a un jugador ignorado o bloqueado",
+            complete: (args) => (args.length === 1 ? this.muteList.list().map((entry) => entry.name) : []),
+            run: (args, context) => {
+                const name = ChatManager.readPlayerName(context.rest);
+                if (!name) return "Uso: /unignore <jugador>";
+                return this.muteList.unmute(name) ? `Vuelves a ver a ${name}` : `${name} no estaba ignorado`;
+            },
+        });
+        this.commands.register({
+            name: "ignored",
+            aliases: ["ignorados"],
+            usage: "ignored",
+            description: "Jugadores ignorados y bloqueados",
+            run: () => {
+                const entries = this.muteList.list();
+                if (entries.length === 0) return "No ignoras a nadie";
+                return entries.map((entry) => entry.name + (entry.blocked ? " (bloqueado)" : "")).join("\n");
+            },
+        });
+
+        CHANNEL_COMMANDS.forEach(({ name, aliases, channel }) => {
+            this.commands.register({
+                name: name,
+                aliases: aliases,
+                usage: `${name} [mensaje]`,
+                description: `Canal ${CHAT_CHANNELS[channel].tag} (sin mensaje: canal por defecto)`,
+                run: (args, context) => {
+                    if (!context.rest) {
+                        this.setChannel(channel);
+                        return;
+                    }
+                    this.sendLine(context.rest, channel, null);
+                },
+            });
+        });
+    }
+
+    getPlayerNames() {
+        return Array.from(this.networkManager.roster.values()).map((entry) => entry.name);
     }
 
     setupChatUI() {
@@ -12,6 +160,7 @@ export class ChatManager {
         chatContainer.innerHTML = `
       <div id="chat-messages"></div>
       <div id="chat-input-container" style="display: none;">
+        <div id="chat-suggestions"></div>
         <input type="text" id="chat-input" placeholder="Escribe un mensaje..." maxlength="150">
       </div>
       <div id="chat-hint">Presiona T para chatear</div>
@@ -24,10 +173,10 @@ export class ChatManager {
 
         // Listen for T key to open chat
         document.addEventListener("keydown", (e) => {
-            if (e.key === "t" || e.key === "T") {
+            if (e.key === "t" || e.key === "T" || e.key === "/") {
                 if (!this.isChatOpen && document.activeElement !== chatInput) {
                     e.preventDefault();
-                    this.openChat();
+                    this.openChat(e.key === "/" ? "/" : "");
                 }
             }
             if (e.key === "Escape" && this.isChatOpen) {
@@ -47,17 +196,145 @@ export class ChatManager {
         chatInput.addEventListener("blur", () => {
             document.dispatchEvent(new CustomEvent("chatBlur"));
         });
+
+        // Command autocomplete: Tab takes the next suggestion
+        // Up/down walk the lines we sent, PageUp/PageDown scroll the history
+        chatInput.addEventListener("input", () => this.updateSuggestions());
+        chatInput.addEventListener("keydown", (e) => {
+            const chatMessages = document.getElementById("chat-messages");
+            switch (e.key) {
+                case "Tab":
+                    e.preventDefault();
+                    this.acceptSuggestion();
+                    break;
+                case "ArrowUp":
+                    e.preventDefault();
+                    this.browseSentHistory(-1);
+                    break;
+                case "ArrowDown":
+                    e.preventDefault();
+                    this.browseSentHistory(1);
+                    break;
+                case "PageUp":
+                    e.preventDefault();
+                    chatMessages.scrollTop -= chatMessages.clientHeight * 0.8;
+                    break;
+                case "PageDown":
+                    e.preventDefault();
+                    chatMessages.scrollTop += chatMessages.clientHeight * 0.8;
+                    break;
+            }
+        });
+    }
+
+    browseSentHistory(direction) {
+        const index = this.sentIndex + direction;
+        if (index < 0 || index > this.sentHistory.length) return;
+
+        const chatInput = document.getElementById("chat-input");
+        if (this.sentIndex === this.sentHistory.length) this.draft = chatInput.value;
+        this.sentIndex = index;
+        chatInput.value = index === this.sentHistory.length ? this.draft : this.sentHistory[index];
+        chatInput.setSelectionRange(chatInput.value.length, chatInput.value.length);
+        this.updateSuggestions();
+    }
+
+    rememberSentLine(line) {
+        // No repeats in a row, like a shell; passwords are not kept at all
+        if (this.sentHistory[this.sentHistory.length - 1] !== line && !ChatManager.isSecretLine(line)) {
+            this.sentHistory.push(line);
+            if (this.sentHistory.length > MAX_SENT_HISTORY) this.sentHistory.shift();
+            this.saveSentHistory();
+        }
+        this.sentIndex = this.sentHistory.length;
+        this.draft = "";
+    }
+
+    saveSentHistory() {
+        try {
+            localStorage.setItem("chatSentHistory", JSON.stringify(this.sentHistory));
+        } catch (error) {
+            // Storage full or disabled: the history still works for this session
+        }
+    }
+
+    loadSentHistory() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem("chatSentHistory"));
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(saved)) return [];
+
+        // Secret lines saved by older versions are dropped from storage too
+        const lines = saved.filter((line) => typeof line === "string" && !ChatManager.isSecretLine(line)).slice(-MAX_SENT_HISTORY);
+        if (lines.length !== saved.length) {
+            this.sentHistory = lines;
+            this.saveSentHistory();
+        }
+        return lines;
     }
 
-    openChat() {
+    // Whole rest of the line as one name (names can have spaces), quoted or not: Ana Maria, "Ana Maria"
+    static readPlayerName(rest) {
+        return rest.replace(/^"(.*)"$/, "$1").trim().replace(/\s+/g, " ");
+    }
+
+    static isSecretLine(line) {
+        const match = line.match(/^\/(\S+)/);
+        return !!match && SECRET_COMMANDS.includes(match[1].toLowerCase());
+    }
+
+    updateSuggestions() {
+        const value = document.getElementById("chat-input").value;
+        this.suggestions = value.startsWith("/") ? this.commands.getSuggestions(value).slice(0, 8) : [];
+        this.suggestionIndex = -1;
+        this.renderSuggestions();
+    }
+
+    acceptSuggestion() {
+        if (this.suggestions.length === 0) return;
+
+        // A single match completes at once (and shows what comes next); several cycle with each Tab
+        const chatInput = document.getElementById("chat-input");
+        if (this.suggestions.length === 1) {
+            if (chatInput.value === this.suggestions[0].text) return; // Just the usage hint
+            chatInput.value = this.suggestions[0].text;
+            this.updateSuggestions();
+            return;
+        }
+        this.suggestionIndex = (this.suggestionIndex + 1) % this.suggestions.length;
+        chatInput.value = this.suggestions[this.suggestionIndex].text;
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        const container = document.getElementById("chat-suggestions");
+        container.innerHTML = this.suggestions.map((suggestion, index) => `
+      <div class="chat-suggestion${index === this.suggestionIndex ? " selected" : ""}">
+        <span class="usage">${this.escapeHtml(suggestion.label)}</span>
+        <span class="description">${this.escapeHtml(suggestion.description)}</span>
+      </div>`).join("");
+        container.style.display = this.suggestions.length ? "block" : "none";
+    }
+
+    openChat(initialText = "") {
         this.isChatOpen = true;
         const chatInputContainer = document.getElementById("chat-input-container");
         const chatInput = document.getElementById("chat-input");
         const chatHint = document.getElementById("chat-hint");
 
+        // Open chat shows the whole history, scrollable
+        document.getElementById("chat-container").classList.add("open");
         chatInputContainer.style.display = "block";
         chatHint.classList.add("hidden");
+        chatInput.value = initialText;
         chatInput.focus();
+        this.sentIndex = this.sentHistory.length;
+        this.draft = "";
+        this.updateSuggestions();
+        this.scrollToBottom();
     }
 
     closeChat() {
@@ -66,45 +343,141 @@ export class ChatManager {
         const chatInput = document.getElementById("chat-input");
         const chatHint = document.getElementById("chat-hint");
 
+        document.getElementById("chat-container").classList.remove("open");
         chatInputContainer.style.display = "none";
         chatHint.classList.remove("hidden");
         chatInput.value = "";
         chatInput.blur();
+        this.updateSuggestions();
+        this.scrollToBottom();
     }
 
     sendChatMessage() {
         const chatInput = document.getElementById("chat-input");
         const message = chatInput.value.trim();
+        this.closeChat();
+        if (message) this.rememberSentLine(message);
 
-        if (message && this.networkManager.isConnected) {
-            this.networkManager.sendChatMessage(message);
+        if (message.startsWith("/")) {
+            this.runCommand(message.slice(1));
+        } else if (message) {
+            this.sendLine(message, this.channel, this.whisperTarget);
         }
-        this.closeChat();
     }
 
-    addChatMessage(playerId, message) {
-        const chatMessages = document.getElementById("chat-messages");
+    /**
+     * Local commands run here (also offline); the rest go to the server as a chat line
+     * @param {string} line - Command without the leading "/"
+     */
+    runCommand(line) {
+        this.commands.execute(line, {
+            reply: (text) => this.addSystemMessage(text),
+            sendToServer: (serverLine) => {
+                if (!this.networkManager.isConnected) {
+                    this.addSystemMessage("Sin conexion con el servidor");
+                    return;
+                }
+                this.networkManager.sendChatMessage("/" + serverLine);
+            },
+        });
+    }
+
+    sendLine(text, channel, to) {
+        if (this.networkManager.isConnected) this.networkManager.sendChatMessage(text, channel, to);
+    }
+
+    setChannel(channel, whisperTarget = null) {
+        this.channel = channel;
+        this.whisperTarget = whisperTarget;
+
+        const info = CHAT_CHANNELS[channel];
+        document.getElementById("chat-input").placeholder = info.placeholder.replace("{name}", whisperTarget || "");
+        this.addSystemMessage(`Canal: ${info.tag}` + (whisperTarget ? ` (${whisperTarget})` : ""));
+    }
+
+    /**
+     * @param {Object} sender - { name, color } sent with the message (falls back to the room roster)
+     * @param {string} channel - room, team, proximity or whisper
+     * @param {string} to - Whisper target name
+     * @param {number} time - Server time of the line (local time if missing)
+     * @param {boolean} fromHistory - Said before we joined: only shown in the open chat
+     */
+    addChatMessage(playerId, message, sender = null, channel = "room", to = null, time = null, fromHistory = false) {
         const isOwnMessage = playerId === this.networkManager.playerId;
+        const info = CHAT_CHANNELS[channel] || CHAT_CHANNELS.room;
+
+        const profile = sender && sender.name ? sender : this.networkManager.getPlayerProfile(playerId);
+        if (!isOwnMessage && this.muteList.isMuted(profile.name)) return;
 
         const msgEl = document.createElement("div");
-        msgEl.className = "chat-message";
+        msgEl.className = `chat-message channel-${channel}`;
+        msgEl.style.color = info.color;
+
+        const color = Number.isInteger(profile.color)
+            ? "#" + profile.color.toString(16).padStart(6, "0")
+            : this.getPlayerColor(playerId);
+
+        // Own whispers are the server echo: show who they went to
+        let senderName = isOwnMessage ? "Tu" : this.escapeHtml(profile.name);
+        if (channel === "whisper" && isOwnMessage && to) senderName += ` &rarr; ${this.escapeHtml(to)}`;
+
+        msgEl.innerHTML = `${this.formatTime(time)}<span class="channel-tag">[${info.tag}]</span><span class="sender" style="color: ${color}">${senderName}:</span>${this.escapeHtml(message)}`;
+        this.appendMessage(msgEl, fromHistory ? 0 : FADE_AFTER);
+    }
+
+    /**
+     * Room lines from before we joined (server chatHistory)
+     */
+    addChatHistory(messages) {
+        if (!messages || messages.length === 0) return;
 
-        const shortId = playerId.slice(-4);
-        const color = this.getPlayerColor(playerId);
+        this.addSystemMessage("Mensajes anteriores de la sala:", false, true);
+        messages.forEach((line) => {
+            this.addChatMessage(line.playerId, line.message, { name: line.name, color: line.color }, line.channel, line.to, line.time, true);
+        });
+    }
 
-        msgEl.innerHTML = `<span class="sender" style="color: ${color}">${isOwnMessage ? "Tu" : shortId}:</span>${this.escapeHtml(message)}`;
+    /**
+     * Server notices (admin replies, mute...) and announcements
+     */
+    addSystemMessage(message, isAnnouncement = false, fromHistory = false) {
+        const msgEl = document.createElement("div");
+        msgEl.className = isAnnouncement ? "chat-message system announcement" : "chat-message system";
+        // Admin command output comes in several lines
+        msgEl.innerHTML = this.formatTime(null) + this.escapeHtml(isAnnouncement ? `[Anuncio] ${message}` : message).replace(/\n/g, "<br>");
+
+        this.appendMessage(msgEl, fromHistory ? 0 : isAnnouncement ? FADE_AFTER * 2 : FADE_AFTER);
+    }
+
+    /**
+     * Adds a line to the history panel; after fadeAfter ms it only shows while the chat is open
+     */
+    appendMessage(msgEl, fadeAfter) {
+        const chatMessages = document.getElementById("chat-messages");
+        // Reading older lines: don't jump to the bottom
+        const atBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 30;
+
+        if (fadeAfter > 0) {
+            setTimeout(() => msgEl.classList.add("faded"), fadeAfter);
+        } else {
+            msgEl.classList.add("faded");
+        }
 
         chatMessages.appendChild(msgEl);
+        while (chatMessages.childElementCount > MAX_HISTORY) {
+            chatMessages.firstElementChild.remove();
+        }
+        if (atBottom || !this.isChatOpen) this.scrollToBottom();
+    }
+
+    scrollToBottom() {
+        const chatMessages = document.getElementById("chat-messages");
         chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
 
-        // Auto-remove old messages after 30 seconds
-        setTimeout(() => {
-            if (msgEl.parentNode) {
-                msgEl.style.opacity = "0";
-                msgEl.style.transition = "opacity 0.5s";
-                setTimeout(() => msgEl.remove(), 500);
-            }
-        }, 30000);
+    formatTime(time) {
+        const date = new Date(Number.isFinite(time) ? time : Date.now());
+        return `<span class="time">${date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</span>`;
     }
 
     getPlayerColor(playerId) {
@@ -0,0 +1,142 @@
+/**
+ * Comandos del chat (/help, /give, /tp...). Los modulos del juego registran los suyos;
+ * los que no existen aqui pero si en el servidor (lista del mensaje "commands") se le envian.
+ *
+ * Comando: {
+ *   name, aliases, usage, description,
+ *   isAvailable() => boolean   - opcional (p. ej. /fly solo en el editor o como admin)
+ *   run(args, context) => string | void - la respuesta se muestra en el chat
+ *   complete(args) => string[] - opcional, candidatos para el ultimo argumento
+ * }
+ * context: { rest (texto tras el nombre, sin partir), reply(text), sendToServer(line) }
+ */
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map() // Map<name, command>
+        this.aliases = new Map() // Map<alias, name>
+        this.serverCommands = [] // [{ name, aliases, usage, description }] this client may run on the server
+    }
+
+    register(command) {
+        this.commands.set(command.name, command)
+        ;(command.aliases || []).forEach((alias) => this.aliases.set(alias, command.name))
+    }
+
+    unregister(name) {
+        const command = this.commands.get(name)
+        if (!command) return
+        ;(command.aliases || []).forEach((alias) => this.aliases.delete(alias))
+        this.commands.delete(name)
+    }
+
+    // Local command usable right now
+    find(name) {
+        const lower = name.toLowerCase()
+        const command = this.commands.get(lower) || this.commands.get(this.aliases.get(lower))
+        if (!command || (command.isAvailable && !command.isAvailable())) return null
+        return command
+    }
+
+    findServerCommand(name) {
+        const lower = name.toLowerCase()
+        return this.serverCommands.find((command) => command.name === lower || command.aliases.includes(lower)) || null
+    }
+
+    setServerCommands(commands) {
+        this.serverCommands = commands || []
+    }
+
+    /**
+     * Local and server commands (local ones win when both have the same name)
+     * @returns {Array} - [{ name, aliases, usage, description }] sorted by name
+     */
+    list() {
+        const local = Array.from(this.commands.values()).filter((command) => !command.isAvailable || command.isAvailable())
+        const names = new Set(local.map((command) => command.name))
+        const server = this.serverCommands.filter((command) => !names.has(command.name))
+        return [...local, ...server].sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    /**
+     * @param {string} line - Command without the leading "/"
+     * @param {Object} context - { reply, sendToServer }
+     */
+    execute(line, context) {
+        const match = line.match(/^(\S+)\s*(.*)$/)
+        if (!match) return
+
+        const command = this.find(match[1])
+        if (command) {
+            const reply = command.run(CommandRegistry.parseArgs(match[2]), { ...context, rest: match[2].trim() })
+            if (reply) context.reply(reply)
+            return
+        }
+
+        if (this.findServerCommand(match[1])) {
+            context.sendToServer(line)
+            return
+        }
+        context.reply(`Comando desconocido: /${match[1]}. Escribe /help`)
+    }
+
+    /**
+     * Autocomplete for the chat input
+     * @param {string} input - Whole input value, starting with "/"
+     * @returns {Array} - [{ text (input once completed), label, description }]
+     */
+    getSuggestions(input) {
+        const match = input.match(/^\/(\S*)(\s+(.*))?$/)
+        if (!match) return []
+
+        // Still typing the name: every command (or alias) starting with it
+        if (match[2] === undefined) {
+            const prefix = match[1].toLowerCase()
+            return this.list()
+                .filter((command) => command.name.startsWith(prefix) || (command.aliases || []).some((alias) => alias.startsWith(prefix)))
+                .map((command) => ({ text: `/${command.name} `, label: `/${command.usage || command.name}`, description: command.description || "" }))
+        }
+
+        // Arguments: the usage as a hint, plus candidates for the last one
+        const command = this.find(match[1]) || this.findServerCommand(match[1])
+        if (!command) return []
+
+        const hint = { text: input, label: `/${command.usage || command.name}`, description: command.description || "" }
+        if (!command.complete) return [hint]
+
+        // Last word as typed (may start with an unclosed quote); the candidate replaces it
+        const typed = input.match(/\S*$/)[0]
+        const head = input.slice(0, input.length - typed.length)
+        const last = typed.replace(/^"/, "").toLowerCase()
+        const args = CommandRegistry.parseArgs(head.slice(match[1].length + 1))
+        args.push(last)
+
+        const candidates = command.complete(args)
+            .filter((candidate) => candidate.toLowerCase().startsWith(last) && candidate.toLowerCase() !== last)
+            .map((candidate) => ({
+                text: head + (/\s/.test(candidate) ? `"${candidate}"` : candidate) + " ",
+                label: candidate,
+                description: "",
+            }))
+        return candidates.length ? candidates : [hint]
+    }
+
+    help(name = null) {
+        if (name) {
+            const command = this.find(name) || this.findServerCommand(name)
+            if (!command) return `No existe el comando ${name}`
+            return `/${command.usage || command.name}  ${command.description || ""}`
+        }
+        return this.list().map((command) => `/${command.usage || command.name} - ${command.description || ""}`).join("\n")
+    }
+
+    // Words, or "quoted text" for names with spaces (same as the server)
+    static parseArgs(line) {
+        const args = []
+        const pattern = /"([^"]*)"|(\S+)/g
+        let match
+        while ((match = pattern.exec(line)) !== null) {
+            args.push(match[1] !== undefined ? match[1] : match[2])
+        }
+        return args
+    }
+}
@@ -16,6 +16,9 @@ export class FarmingZone {
         this.itemsPerSpawn = 1;
         this.itemValue = 1;
 
+        // Offline only: in a room the server spawns the fuego (it's the clock)
+        this.spawnEnabled = true;
+
         this.initVisuals();
     }
 
@@ -47,6 +50,11 @@ export class FarmingZone {
     }
 
     update(dt) {
+        if (!this.spawnEnabled) {
+            this.accumulatedTime = 0;
+            return;
+        }
+
         this.accumulatedTime += dt;
 
         if (this.accumulatedTime >= this.spawnInterval) {
@@ -14,6 +14,7 @@ export class ImpulsePlatform {
         this.height = 0.2
         this.depth = 3
 
+        this.rigidBody = null
         this.collider = null
         this.mesh = null
         this.wasInZone = false
@@ -29,7 +30,7 @@ export class ImpulsePlatform {
             this.position.y - (this.height / 2), // Slightly flush or below?
             this.position.z
         )
-        let rigidBody = this.world.createRigidBody(bodyDesc)
+        this.rigidBody = this.world.createRigidBody(bodyDesc)
 
         // Collider: Cuboid
         let colliderDesc = RAPIER.ColliderDesc.cuboid(
@@ -38,7 +39,7 @@ export class ImpulsePlatform {
             this.depth / 2
         ).setSensor(true)
 
-        this.collider = this.world.createCollider(colliderDesc, rigidBody)
+        this.collider = this.world.createCollider(colliderDesc, this.rigidBody)
     }
 
     initVisuals() {
@@ -138,4 +139,11 @@ export class ImpulsePlatform {
             this.wasInZone = false
         }
     }
+
+    dispose() {
+        if (this.mesh) this.scene.remove(this.mesh)
+        if (this.rigidBody) this.world.removeRigidBody(this.rigidBody)
+        this.rigidBody = null
+        this.collider = null
+    }
 }
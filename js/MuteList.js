@@ -0,0 +1,66 @@
+/**
+ * Jugadores silenciados por nosotros (solo en este navegador, el servidor no se entera):
+ * - ignorado: sus mensajes de chat no se muestran
+ * - bloqueado: ademas se oculta su nombre sobre el personaje
+ *
+ * Van por nombre (los ids cambian en cada sesion; los nombres son unicos en el servidor)
+ * y se guardan en localStorage.
+ */
+export class MuteList {
+    constructor(storageKey = "chatMuteList") {
+        this.storageKey = storageKey
+        this.entries = new Map() // Map<lowercase name, { name, blocked }>
+        this.onChange = null // () => {} Someone was muted, blocked or let back
+
+        this.load()
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey))
+            if (!Array.isArray(saved)) return
+            saved.forEach((entry) => {
+                if (entry && typeof entry.name === "string") this.entries.set(entry.name.toLowerCase(), { name: entry.name, blocked: !!entry.blocked })
+            })
+        } catch (error) {
+            console.warn("MuteList: no se pudo leer la lista", error)
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.entries.values())))
+        } catch (error) {
+            console.warn("MuteList: no se pudo guardar la lista", error)
+        }
+        if (this.onChange) this.onChange()
+    }
+
+    /**
+     * @param {boolean} blocked - Also hide the name label
+     */
+    mute(name, blocked = false) {
+        this.entries.set(name.toLowerCase(), { name: name, blocked: blocked })
+        this.save()
+    }
+
+    // Removes the player from the list (ignored or blocked)
+    unmute(name) {
+        const removed = this.entries.delete(name.toLowerCase())
+        if (removed) this.save()
+        return removed
+    }
+
+    isMuted(name) {
+        return typeof name === "string" && this.entries.has(name.toLowerCase())
+    }
+
+    isBlocked(name) {
+        const entry = typeof name === "string" && this.entries.get(name.toLowerCase())
+        return !!(entry && entry.blocked)
+    }
+
+    list() {
+        return Array.from(this.entries.values())
+    }
+}
@@ -1,6 +1,6 @@
 import * as THREE from "three"
 import RAPIER from "@dimforge/rapier3d-compat"
-import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js"
+import { XbotModel } from "./XbotModel.js"
 
 export class NPCRapier {
     constructor(scene, world, position, pathPoints = []) {
@@ -24,6 +24,7 @@ export class NPCRapier {
 
         this.currentRotation = 0
         this.rotationSmoothness = 0.1
+        this.enabled = true
 
         // Placeholder Visual
         this.placeholder = new THREE.Mesh(
@@ -56,34 +57,36 @@ export class NPCRapier {
     }
 
     loadModel() {
-        const loader = new GLTFLoader()
-        loader.load("./assets/Xbot.glb", (gltf) => {
+        XbotModel.load(({ model, mixer, animations }) => {
             if (this.placeholder) {
                 this.scene.remove(this.placeholder)
                 this.placeholder = null
             }
 
-            this.model = gltf.scene
+            this.model = model
+            this.model.visible = this.enabled
             this.scene.add(this.model)
 
-            // Shadows
-            this.model.traverse(o => { if (o.isMesh) o.castShadow = true })
-
-            // Scaling (Soldier is normal size)
-            this.model.scale.set(1, 1, 1)
-
-            // Anim
-            this.mixer = new THREE.AnimationMixer(this.model)
-            const clips = gltf.animations
-            this.animations["Idle"] = this.mixer.clipAction(THREE.AnimationClip.findByName(clips, "idle"))
-            this.animations["Walk"] = this.mixer.clipAction(THREE.AnimationClip.findByName(clips, "walk"))
-            this.animations["Run"] = this.mixer.clipAction(THREE.AnimationClip.findByName(clips, "run"))
+            this.mixer = mixer
+            this.animations = animations
 
             this.switchAnimation("Idle")
             this.updateModelVisuals()
         })
     }
 
+    /**
+     * Local patrol only offline; in a room the server NPCs (RemoteNPC) take its place
+     */
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return
+        this.enabled = enabled
+
+        if (this.model) this.model.visible = enabled
+        if (this.placeholder) this.placeholder.visible = enabled
+        if (this.collider) this.collider.setEnabled(enabled)
+    }
+
     switchAnimation(name) {
         if (!this.animations[name]) return
         const action = this.animations[name]
@@ -94,7 +97,7 @@ export class NPCRapier {
     }
 
     update(dt) {
-        if (!this.rigidBody || !this.model) return
+        if (!this.rigidBody || !this.model || !this.enabled) return
 
         let moveDir = new THREE.Vector3(0, 0, 0)
 
@@ -1,5 +1,7 @@
 import * as THREE from "three"
 import { RemotePlayer } from "./RemotePlayer.js"
+import { RemoteNPC } from "./RemoteNPC.js"
+import { NetworkProtocol, MessageType, SnapshotDecoder } from "./NetworkProtocol.js"
 
 export class NetworkManager {
     constructor(scene, world, onConnected) {
@@ -7,31 +9,135 @@ export class NetworkManager {
         this.world = world
         this.socket = null
         this.playerId = null
-        this.remotePlayers = new Map() // Map<playerId, RemotePlayer>
+        this.remotePlayers = new Map() // Map<playerId, RemotePlayer> (only players in our area of interest)
+        this.roster = new Map() // Map<playerId, { netId, name, color }> of everyone in the room
+        this.npcs = new Map() // Map<npcId, RemoteNPC> (server NPCs in our area of interest)
         this.onConnected = onConnected
         this.isConnected = false
         this.serverUrl = null
 
+        // Local player (predicted locally, reconciled with playerState)
+        this.localCharacter = null
+
+        // Identity sent in the hello handshake (remembered in localStorage)
+        const storedColor = parseInt(localStorage.getItem("playerColor"))
+        this.token = localStorage.getItem("playerToken")
+        this.profile = {
+            name: localStorage.getItem("playerName") || "",
+            color: Number.isNaN(storedColor) ? null : storedColor,
+        }
+
+        // Session resumption: a dropped client gets back into the same slot (id, position, room).
+        // sessionStorage so a reload of this tab can resume too, but not a second tab
+        this.resumeToken = sessionStorage.getItem("resumeToken")
+        this.reconnectAttempts = 0
+        this.reconnectTimer = null
+        this.baseReconnectDelay = 1000
+        this.maxReconnectDelay = 30000
+        this.onConnectionState = null // (state, info) => {} state: "connected" | "reconnecting" | "disconnected" | "kicked"
+
+        // Client state kept by the server for a resume (inventory, fuego...)
+        this.getPlayerData = null // () => Object, provided by the game
+        this.onPlayerDataRestored = null // (data) => {}
+        this.onFuegoCount = null // (value) => {} The server keeps the fuego count in rooms
+        this.onCraftResult = null // (result) => {} { requestId, ok, message, item, fuegoCount }
+        this.playerDataInterval = 2 // Seconds between checks
+        this.playerDataTimer = 0
+        this.lastPlayerData = null // JSON of the last data sent
+
+        // Rooms / Lobby
+        this.currentRoom = null
+        this.pendingRoom = null // Room to join right after connecting
+        this.rooms = [] // Last roomList: [{ name, players, maxPlayers }]
+        this.onRoomList = null
+        this.onRoomJoined = null
+        this.onRoomLeft = null
+        this.onRoomError = null
+
+        // Placed objects (pads, turrets, map objects) replicated by the room
+        this.onObjectPlaced = null // (object, requestId) => {} requestId only for our own placements
+        this.onPlaceRejected = null // (requestId, message) => {}
+        this.onObjectRemoved = null // (objectId) => {}
+        this.onObjectsCleared = null // Room changed or connection lost
+
+        // Dropped items (server-assigned ids, pickups approved by the server)
+        this.onItemDropped = null // (drop) => {}
+        this.onItemPickedUp = null // (dropId, playerId, item) => {}
+        this.onItemSettled = null // (dropId, position) => {}
+        this.onDropDenied = null // (item) => {} Throw rejected, item goes back to us
+        this.onPickupDenied = null // (dropId) => {}
+        this.onDropsCleared = null
+
+        // Projectiles fired by other players (simulated by the server tick)
+        this.onProjectileSpawned = null // (projectile) => {} { id, ownerId, origin, velocity, bulletDrop }
+        this.onProjectileRemoved = null // (projectileId) => {}
+        this.onProjectilesCleared = null
+
+        // Farming zones of the room (the server spawns their fuego)
+        this.onFarmingZones = null // (zones) => {} [{ position, spawnInterval, itemsPerSpawn, itemValue }]
+
         // Interpolation settings
         this.updateRate = 1000 / 20 // 20 updates per second
         this.lastUpdateTime = 0
 
-        this.onChatMessage = null
+        // Remote players are rendered this far in the past (ms), between buffered snapshots
+        this.interpolationDelay = 100
+        this.serverTimeOffset = null // serverTime - localTime estimate
+
+        // Wire format: binary delta snapshots, or JSON for debugging (?protocol=json)
+        this.useBinary = true
+        this.snapshotDecoder = new SnapshotDecoder()
+        this.netIds = new Map() // Map<netId, playerId> (binary snapshots use the short id)
+
+        this.onChatMessage = null // (playerId, message, sender, channel, to, time) => {}
+        this.onChatHistory = null // (messages) => {} Last room lines, when joining a room
+        this.onSystemMessage = null // (message, isAnnouncement) => {} Server notices and admin announcements
+
+        // Server slash commands we may run (admin ones once logged in with /admin)
+        this.isAdmin = false
+        this.onCommands = null // (commands, isAdmin) => {} [{ name, aliases, usage, description }]
+        this.pendingPings = new Map() // Map<pingId, { time, callback }>
+        this.pingCounter = 0
         this.showPlayerNames = true
+        this.isPlayerBlocked = null // (name) => boolean  Blocked players get no name label
     }
 
-    connect(serverUrl) {
+    /**
+     * @param {string} serverUrl
+     * @param {string|null} roomName - Room to join (created if missing) once connected
+     */
+    connect(serverUrl, roomName = null) {
         this.serverUrl = serverUrl
+        if (roomName) this.pendingRoom = roomName
+        clearTimeout(this.reconnectTimer)
+        this.reconnectTimer = null
 
         try {
-            this.socket = new WebSocket(serverUrl)
+            const url = new URL(serverUrl)
+            if (!this.useBinary) url.searchParams.set("protocol", "json")
+
+            this.socket = new WebSocket(url.toString())
+            this.socket.binaryType = "arraybuffer"
 
             this.socket.onopen = () => {
                 console.log("[Network] Connected to server")
                 this.isConnected = true
+
+                // Handshake: the server answers with welcome (id + final profile)
+                this.send({
+                    type: "hello",
+                    name: this.profile.name,
+                    color: this.profile.color,
+                    token: this.token,
+                    resumeToken: this.resumeToken,
+                })
             }
 
             this.socket.onmessage = (event) => {
+                if (event.data instanceof ArrayBuffer) {
+                    this.handleBinaryMessage(event.data)
+                    return
+                }
                 const message = JSON.parse(event.data)
                 this.handleMessage(message)
             }
@@ -39,21 +145,16 @@ export class NetworkManager {
             this.socket.onclose = () => {
                 console.log("[Network] Disconnected from server")
                 this.isConnected = false
-                this.playerId = null
+                this.serverTimeOffset = null
+                if (this.localCharacter) this.localCharacter.setPredictionEnabled(false)
 
-                // Clean up remote players
-                this.remotePlayers.forEach((player) => {
-                    player.dispose()
-                })
-                this.remotePlayers.clear()
+                // Closed on purpose (disconnect)
+                if (!this.serverUrl) return
 
-                // Try to reconnect after 3 seconds
-                setTimeout(() => {
-                    if (this.serverUrl) {
-                        console.log("[Network] Attempting to reconnect...")
-                        this.connect(this.serverUrl)
-                    }
-                }, 3000)
+                // Remote players and room objects stay until we know if the session was resumed.
+                // If it wasn't, we join the same room again
+                if (this.currentRoom) this.pendingRoom = this.currentRoom
+                this.scheduleReconnect()
             }
 
             this.socket.onerror = (error) => {
@@ -64,60 +165,330 @@ export class NetworkManager {
         }
     }
 
+    /**
+     * Exponential backoff (1s, 2s, 4s... up to maxReconnectDelay) with some jitter,
+     * so clients dropped by the same server restart don't all come back at once
+     */
+    scheduleReconnect() {
+        const delay = Math.min(this.maxReconnectDelay, this.baseReconnectDelay * Math.pow(2, this.reconnectAttempts))
+        const jittered = Math.round(delay * (0.8 + Math.random() * 0.4))
+        this.reconnectAttempts++
+
+        console.log(`[Network] Reconnecting in ${jittered}ms (attempt ${this.reconnectAttempts})`)
+        if (this.onConnectionState) {
+            this.onConnectionState("reconnecting", { attempt: this.reconnectAttempts, delay: jittered })
+        }
+
+        clearTimeout(this.reconnectTimer)
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null
+            if (this.serverUrl) this.connect(this.serverUrl)
+        }, jittered)
+    }
+
+    /**
+     * Binary messages are decoded into the same shapes as their JSON versions
+     */
+    handleBinaryMessage(data) {
+        switch (NetworkProtocol.getType(data)) {
+            case MessageType.PLAYER_STATE:
+                this.handleMessage(NetworkProtocol.decodePlayerState(data))
+                break
+
+            case MessageType.SNAPSHOT: {
+                const snapshot = this.snapshotDecoder.decode(data)
+                snapshot.entities.forEach((entity) => {
+                    const playerId = this.netIds.get(entity.netId)
+                    if (!playerId) return
+                    this.handleMessage({
+                        type: "playerUpdate",
+                        playerId: playerId,
+                        time: snapshot.time,
+                        position: entity.position,
+                        rotation: entity.rotation,
+                        animation: entity.animation,
+                    })
+                })
+                break
+            }
+        }
+    }
+
     handleMessage(message) {
         switch (message.type) {
             case "welcome":
-                // Server assigned us an ID
+                // Server assigned us an ID and validated our profile (the name may be deduped)
                 this.playerId = message.playerId
-                console.log(`[Network] Assigned player ID: ${this.playerId}`)
+                this.token = message.token
+                this.profile = { name: message.name, color: message.color }
+                this.resumeToken = message.resumeToken || null
+                this.reconnectAttempts = 0
+                localStorage.setItem("playerToken", message.token)
+                if (this.resumeToken) sessionStorage.setItem("resumeToken", this.resumeToken)
+                console.log(`[Network] Assigned player ID: ${this.playerId} ("${message.name}")` + (message.resumed ? " (resumed)" : ""))
                 if (this.onConnected) {
                     this.onConnected(this.playerId)
                 }
+                if (this.onConnectionState) this.onConnectionState("connected", { resumed: !!message.resumed })
+
+                // Resumed: roomJoined comes next with our old slot
+                if (message.resumed) {
+                    this.pendingRoom = null
+                    break
+                }
+
+                // Inventory and fuego the server kept from earlier sessions (or from before a restart)
+                if (message.data && this.onPlayerDataRestored) this.onPlayerDataRestored(message.data)
+
+                // New session: whatever we had from the previous one is gone
+                if (this.currentRoom) {
+                    this.clearRoomState()
+                    this.currentRoom = null
+                }
+                if (this.pendingRoom) {
+                    this.joinRoom(this.pendingRoom, true)
+                    this.pendingRoom = null
+                }
+                break
+
+            case "kicked":
+                // Removed by the server: no reconnect, no resume
+                console.warn("[Network] Kicked:", message.reason)
+                this.disconnect()
+                if (this.onConnectionState) this.onConnectionState("kicked", { reason: message.reason })
+                break
+
+            case "roomList":
+                this.rooms = message.rooms || []
+                if (this.onRoomList) this.onRoomList(this.rooms)
+                break
+
+            case "roomJoined":
+                if (message.resumed) {
+                    // Same room: keep the remote players (gameState tells which ones are gone),
+                    // objects and drops are sent again in gameState
+                    this.clearRoomState(false)
+                } else {
+                    // Fresh room: drop players from the previous one
+                    this.clearRoomState()
+                }
+                this.currentRoom = message.room
+                this.lastPlayerData = null
+                console.log(`[Network] ${message.resumed ? "Resumed" : "Joined"} room "${message.room}"`)
+                if (this.localCharacter) {
+                    this.localCharacter.setPredictionEnabled(true)
+                    if (message.resumed) this.localCharacter.continueInputSeq(message.inputSeq)
+                }
+                // After a reload the game starts empty: take back what the server kept
+                if (message.resumed && message.data && this.onPlayerDataRestored) this.onPlayerDataRestored(message.data)
+                if (this.onRoomJoined) this.onRoomJoined(message.room, message.position)
+                break
+
+            case "roomLeft":
+                this.clearRoomState()
+                this.currentRoom = null
+                if (this.localCharacter) this.localCharacter.setPredictionEnabled(false)
+                if (this.onRoomLeft) this.onRoomLeft(message.room)
+                break
+
+            case "roomError":
+                console.warn("[Network] Room error:", message.message)
+                if (this.onRoomError) this.onRoomError(message.message)
                 break
 
             case "playerJoined":
-                // A new player joined
+                // A new player joined the room (shown once it enters our area, see playerEnter)
                 if (message.playerId !== this.playerId) {
-                    this.addRemotePlayer(message.playerId, message.position, message.rotation)
-                    console.log(`[Network] Player ${message.playerId} joined`)
+                    this.roster.set(message.playerId, { netId: message.netId, name: message.name, color: message.color })
+                    if (message.netId) this.netIds.set(message.netId, message.playerId)
+                    console.log(`[Network] Player ${message.name} joined`)
                 }
                 break
 
             case "playerLeft":
                 // A player left
+                this.roster.delete(message.playerId)
                 this.removeRemotePlayer(message.playerId)
                 console.log(`[Network] Player ${message.playerId} left`)
                 break
 
+            case "playerEnter":
+                // Came into our area of interest
+                if (message.playerId !== this.playerId) {
+                    if (message.netId) this.netIds.set(message.netId, message.playerId)
+                    this.updateServerTime(message.time)
+                    const existing = this.remotePlayers.get(message.playerId)
+                    if (existing) {
+                        // Kept from before a resume
+                        existing.addSnapshot(message.time, message.position, message.rotation)
+                    } else {
+                        this.addRemotePlayer(message.playerId, message.position, message.rotation, message.time, {
+                            name: message.name,
+                            color: message.color,
+                        })
+                    }
+                    const player = this.remotePlayers.get(message.playerId)
+                    if (player && message.animation) player.switchAnimation(message.animation)
+                }
+                break
+
+            case "playerLeave":
+                // Out of our area of interest (still in the room)
+                this.removeRemotePlayer(message.playerId)
+                break
+
+            case "playerState":
+                // Authoritative state of our own player
+                if (this.localCharacter) {
+                    this.localCharacter.reconcile(message)
+                }
+                break
+
+            case "snapshot":
+                // Batched tick update (protocol=json; binary clients get the same as SNAPSHOT)
+                message.players.forEach((player) => {
+                    this.handleMessage({ type: "playerUpdate", time: message.time, ...player })
+                })
+                break
+
             case "playerUpdate":
                 // Update remote player position
                 if (message.playerId !== this.playerId) {
-                    this.updateRemotePlayer(message.playerId, message.position, message.rotation, message.animation)
+                    this.updateServerTime(message.time)
+                    this.updateRemotePlayer(message.playerId, message.position, message.rotation, message.animation, message.time)
                 }
                 break
 
             case "gameState":
-                // Full game state (all current players)
+                // Full game state (room roster; nearby players arrive as playerEnter)
+                this.updateServerTime(message.time)
                 message.players.forEach((playerData) => {
                     if (playerData.id !== this.playerId) {
-                        if (!this.remotePlayers.has(playerData.id)) {
-                            this.addRemotePlayer(playerData.id, playerData.position, playerData.rotation)
-                        } else {
-                            this.updateRemotePlayer(playerData.id, playerData.position, playerData.rotation, playerData.animation)
-                        }
+                        this.roster.set(playerData.id, { netId: playerData.netId, name: playerData.name, color: playerData.color })
+                        if (playerData.netId) this.netIds.set(playerData.netId, playerData.id)
                     }
                 })
+                // Resumed session: drop remote players that left or went away while we were gone
+                if (message.visible) {
+                    const visible = new Set(message.visible)
+                    Array.from(this.remotePlayers.keys()).forEach((playerId) => {
+                        if (!visible.has(playerId)) this.removeRemotePlayer(playerId)
+                    })
+                }
+                // Objects placed before we joined
+                if (message.objects && this.onObjectPlaced) {
+                    message.objects.forEach((object) => this.onObjectPlaced(object))
+                }
+                // Items lying on the ground
+                if (message.drops && this.onItemDropped) {
+                    message.drops.forEach((drop) => this.onItemDropped(drop))
+                }
+                if (message.farmingZones && this.onFarmingZones) this.onFarmingZones(message.farmingZones)
+                break
+
+            case "objectPlaced":
+                if (this.onObjectPlaced) this.onObjectPlaced(message.object, message.requestId)
+                break
+
+            case "placeRejected":
+                if (this.onPlaceRejected) this.onPlaceRejected(message.requestId, message.message)
+                break
+
+            case "objectRemoved":
+                if (this.onObjectRemoved) this.onObjectRemoved(message.id)
+                break
+
+            case "itemDropped":
+                if (this.onItemDropped) this.onItemDropped(message.drop)
+                break
+
+            case "itemPickedUp":
+                if (this.onItemPickedUp) this.onItemPickedUp(message.id, message.playerId, message.item)
+                break
+
+            case "itemSettled":
+                if (this.onItemSettled) this.onItemSettled(message.id, message.position)
+                break
+
+            case "projectileSpawned":
+                if (this.onProjectileSpawned) this.onProjectileSpawned(message.projectile)
+                break
+
+            case "projectileRemoved":
+                if (this.onProjectileRemoved) this.onProjectileRemoved(message.id)
+                break
+
+            case "npcSpawn":
+                this.addNpc(message.npc, message.time)
+                break
+
+            case "npcUpdate":
+                message.npcs.forEach((state) => {
+                    const npc = this.npcs.get(state.id)
+                    if (npc) npc.addSnapshot(message.time, state.position, state.rotation)
+                })
+                break
+
+            case "npcDespawn":
+                this.removeNpc(message.id)
+                break
+
+            case "dropDenied":
+                if (this.onDropDenied) this.onDropDenied(message.item)
+                break
+
+            case "pickupDenied":
+                if (this.onPickupDenied) this.onPickupDenied(message.id)
+                break
+
+            case "craftResult":
+                if (this.onCraftResult) this.onCraftResult(message)
+                break
+
+            case "fuegoCount":
+                if (this.onFuegoCount) this.onFuegoCount(message.value)
+                break
+
+            case "teleport":
+                // Moved by the server (admin): snap, the pending inputs were for the old position
+                if (this.localCharacter) {
+                    this.localCharacter.setPosition(message.position)
+                    this.localCharacter.setPredictionEnabled(true)
+                }
+                break
+
+            case "commands":
+                this.isAdmin = !!message.isAdmin
+                if (this.onCommands) this.onCommands(message.commands, this.isAdmin)
+                break
+
+            case "pong": {
+                const pending = this.pendingPings.get(message.id)
+                this.pendingPings.delete(message.id)
+                if (pending) pending.callback(Date.now() - pending.time)
+                break
+            }
+
+            case "systemMessage":
+                if (this.onSystemMessage) this.onSystemMessage(message.message, !!message.announcement)
                 break
 
             case "chat":
                 if (this.onChatMessage) {
-                    this.onChatMessage(message.playerId, message.message)
+                    this.onChatMessage(message.playerId, message.message, { name: message.name, color: message.color }, message.channel, message.to, message.time)
                 }
                 break
+
+            case "chatHistory":
+                if (this.onChatHistory) this.onChatHistory(message.messages)
+                break
         }
     }
 
-    addRemotePlayer(playerId, position, rotation) {
+    /**
+     * @param {Object} profile - { name, color } (falls back to the roster entry)
+     */
+    addRemotePlayer(playerId, position, rotation, time, profile = null) {
         if (this.remotePlayers.has(playerId)) return
 
         const spawnPosition = new THREE.Vector3(
@@ -126,14 +497,39 @@ export class NetworkManager {
             position?.z || Math.random() * 10 - 5,
         )
 
-        const remotePlayer = new RemotePlayer(this.scene, this.world, playerId, spawnPosition)
+        const remotePlayer = new RemotePlayer(this.scene, this.world, playerId, spawnPosition, profile || this.getPlayerProfile(playerId))
         if (rotation !== undefined) {
             remotePlayer.setRotation(rotation)
         }
-        remotePlayer.setLabelVisibility(this.showPlayerNames)
+        if (time !== undefined) {
+            remotePlayer.addSnapshot(time, spawnPosition, rotation)
+        }
+        remotePlayer.setLabelVisibility(this.isLabelVisible(remotePlayer))
         this.remotePlayers.set(playerId, remotePlayer)
     }
 
+    /**
+     * Everything that belongs to the current room (players, placed objects, drops)
+     * @param {boolean} removePlayers - false keeps the remote player models (resumed session)
+     */
+    clearRoomState(removePlayers = true) {
+        if (removePlayers) this.clearRemotePlayers()
+        this.clearNpcs() // Sent again (npcSpawn) after a resume
+        this.roster.clear()
+        this.netIds.clear()
+        this.snapshotDecoder.reset()
+        if (this.onObjectsCleared) this.onObjectsCleared()
+        if (this.onDropsCleared) this.onDropsCleared()
+        if (this.onProjectilesCleared) this.onProjectilesCleared()
+    }
+
+    clearRemotePlayers() {
+        this.remotePlayers.forEach((player) => {
+            player.dispose()
+        })
+        this.remotePlayers.clear()
+    }
+
     removeRemotePlayer(playerId) {
         const player = this.remotePlayers.get(playerId)
         if (player) {
@@ -142,79 +538,315 @@ export class NetworkManager {
         }
     }
 
-    updateRemotePlayer(playerId, position, rotation, animation) {
+    addNpc(data, time) {
+        if (this.npcs.has(data.id)) return
+
+        const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z)
+        const npc = new RemoteNPC(this.scene, this.world, data, position)
+        npc.setRotation(data.rotation)
+        npc.addSnapshot(time, position, data.rotation)
+        npc.setLabelVisibility(this.showPlayerNames)
+        this.npcs.set(data.id, npc)
+    }
+
+    removeNpc(npcId) {
+        const npc = this.npcs.get(npcId)
+        if (npc) {
+            npc.dispose()
+            this.npcs.delete(npcId)
+        }
+    }
+
+    clearNpcs() {
+        this.npcs.forEach((npc) => npc.dispose())
+        this.npcs.clear()
+    }
+
+    updateRemotePlayer(playerId, position, rotation, animation, time) {
         let player = this.remotePlayers.get(playerId)
 
         if (!player) {
             // Player doesn't exist yet, create them
-            this.addRemotePlayer(playerId, position, rotation)
+            this.addRemotePlayer(playerId, position, rotation, time)
             player = this.remotePlayers.get(playerId)
         }
 
         if (player) {
-            player.setTargetPosition(position.x, position.y, position.z)
-            player.setRotation(rotation)
+            player.addSnapshot(time !== undefined ? time : this.getServerTime(), position, rotation)
             if (animation) {
                 player.switchAnimation(animation)
             }
         }
     }
 
-    sendPlayerUpdate(position, rotation, animation) {
+    /**
+     * @returns {Object} - { name, color } of a player in the room (ourselves included)
+     */
+    getPlayerProfile(playerId) {
+        if (playerId === this.playerId) return this.profile
+        const entry = this.roster.get(playerId)
+        if (entry) return { name: entry.name, color: entry.color }
+        return { name: playerId.slice(-4), color: null }
+    }
+
+    /**
+     * Display name and model color for the next handshake
+     */
+    setProfile(name, color) {
+        this.profile = { name: name, color: color }
+        localStorage.setItem("playerName", name)
+        if (color !== null && color !== undefined) localStorage.setItem("playerColor", String(color))
+    }
+
+    setLocalCharacter(character) {
+        this.localCharacter = character
+    }
+
+    /**
+     * Sends the inputs recorded since the last update; the server simulates them
+     * and answers with playerState (acked seq) for reconciliation.
+     */
+    sendPlayerUpdate(rotation, animation) {
         if (!this.isConnected || !this.socket || this.socket.readyState !== WebSocket.OPEN) return
+        if (!this.localCharacter) return
 
         const now = Date.now()
         if (now - this.lastUpdateTime < this.updateRate) return
         this.lastUpdateTime = now
 
+        const inputs = this.localCharacter.takeUnsentInputs()
+        if (inputs.length === 0) return
+
         const message = {
-            type: "playerUpdate",
-            position: {
-                x: position.x,
-                y: position.y,
-                z: position.z,
-            },
+            type: "playerInput",
+            ack: this.snapshotDecoder.lastSeq, // Baseline for the next delta snapshots
+            inputs: inputs.map((record) => ({
+                seq: record.seq,
+                dt: record.dt,
+                input: record.command,
+            })),
             rotation: rotation,
             animation: animation,
         }
 
-        this.socket.send(JSON.stringify(message))
+        if (this.useBinary) {
+            this.socket.send(NetworkProtocol.encodeInput(message))
+        } else {
+            this.socket.send(JSON.stringify(message))
+        }
+    }
+
+    /**
+     * Tracks the server clock from snapshot timestamps.
+     * Follows the freshest sample immediately and drifts slowly on late ones,
+     * so latency spikes don't pull the render time back.
+     */
+    updateServerTime(serverTime) {
+        if (serverTime === undefined) return
+        const sample = serverTime - Date.now()
+        if (this.serverTimeOffset === null || sample > this.serverTimeOffset) {
+            this.serverTimeOffset = sample
+        } else {
+            this.serverTimeOffset += (sample - this.serverTimeOffset) * 0.01
+        }
+    }
+
+    getServerTime() {
+        return Date.now() + (this.serverTimeOffset || 0)
+    }
+
+    /**
+     * @param {string} protocol - "binary" (default) or "json" (debug). Applies on the next connect.
+     */
+    setProtocol(protocol) {
+        this.useBinary = protocol !== "json"
+    }
+
+    setInterpolationDelay(ms) {
+        this.interpolationDelay = Math.max(0, ms)
     }
 
     update(dt) {
-        // Update all remote players (interpolation)
+        // Update all remote players (snapshot interpolation)
+        const renderTime = this.getServerTime() - this.interpolationDelay
         this.remotePlayers.forEach((player) => {
-            player.update(dt)
+            player.update(dt, renderTime)
         })
+        this.npcs.forEach((npc) => npc.update(dt, renderTime))
+
+        this.playerDataTimer += dt
+        if (this.playerDataTimer >= this.playerDataInterval) {
+            this.playerDataTimer = 0
+            this.sendPlayerData()
+        }
+    }
+
+    /**
+     * Sends the game's player data to the server when it changed, so a resume can give it back
+     */
+    sendPlayerData() {
+        if (!this.currentRoom || !this.getPlayerData) return
+
+        const data = this.getPlayerData()
+        const json = JSON.stringify(data)
+        if (json === this.lastPlayerData) return
+
+        this.lastPlayerData = json
+        this.send({ type: "playerData", data: data })
     }
 
     getPlayerCount() {
-        return this.remotePlayers.size + (this.isConnected ? 1 : 0)
+        return this.roster.size + (this.currentRoom ? 1 : 0)
     }
 
     disconnect() {
+        // Leaving on purpose: the server frees our slot right away instead of keeping it to resume
+        if (this.currentRoom) this.leaveRoom()
+        this.serverUrl = null
+        this.currentRoom = null
+        this.pendingRoom = null
+        this.resumeToken = null
+        this.reconnectAttempts = 0
+        sessionStorage.removeItem("resumeToken")
+        clearTimeout(this.reconnectTimer)
+        this.reconnectTimer = null
         if (this.socket) {
             this.socket.close()
             this.socket = null
         }
         this.isConnected = false
-        this.serverUrl = null
+        this.playerId = null
+        this.isAdmin = false
+        this.pendingPings.clear()
+        if (this.onCommands) this.onCommands([], false)
+        this.clearRoomState()
+        if (this.onConnectionState) this.onConnectionState("disconnected", {})
     }
 
-    sendChatMessage(text) {
+    send(message) {
+        if (!this.isConnected || !this.socket || this.socket.readyState !== WebSocket.OPEN) return
+        this.socket.send(JSON.stringify(message))
+    }
+
+    // --- Rooms ---
+    listRooms() {
+        this.send({ type: "listRooms" })
+    }
+
+    createRoom(name, maxPlayers) {
+        this.send({ type: "createRoom", name: name, maxPlayers: maxPlayers })
+    }
+
+    /**
+     * @param {boolean} create - Create the room if it doesn't exist
+     */
+    joinRoom(name, create = false) {
+        this.send({ type: "joinRoom", name: name, create: create })
+    }
+
+    leaveRoom() {
+        this.send({ type: "leaveRoom" })
+    }
+
+    // --- Placed objects ---
+    /**
+     * Asks the room to place an object; it is created when objectPlaced comes back
+     * (placeRejected if the server refuses it, both with the same requestId)
+     * @param {Object} object - { kind, position, ... } (see PlacedObjectManager)
+     * @param {number} requestId
+     */
+    placeObject(object, requestId) {
+        this.send({ type: "placeObject", object: object, requestId: requestId })
+    }
+
+    removeObject(objectId) {
+        this.send({ type: "removeObject", id: objectId })
+    }
+
+    // --- Dropped items ---
+    /**
+     * Throws an item; every client spawns it when itemDropped comes back
+     * @param {Object} item - ItemRegistry.serialize data
+     */
+    dropItem(item, position, impulse, torque) {
+        this.send({ type: "dropItem", item: item, position: position, impulse: impulse, torque: torque })
+    }
+
+    pickupItem(dropId) {
+        this.send({ type: "pickupItem", id: dropId })
+    }
+
+    /**
+     * Crafting spends fuego, which the server keeps: it answers with craftResult
+     * @param {string} recipeId - CraftingManager RECIPES id
+     */
+    craft(recipeId, requestId) {
+        this.send({ type: "craft", recipeId: recipeId, requestId: requestId })
+    }
+
+    // Resting position of a drop we threw
+    settleItem(dropId, position) {
+        this.send({ type: "itemSettled", id: dropId, position: position })
+    }
+
+    // --- Projectiles ---
+    /**
+     * Shot fired locally; the server simulates it and shows it to the rest of the room
+     */
+    shoot(origin, velocity, bulletDrop) {
+        this.send({ type: "shoot", origin: origin, velocity: velocity, bulletDrop: bulletDrop })
+    }
+
+    /**
+     * @param {string} channel - room (everyone in the room), team, proximity (players nearby) or whisper
+     * @param {string} to - Player name, for whispers
+     */
+    sendChatMessage(text, channel = "room", to = null) {
         if (!this.isConnected || !this.socket || this.socket.readyState !== WebSocket.OPEN) return
 
         const message = {
             type: "chat",
             text: text,
+            channel: channel,
+            to: to,
         }
         this.socket.send(JSON.stringify(message))
     }
 
+    /**
+     * Round trip to the server
+     * @param {Function} callback - (ms) => {}
+     * @returns {boolean} - false if not connected
+     */
+    ping(callback) {
+        if (!this.isConnected) return false
+        // By id, not by time: two pings in the same millisecond would share the key
+        const id = ++this.pingCounter
+        const time = Date.now()
+        this.pendingPings.set(id, { time: time, callback: callback })
+        this.send({ type: "ping", id: id, time: time })
+        return true
+    }
+
+    // Team for the team chat channel (null leaves it)
+    setTeam(team) {
+        this.send({ type: "setTeam", team: team })
+    }
+
     setShowPlayerNames(show) {
         this.showPlayerNames = show
+        this.refreshLabels()
+    }
+
+    // After the setting or the block list changed
+    refreshLabels() {
         this.remotePlayers.forEach((player) => {
-            player.setLabelVisibility(show)
+            player.setLabelVisibility(this.isLabelVisible(player))
         })
+        this.npcs.forEach((npc) => npc.setLabelVisibility(this.showPlayerNames))
+    }
+
+    isLabelVisible(player) {
+        return this.showPlayerNames && !(this.isPlayerBlocked && this.isPlayerBlocked(player.name))
     }
 }
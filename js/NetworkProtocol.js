@@ -0,0 +1,365 @@
+/**
+ * Protocolo binario para los mensajes de alta frecuencia (compartido cliente/servidor).
+ *
+ * - playerInput (cliente -> servidor): inputs con seq, dt y teclas en bits
+ * - playerState (servidor -> cliente): estado autoritativo propio (reconciliacion)
+ * - snapshot (servidor -> cliente): jugadores remotos cuantizados, delta contra
+ *   el ultimo snapshot confirmado (ack) por el cliente
+ *
+ * El resto de mensajes (salas, chat, objetos...) siguen en JSON.
+ * Con protocol=json tambien estos van en JSON (debug).
+ */
+
+export const MessageType = {
+    PLAYER_INPUT: 1,
+    PLAYER_STATE: 2,
+    SNAPSHOT: 3,
+}
+
+// Animation names sent as an index (unknown names fall back to Idle)
+export const ANIMATIONS = ["Idle", "Run", "Walk", "Jump", "Climb", "Fly"]
+
+const POSITION_SCALE = 100 // Centimeters
+const ANGLE_SCALE = 65536 / (Math.PI * 2)
+const DT_SCALE = 100000 // 10 microseconds
+const HISTORY_SIZE = 128 // Snapshots kept to decode / encode deltas
+
+// Entity flags
+const FLAG_FULL = 1
+const FLAG_X = 2
+const FLAG_Y = 4
+const FLAG_Z = 8
+const FLAG_ROTATION = 16
+const FLAG_ANIMATION = 32
+
+// Input key bits
+const KEY_FORWARD = 1
+const KEY_BACKWARD = 2
+const KEY_LEFT = 4
+const KEY_RIGHT = 8
+const KEY_JUMP = 16
+
+function quantizeAngle(angle) {
+    const turn = Math.PI * 2
+    const normalized = ((angle % turn) + turn) % turn
+    return Math.round(normalized * ANGLE_SCALE) & 0xFFFF
+}
+
+function dequantizeAngle(value) {
+    const angle = value / ANGLE_SCALE
+    return angle > Math.PI ? angle - Math.PI * 2 : angle
+}
+
+function animationIndex(name) {
+    const index = ANIMATIONS.indexOf(name)
+    return index === -1 ? 0 : index
+}
+
+function fitsInt16(value) {
+    return value >= -32768 && value <= 32767
+}
+
+/**
+ * Small growable writer over a DataView (little endian)
+ */
+class ByteWriter {
+    constructor(size = 64) {
+        this.buffer = new ArrayBuffer(size)
+        this.view = new DataView(this.buffer)
+        this.offset = 0
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return
+        const bigger = new ArrayBuffer(Math.max(this.buffer.byteLength * 2, this.offset + bytes))
+        new Uint8Array(bigger).set(new Uint8Array(this.buffer))
+        this.buffer = bigger
+        this.view = new DataView(bigger)
+    }
+
+    u8(v) { this.ensure(1); this.view.setUint8(this.offset, v); this.offset += 1 }
+    u16(v) { this.ensure(2); this.view.setUint16(this.offset, v, true); this.offset += 2 }
+    i16(v) { this.ensure(2); this.view.setInt16(this.offset, v, true); this.offset += 2 }
+    u32(v) { this.ensure(4); this.view.setUint32(this.offset, v, true); this.offset += 4 }
+    i32(v) { this.ensure(4); this.view.setInt32(this.offset, v, true); this.offset += 4 }
+    f32(v) { this.ensure(4); this.view.setFloat32(this.offset, v, true); this.offset += 4 }
+    f64(v) { this.ensure(8); this.view.setFloat64(this.offset, v, true); this.offset += 8 }
+
+    finish() {
+        return new Uint8Array(this.buffer, 0, this.offset)
+    }
+}
+
+class ByteReader {
+    constructor(data) {
+        // ArrayBuffer (browser) or Buffer/Uint8Array (ws in Node)
+        if (data instanceof ArrayBuffer) {
+            this.view = new DataView(data)
+        } else {
+            this.view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+        }
+        this.offset = 0
+    }
+
+    u8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v }
+    u16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v }
+    i16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v }
+    u32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v }
+    i32() { const v = this.view.getInt32(this.offset, true); this.offset += 4; return v }
+    f32() { const v = this.view.getFloat32(this.offset, true); this.offset += 4; return v }
+    f64() { const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v }
+}
+
+export class NetworkProtocol {
+    static getType(data) {
+        return new ByteReader(data).u8()
+    }
+
+    /**
+     * @param {Object} message - { ack, inputs: [{ seq, dt, input }], rotation, animation }
+     */
+    static encodeInput(message) {
+        const inputs = message.inputs.slice(-255)
+        const w = new ByteWriter(12 + inputs.length * 9)
+        w.u8(MessageType.PLAYER_INPUT)
+        w.u32(message.ack || 0)
+        w.u16(quantizeAngle(message.rotation || 0))
+        w.u8(animationIndex(message.animation))
+        w.u8(inputs.length)
+
+        inputs.forEach((record) => {
+            const input = record.input
+            let keys = 0
+            if (input.forward) keys |= KEY_FORWARD
+            if (input.backward) keys |= KEY_BACKWARD
+            if (input.left) keys |= KEY_LEFT
+            if (input.right) keys |= KEY_RIGHT
+            if (input.jump) keys |= KEY_JUMP
+
+            w.u32(record.seq)
+            w.u16(Math.min(Math.max(Math.round(record.dt * DT_SCALE), 0), 0xFFFF))
+            w.u8(keys)
+            w.u16(quantizeAngle(input.yaw || 0))
+        })
+        return w.finish()
+    }
+
+    static decodeInput(data) {
+        const r = new ByteReader(data)
+        r.u8() // type
+        const message = {
+            type: "playerInput",
+            ack: r.u32(),
+            rotation: dequantizeAngle(r.u16()),
+            animation: ANIMATIONS[r.u8()] || "Idle",
+            inputs: [],
+        }
+
+        const count = r.u8()
+        for (let i = 0; i < count; i++) {
+            const seq = r.u32()
+            const dt = r.u16() / DT_SCALE
+            const keys = r.u8()
+            const yaw = dequantizeAngle(r.u16())
+            message.inputs.push({
+                seq: seq,
+                dt: dt,
+                input: {
+                    forward: !!(keys & KEY_FORWARD),
+                    backward: !!(keys & KEY_BACKWARD),
+                    left: !!(keys & KEY_LEFT),
+                    right: !!(keys & KEY_RIGHT),
+                    jump: !!(keys & KEY_JUMP),
+                    yaw: yaw,
+                },
+            })
+        }
+        return message
+    }
+
+    /**
+     * Own authoritative state; full floats since it is compared against the prediction
+     * @param {Object} state - { seq, position, verticalVelocity, momentum, isClimbing }
+     */
+    static encodePlayerState(state) {
+        const w = new ByteWriter(34)
+        w.u8(MessageType.PLAYER_STATE)
+        w.u32(state.seq)
+        w.f32(state.position.x)
+        w.f32(state.position.y)
+        w.f32(state.position.z)
+        w.f32(state.verticalVelocity)
+        w.f32(state.momentum.x)
+        w.f32(state.momentum.y)
+        w.f32(state.momentum.z)
+        w.u8(state.isClimbing ? 1 : 0)
+        return w.finish()
+    }
+
+    static decodePlayerState(data) {
+        const r = new ByteReader(data)
+        r.u8() // type
+        return {
+            type: "playerState",
+            seq: r.u32(),
+            position: { x: r.f32(), y: r.f32(), z: r.f32() },
+            verticalVelocity: r.f32(),
+            momentum: { x: r.f32(), y: r.f32(), z: r.f32() },
+            isClimbing: r.u8() === 1,
+        }
+    }
+}
+
+/**
+ * Estado por cliente en el servidor: historial de snapshots enviados y ultimo ack.
+ * Cada snapshot guarda el estado cuantizado de todas las entidades conocidas,
+ * asi el siguiente puede ir en delta contra el que el cliente confirmo.
+ */
+export class SnapshotEncoder {
+    constructor() {
+        this.nextSeq = 1
+        this.ackedSeq = 0
+        this.history = new Map() // Map<seq, Map<netId, quantized>>
+    }
+
+    // New room: forget baselines but keep counting, so acks still in flight can't match
+    reset() {
+        this.ackedSeq = 0
+        this.history.clear()
+    }
+
+    acknowledge(seq) {
+        // Only move forward, and only to snapshots we actually sent
+        if (seq > this.ackedSeq && this.history.has(seq)) this.ackedSeq = seq
+    }
+
+    /**
+     * @param {number} time - Server time (ms)
+     * @param {Array} entities - [{ netId, position, rotation, animation }]
+     * @returns {Uint8Array}
+     */
+    encode(time, entities) {
+        const seq = this.nextSeq++
+        const baselineSeq = this.history.has(this.ackedSeq) ? this.ackedSeq : 0
+        const baseline = this.history.get(baselineSeq) || new Map()
+        const current = new Map(baseline)
+
+        const w = new ByteWriter(18 + entities.length * 18)
+        w.u8(MessageType.SNAPSHOT)
+        w.u32(seq)
+        w.u32(baselineSeq)
+        w.f64(time)
+        w.u8(Math.min(entities.length, 255))
+
+        entities.slice(0, 255).forEach((entity) => {
+            const q = {
+                x: Math.round(entity.position.x * POSITION_SCALE),
+                y: Math.round(entity.position.y * POSITION_SCALE),
+                z: Math.round(entity.position.z * POSITION_SCALE),
+                rotation: quantizeAngle(entity.rotation || 0),
+                animation: animationIndex(entity.animation),
+            }
+            current.set(entity.netId, q)
+
+            const base = baseline.get(entity.netId)
+            const dx = base ? q.x - base.x : 0
+            const dy = base ? q.y - base.y : 0
+            const dz = base ? q.z - base.z : 0
+
+            w.u16(entity.netId)
+            if (!base || !fitsInt16(dx) || !fitsInt16(dy) || !fitsInt16(dz)) {
+                w.u8(FLAG_FULL)
+                w.i32(q.x)
+                w.i32(q.y)
+                w.i32(q.z)
+                w.u16(q.rotation)
+                w.u8(q.animation)
+                return
+            }
+
+            let flags = 0
+            if (dx !== 0) flags |= FLAG_X
+            if (dy !== 0) flags |= FLAG_Y
+            if (dz !== 0) flags |= FLAG_Z
+            if (q.rotation !== base.rotation) flags |= FLAG_ROTATION
+            if (q.animation !== base.animation) flags |= FLAG_ANIMATION
+
+            w.u8(flags)
+            if (flags & FLAG_X) w.i16(dx)
+            if (flags & FLAG_Y) w.i16(dy)
+            if (flags & FLAG_Z) w.i16(dz)
+            if (flags & FLAG_ROTATION) w.u16(q.rotation)
+            if (flags & FLAG_ANIMATION) w.u8(q.animation)
+        })
+
+        this.history.set(seq, current)
+        this.history.delete(seq - HISTORY_SIZE)
+        return w.finish()
+    }
+}
+
+/**
+ * Lado cliente: reconstruye snapshots delta con el mismo historial que el servidor
+ */
+export class SnapshotDecoder {
+    constructor() {
+        this.lastSeq = 0 // Latest snapshot received (sent back as ack)
+        this.history = new Map() // Map<seq, Map<netId, quantized>>
+    }
+
+    reset() {
+        this.lastSeq = 0
+        this.history.clear()
+    }
+
+    /**
+     * @returns {Object} - { seq, time, entities: [{ netId, position, rotation, animation }] }
+     */
+    decode(data) {
+        const r = new ByteReader(data)
+        r.u8() // type
+        const seq = r.u32()
+        const baselineSeq = r.u32()
+        const time = r.f64()
+        const count = r.u8()
+
+        const baseline = this.history.get(baselineSeq) || new Map()
+        if (baselineSeq !== 0 && !this.history.has(baselineSeq)) {
+            console.warn(`[Network] Missing snapshot baseline ${baselineSeq}`)
+        }
+        const current = new Map(baseline)
+        const entities = []
+
+        for (let i = 0; i < count; i++) {
+            const netId = r.u16()
+            const flags = r.u8()
+            let q
+
+            if (flags & FLAG_FULL) {
+                q = { x: r.i32(), y: r.i32(), z: r.i32(), rotation: r.u16(), animation: r.u8() }
+            } else {
+                const base = baseline.get(netId) || { x: 0, y: 0, z: 0, rotation: 0, animation: 0 }
+                q = { ...base }
+                if (flags & FLAG_X) q.x += r.i16()
+                if (flags & FLAG_Y) q.y += r.i16()
+                if (flags & FLAG_Z) q.z += r.i16()
+                if (flags & FLAG_ROTATION) q.rotation = r.u16()
+                if (flags & FLAG_ANIMATION) q.animation = r.u8()
+            }
+
+            current.set(netId, q)
+            entities.push({
+                netId: netId,
+                position: { x: q.x / POSITION_SCALE, y: q.y / POSITION_SCALE, z: q.z / POSITION_SCALE },
+                rotation: dequantizeAngle(q.rotation),
+                animation: ANIMATIONS[q.animation] || "Idle",
+            })
+        }
+
+        this.history.set(seq, current)
+        this.history.delete(seq - HISTORY_SIZE)
+        if (seq > this.lastSeq) this.lastSeq = seq
+
+        return { seq: seq, time: time, entities: entities }
+    }
+}
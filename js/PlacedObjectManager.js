@@ -0,0 +1,155 @@
+import * as THREE from "three"
+import { ImpulsePlatform } from "./ImpulsePlatform.js"
+import { TurretPad } from "./TurretPad.js"
+import { MapObjectItem } from "./item/MapObjectItem.js"
+
+/**
+ * Objetos colocados por los jugadores (impulse pads, torretas, objetos de mapa).
+ * En una sala la colocacion pasa por el servidor y todos los clientes crean el
+ * objeto al recibir objectPlaced; sin conexion se crean directamente.
+ *
+ * Formato (igual al del servidor):
+ * { kind: "impulsePad", position, direction, strength }
+ * { kind: "turret", position }
+ * { kind: "mapObject", mapObjectType, color, scale, position, rotation }
+ */
+export class PlacedObjectManager {
+    constructor(scene, world, platforms, networkManager) {
+        this.scene = scene
+        this.world = world
+        this.platforms = platforms // Game.platforms (pads and turrets are updated from there)
+        this.networkManager = networkManager
+
+        this.objects = new Map() // Map<objectId, { data, instance, root }>
+        this.localCounter = 0
+        this.pendingPlacements = new Map() // Map<requestId, onRejected> waiting for the server
+        this.requestCounter = 0
+
+        this.raycaster = new THREE.Raycaster()
+
+        // Network Events
+        this.networkManager.onObjectPlaced = (object, requestId) => {
+            this.pendingPlacements.delete(requestId)
+            this.spawn(object.id, object)
+        }
+        this.networkManager.onPlaceRejected = (requestId, message) => {
+            const onRejected = this.pendingPlacements.get(requestId)
+            this.pendingPlacements.delete(requestId)
+            if (onRejected) onRejected(message)
+        }
+        this.networkManager.onObjectRemoved = (objectId) => this.remove(objectId)
+        this.networkManager.onObjectsCleared = () => this.clear()
+    }
+
+    isOnline() {
+        return this.networkManager.isConnected && !!this.networkManager.currentRoom
+    }
+
+    /**
+     * Coloca un objeto (llamado desde Item.use via context.placeObject)
+     * @param {Function} onRejected - (message) => {} si el servidor no lo acepta (limite de la sala, datos no validos)
+     */
+    place(data, onRejected = null) {
+        if (this.isOnline()) {
+            // Created for everyone when the server answers with objectPlaced
+            const requestId = ++this.requestCounter
+            if (onRejected) this.pendingPlacements.set(requestId, onRejected)
+            this.networkManager.placeObject(data, requestId)
+        } else {
+            this.spawn("local_" + ++this.localCounter, data)
+        }
+    }
+
+    /**
+     * Pide quitar un objeto (solo el dueño puede en una sala)
+     */
+    requestRemove(objectId) {
+        if (!this.objects.has(objectId)) return
+
+        if (this.isOnline() && !objectId.startsWith("local_")) {
+            this.networkManager.removeObject(objectId)
+        } else {
+            this.remove(objectId)
+        }
+    }
+
+    spawn(objectId, data) {
+        if (this.objects.has(objectId)) return
+
+        const pos = new THREE.Vector3(data.position.x, data.position.y, data.position.z)
+        let instance = null
+        let root = null
+
+        if (data.kind === "impulsePad") {
+            const dir = new THREE.Vector3(data.direction.x, data.direction.y, data.direction.z)
+            instance = new ImpulsePlatform(this.scene, this.world, pos, dir, data.strength, "pad")
+            this.platforms.push(instance)
+            root = instance.mesh
+        } else if (data.kind === "turret") {
+            // placedAt is server time: how long it has been running
+            const animationTime = data.placedAt ? Math.max(0, (this.networkManager.getServerTime() - data.placedAt) / 1000) : 0
+            instance = new TurretPad(this.scene, this.world, pos, animationTime)
+            this.platforms.push(instance)
+            root = instance.mesh
+        } else if (data.kind === "mapObject") {
+            const builder = new MapObjectItem(objectId, "Placed Obj", data.mapObjectType, "", data.color, data.scale)
+            const rotation = new THREE.Euler(data.rotation.x, data.rotation.y, data.rotation.z)
+            instance = builder.createObjectInWorld(this.scene, this.world, pos, rotation)
+            root = instance.object3D
+        } else {
+            console.warn("PlacedObjectManager: unknown kind", data.kind)
+            return
+        }
+
+        // Tag for raycasting (removal)
+        if (root) root.userData.placedObjectId = objectId
+
+        this.objects.set(objectId, { data: data, instance: instance, root: root })
+    }
+
+    remove(objectId) {
+        const entry = this.objects.get(objectId)
+        if (!entry) return
+
+        if (entry.data.kind === "mapObject") {
+            this.scene.remove(entry.instance.object3D)
+            if (entry.instance.rigidBody) this.world.removeRigidBody(entry.instance.rigidBody)
+        } else {
+            const index = this.platforms.indexOf(entry.instance)
+            if (index !== -1) this.platforms.splice(index, 1)
+            entry.instance.dispose()
+        }
+
+        this.objects.delete(objectId)
+    }
+
+    clear() {
+        Array.from(this.objects.keys()).forEach((objectId) => this.remove(objectId))
+        this.pendingPlacements.clear() // Room changed or connection lost: no answer will come
+    }
+
+    /**
+     * Objeto colocado al que apunta la camara (centro de pantalla)
+     * @returns {string|null} - objectId
+     */
+    getTargetedObject(camera, maxDistance = 20) {
+        const roots = []
+        this.objects.forEach((entry) => {
+            if (entry.root) roots.push(entry.root)
+        })
+        if (roots.length === 0) return null
+
+        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), camera)
+        this.raycaster.far = maxDistance
+
+        const hits = this.raycaster.intersectObjects(roots, true)
+        for (const hit of hits) {
+            let obj = hit.object
+            while (obj) {
+                if (obj.userData.placedObjectId) return obj.userData.placedObjectId
+                obj = obj.parent
+            }
+        }
+        return null
+    }
+}
@@ -0,0 +1,38 @@
+import { RemotePlayer } from "./RemotePlayer.js"
+import { XbotModel } from "./XbotModel.js"
+
+/**
+ * NPC simulado por el servidor (ServerNPC), dibujado como un jugador remoto:
+ * mismo buffer de snapshots e interpolacion, pero con el Xbot de NPCRapier.
+ */
+export class RemoteNPC extends RemotePlayer {
+    /**
+     * @param {Object} data - npcSpawn data: { id, name, position, rotation }
+     */
+    constructor(scene, world, data, position) {
+        super(scene, world, data.id, position, { name: data.name })
+        this.rotationOffset = 0 // Xbot already faces +Z (the server rotation is atan2(x, z))
+    }
+
+    loadModel() {
+        XbotModel.load(
+            ({ model, mixer, animations }) => {
+                this.model = model
+                this.model.position.copy(this.currentPosition)
+                this.model.rotation.y = this.currentRotation + this.rotationOffset
+                this.scene.add(this.model)
+
+                this.mixer = mixer
+                this.animations = animations
+                this.currentAnimation = null // Nothing playing yet
+                this.switchAnimation("Idle")
+
+                this.createLabel()
+                this.initPhysics()
+            },
+            (error) => {
+                console.error(`[RemoteNPC ${this.playerId}] Error loading model:`, error)
+            },
+        )
+    }
+}
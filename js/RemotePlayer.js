@@ -3,10 +3,12 @@ import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js"
 import RAPIER from "@dimforge/rapier3d-compat"
 
 export class RemotePlayer {
-    constructor(scene, world, playerId, position = new THREE.Vector3(0, 0, 0)) {
+    constructor(scene, world, playerId, position = new THREE.Vector3(0, 0, 0), profile = {}) {
         this.scene = scene
         this.world = world
         this.playerId = playerId
+        this.name = profile.name || playerId.slice(-4)
+        this.color = Number.isInteger(profile.color) ? profile.color : null // Chosen model color
         this.model = null
         this.mixer = null
         this.animations = {}
@@ -14,13 +16,17 @@ export class RemotePlayer {
         this.currentAnimation = "Idle"
 
         this.currentPosition = position.clone()
-        this.targetPosition = position.clone()
-        this.interpolationSpeed = 10
+        this.previousPosition = position.clone()
 
         this.currentRotation = 0
-        this.targetRotation = 0
         this.rotationOffset = Math.PI
 
+        // Snapshot Interpolation
+        // Rendered renderTime = serverTime - delay, between the two surrounding snapshots
+        this.snapshots = [] // { time, position, rotation } ordered by server time
+        this.maxSnapshots = 30
+        this.maxExtrapolation = 250 // ms past the last snapshot before freezing
+
         this.label = null
         this.labelVisible = true
 
@@ -59,16 +65,7 @@ export class RemotePlayer {
                 this.switchAnimation("Idle")
 
                 this.createLabel()
-
-                this.createLabel()
-
-                // Rapier Collider (Kinematic)
-                let bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
-                    .setTranslation(this.currentPosition.x, this.currentPosition.y, this.currentPosition.z)
-                this.rigidBody = this.world.createRigidBody(bodyDesc)
-
-                let colliderDesc = RAPIER.ColliderDesc.capsule(0.5, 0.4).setTranslation(0, 0.9, 0)
-                this.collider = this.world.createCollider(colliderDesc, this.rigidBody)
+                this.initPhysics()
             },
             undefined,
             (error) => {
@@ -77,7 +74,19 @@ export class RemotePlayer {
         )
     }
 
+    // Rapier Collider (Kinematic), moved to the interpolated position every frame
+    initPhysics() {
+        let bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+            .setTranslation(this.currentPosition.x, this.currentPosition.y, this.currentPosition.z)
+        this.rigidBody = this.world.createRigidBody(bodyDesc)
+
+        let colliderDesc = RAPIER.ColliderDesc.capsule(0.5, 0.4).setTranslation(0, 0.9, 0)
+        this.collider = this.world.createCollider(colliderDesc, this.rigidBody)
+    }
+
     getPlayerColor() {
+        if (this.color !== null) return this.color
+
         const colors = [0x4488ff, 0xff4444, 0x44ff44, 0xffff44, 0xff44ff, 0x44ffff, 0xff8844, 0x8844ff]
         const hash = this.playerId.split("").reduce((acc, char) => acc + char.charCodeAt(0), 0)
         return colors[hash % colors.length]
@@ -85,24 +94,24 @@ export class RemotePlayer {
 
     createLabel() {
         const canvas = document.createElement("canvas")
-        canvas.width = 128
+        canvas.width = 256
         canvas.height = 32
         const ctx = canvas.getContext("2d")
 
         ctx.fillStyle = "rgba(0, 0, 0, 0.6)"
-        ctx.roundRect(0, 0, 128, 32, 6)
+        ctx.roundRect(0, 0, 256, 32, 6)
         ctx.fill()
 
         ctx.fillStyle = "#ffffff"
         ctx.font = "bold 16px Arial"
         ctx.textAlign = "center"
         ctx.textBaseline = "middle"
-        ctx.fillText(`${this.playerId.slice(-4)}`, 64, 16)
+        ctx.fillText(this.name, 128, 16)
 
         const texture = new THREE.CanvasTexture(canvas)
         const material = new THREE.SpriteMaterial({ map: texture })
         this.label = new THREE.Sprite(material)
-        this.label.scale.set(1, 0.25, 1)
+        this.label.scale.set(2, 0.25, 1)
         this.label.position.y = 2.2
         this.label.visible = this.labelVisible
 
@@ -118,12 +127,73 @@ export class RemotePlayer {
         }
     }
 
-    setTargetPosition(x, y, z) {
-        this.targetPosition.set(x, y, z)
+    /**
+     * Guarda un snapshot con tiempo del servidor
+     * @param {number} time - Server timestamp (ms)
+     */
+    addSnapshot(time, position, rotation) {
+        const last = this.snapshots[this.snapshots.length - 1]
+        if (last && time <= last.time) return // Out of order / duplicate
+
+        this.snapshots.push({
+            time: time,
+            position: new THREE.Vector3(position.x, position.y, position.z),
+            rotation: rotation !== undefined ? rotation : (last ? last.rotation : this.currentRotation),
+        })
+        if (this.snapshots.length > this.maxSnapshots) this.snapshots.shift()
     }
 
     setRotation(rotation) {
-        this.targetRotation = rotation
+        this.currentRotation = rotation
+    }
+
+    lerpAngle(a, b, t) {
+        let diff = b - a
+        while (diff > Math.PI) diff -= Math.PI * 2
+        while (diff < -Math.PI) diff += Math.PI * 2
+        return a + diff * t
+    }
+
+    /**
+     * Posicion/rotacion en renderTime a partir del buffer
+     */
+    sampleSnapshots(renderTime) {
+        const snaps = this.snapshots
+        if (snaps.length === 0) return
+
+        // Before the buffer: hold the oldest snapshot
+        if (renderTime <= snaps[0].time) {
+            this.currentPosition.copy(snaps[0].position)
+            this.currentRotation = snaps[0].rotation
+            return
+        }
+
+        // Interpolate between the two snapshots around renderTime
+        for (let i = snaps.length - 1; i > 0; i--) {
+            const from = snaps[i - 1]
+            const to = snaps[i]
+            if (renderTime >= from.time && renderTime <= to.time) {
+                const t = (renderTime - from.time) / (to.time - from.time)
+                this.currentPosition.lerpVectors(from.position, to.position, t)
+                this.currentRotation = this.lerpAngle(from.rotation, to.rotation, t)
+
+                // Old snapshots are no longer needed
+                if (i > 1) snaps.splice(0, i - 1)
+                return
+            }
+        }
+
+        // Past the newest snapshot (packet loss): extrapolate briefly, then hold
+        const last = snaps[snaps.length - 1]
+        const prev = snaps.length > 1 ? snaps[snaps.length - 2] : null
+        const ahead = Math.min(renderTime - last.time, this.maxExtrapolation)
+
+        this.currentPosition.copy(last.position)
+        this.currentRotation = last.rotation
+        if (prev && ahead > 0) {
+            const velocity = last.position.clone().sub(prev.position).divideScalar(last.time - prev.time)
+            this.currentPosition.addScaledVector(velocity, ahead)
+        }
     }
 
     switchAnimation(name) {
@@ -140,10 +210,15 @@ export class RemotePlayer {
         this.currentAnimation = name
     }
 
-    update(dt) {
+    /**
+     * @param {number} dt
+     * @param {number} renderTime - Server time (ms) to render at (now - interpolation delay)
+     */
+    update(dt, renderTime) {
         if (!this.model) return
 
-        this.currentPosition.lerp(this.targetPosition, this.interpolationSpeed * dt)
+        this.previousPosition.copy(this.currentPosition)
+        this.sampleSnapshots(renderTime)
         this.model.position.copy(this.currentPosition)
 
         // Update Physics Body
@@ -155,18 +230,17 @@ export class RemotePlayer {
             })
         }
 
-        let diff = this.targetRotation - this.currentRotation
-        while (diff > Math.PI) diff -= Math.PI * 2
-        while (diff < -Math.PI) diff += Math.PI * 2
-        this.currentRotation += diff * 0.15
         this.model.rotation.y = this.currentRotation + this.rotationOffset
 
         if (this.mixer) {
             this.mixer.update(dt)
         }
 
-        const distance = this.currentPosition.distanceTo(this.targetPosition)
-        if (distance > 0.1) {
+        // Horizontal speed of the rendered motion drives the animation
+        const dx = this.currentPosition.x - this.previousPosition.x
+        const dz = this.currentPosition.z - this.previousPosition.z
+        const speed = dt > 0 ? Math.sqrt(dx * dx + dz * dz) / dt : 0
+        if (speed > 1.0) {
             this.switchAnimation("Run")
         } else {
             this.switchAnimation("Idle")
@@ -3,15 +3,21 @@ import RAPIER from "@dimforge/rapier3d-compat"
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
 export class TurretPad {
-    constructor(scene, world, position) {
+    /**
+     * @param {number} animationTime - Seconds the turret has been running (server clock), so every client plays it in phase
+     */
+    constructor(scene, world, position, animationTime = 0) {
         this.scene = scene
         this.world = world
         this.position = position
+        this.animationTime = animationTime
+        this.createdAt = performance.now()
 
         this.width = 3
         this.height = 0.2
         this.depth = 3
 
+        this.rigidBody = null
         this.collider = null
         this.mesh = null
         this.model = null
@@ -29,7 +35,7 @@ export class TurretPad {
             this.position.y - (this.height / 2),
             this.position.z
         )
-        let rigidBody = this.world.createRigidBody(bodyDesc)
+        this.rigidBody = this.world.createRigidBody(bodyDesc)
 
         // Collider: Cuboid
         let colliderDesc = RAPIER.ColliderDesc.cuboid(
@@ -38,7 +44,7 @@ export class TurretPad {
             this.depth / 2
         )
 
-        this.collider = this.world.createCollider(colliderDesc, rigidBody)
+        this.collider = this.world.createCollider(colliderDesc, this.rigidBody)
     }
 
     initVisuals() {
@@ -88,9 +94,18 @@ export class TurretPad {
         })
     }
 
-    update(delta) {
+    // Animation follows the clock (not frame deltas), same phase on every client
+    update() {
         if (this.mixer) {
-            this.mixer.update(delta)
+            this.mixer.setTime(this.animationTime + (performance.now() - this.createdAt) / 1000)
         }
     }
+
+    dispose() {
+        if (this.mesh) this.scene.remove(this.mesh)
+        if (this.mixer) this.mixer.stopAllAction()
+        if (this.rigidBody) this.world.removeRigidBody(this.rigidBody)
+        this.rigidBody = null
+        this.collider = null
+    }
 }
@@ -0,0 +1,43 @@
+import * as THREE from "three"
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js"
+
+/**
+ * Modelo Xbot de los NPC (NPCRapier local y RemoteNPC en red).
+ * Los clips del glb van en minusculas; aqui se mapean a los nombres del juego.
+ */
+export class XbotModel {
+    static url = "./assets/Xbot.glb"
+
+    // Game animation name -> clip name in Xbot.glb
+    static animationClips = {
+        Idle: "idle",
+        Walk: "walk",
+        Run: "run",
+    }
+
+    /**
+     * @param {Function} onLoad - ({ model, mixer, animations }) with animations by game name
+     * @param {Function} onError
+     */
+    static load(onLoad, onError) {
+        const loader = new GLTFLoader()
+        loader.load(
+            XbotModel.url,
+            (gltf) => {
+                const model = gltf.scene
+                model.traverse((o) => { if (o.isMesh) o.castShadow = true })
+
+                const mixer = new THREE.AnimationMixer(model)
+                const animations = {}
+                Object.entries(XbotModel.animationClips).forEach(([name, clipName]) => {
+                    const clip = THREE.AnimationClip.findByName(gltf.animations, clipName)
+                    if (clip) animations[name] = mixer.clipAction(clip)
+                })
+
+                onLoad({ model, mixer, animations })
+            },
+            undefined,
+            onError,
+        )
+    }
+}
@@ -0,0 +1,243 @@
+import { ItemRegistry } from "./ItemRegistry.js";
+
+/**
+ * Recetas (solo datos). Los items se nombran por su id del catalogo (ItemRegistry.definitions),
+ * que es el unico sitio con sus datos (nombre, icono, fuerza...):
+ * - fuego: coste en fuego
+ * - ingredients: [{ id, count }] items que se gastan (de la hotbar o la mochila)
+ * - output: { id, count } el item fabricado
+ * - recharge: id en vez de output, rellena las cargas del primero que las haya gastado
+ * - unlock: opcional, { fuegoCollected: N } (fuego recogido en total) o { crafted: recipeId }
+ * - icon: opcional, icono del panel (si no, el del item fabricado)
+ */
+export const RECIPES = [
+    {
+        id: "impulso",
+        name: "Impulso Lateral",
+        fuego: 5,
+        output: { id: "pad_lat", count: 2 },
+    },
+    {
+        id: "salto",
+        name: "Salto Vertical",
+        fuego: 5,
+        output: { id: "pad_jump", count: 2 },
+    },
+    {
+        id: "supersalto",
+        name: "Super Salto",
+        fuego: 10,
+        ingredients: [{ id: "pad_jump", count: 2 }],
+        output: { id: "pad_jump_super", count: 1 },
+        unlock: { crafted: "salto" },
+    },
+    {
+        id: "torreta",
+        name: "Torreta",
+        fuego: 15,
+        ingredients: [{ id: "pad_lat", count: 1 }],
+        output: { id: "pad_turret", count: 1 },
+        unlock: { fuegoCollected: 30 },
+    },
+    {
+        id: "pelota",
+        name: "Lanzador de Pelotas",
+        fuego: 25,
+        output: { id: "pelota", count: 1 },
+        unlock: { fuegoCollected: 60 },
+    },
+    {
+        id: "municion",
+        name: "Munición (recarga el lanzador)",
+        fuego: 3,
+        icon: "./assets/textures/pelota.png",
+        recharge: "pelota",
+    },
+];
+
+// { type, id } of a catalog item, as ItemRegistry.matches and InventoryManager.countItems take it
+function catalogMatch(id) {
+    return { type: ItemRegistry.definitions.get(id).type, id: id };
+}
+
+function catalogName(id) {
+    return ItemRegistry.definitions.get(id).name;
+}
+
+/**
+ * Fabricacion: comprueba y gasta fuego e ingredientes del InventoryManager y entrega el resultado.
+ * El fuego lo lleva el juego (getFuego/spendFuego); aqui solo el progreso de desbloqueos.
+ * Conectado, el fuego es del servidor: la receta se le pide (sendCraft) y el resultado llega con
+ * handleCraftResult. Los ingredientes se gastan al pedirla y se devuelven si el servidor dice que no.
+ */
+export class CraftingManager {
+    constructor(inventoryManager, recipes = RECIPES) {
+        this.inventoryManager = inventoryManager;
+        this.recipes = recipes;
+
+        this.getFuego = null; // () => number, provided by the game
+        this.spendFuego = null; // (amount) => {}
+        this.onUnlock = null; // (recipe) => {} A recipe became available
+        this.isOnline = null; // () => boolean, connected: the server spends the fuego
+        this.sendCraft = null; // (recipeId, requestId) => {}
+
+        this.fuegoCollected = 0; // Total ever collected, for unlocks
+        this.crafted = new Set(); // Recipe ids crafted at least once
+
+        this.pendingCrafts = new Map(); // Map<requestId, recipe> waiting for the server
+        this.requestCounter = 0;
+    }
+
+    getRecipe(id) {
+        return this.recipes.find((recipe) => recipe.id === id) || null;
+    }
+
+    isUnlocked(recipe) {
+        const unlock = recipe.unlock;
+        if (!unlock) return true;
+        if (unlock.fuegoCollected !== undefined && this.fuegoCollected < unlock.fuegoCollected) return false;
+        if (unlock.crafted !== undefined && !this.crafted.has(unlock.crafted)) return false;
+        return true;
+    }
+
+    getUnlockText(recipe) {
+        const unlock = recipe.unlock || {};
+        if (unlock.fuegoCollected !== undefined) return `Recoge ${unlock.fuegoCollected} fuego (${this.fuegoCollected})`;
+        if (unlock.crafted !== undefined) {
+            const required = this.getRecipe(unlock.crafted);
+            return `Fabrica antes: ${required ? required.name : unlock.crafted}`;
+        }
+        return "";
+    }
+
+    /**
+     * Lo que falta para fabricar (vacio = se puede)
+     * @returns {Array<string>}
+     */
+    getMissing(recipe) {
+        if (!this.isUnlocked(recipe)) return [this.getUnlockText(recipe)];
+
+        const missing = [];
+        const fuego = this.getFuego ? this.getFuego() : 0;
+        if (recipe.fuego && fuego < recipe.fuego) missing.push(`${recipe.fuego - fuego} fuego`);
+
+        (recipe.ingredients || []).forEach((ingredient) => {
+            const have = this.inventoryManager.countItems(catalogMatch(ingredient.id));
+            if (have < ingredient.count) missing.push(`${ingredient.count - have} ${catalogName(ingredient.id)}`);
+        });
+
+        if (recipe.recharge && !this.findRechargeTarget(recipe)) {
+            missing.push(`${catalogName(recipe.recharge)} con cargas gastadas`);
+        } else if (recipe.output && !this.inventoryManager.hasRoomFor(this.createOutput(recipe))) {
+            missing.push("hueco en el inventario");
+        }
+        return missing;
+    }
+
+    /**
+     * @returns {Object} - { ok, message }
+     */
+    craft(id) {
+        const recipe = this.getRecipe(id);
+        if (!recipe) return { ok: false, message: `No existe la receta ${id}` };
+        if (!this.isUnlocked(recipe)) return { ok: false, message: `${recipe.name}: bloqueada. ${this.getUnlockText(recipe)}` };
+
+        const missing = this.getMissing(recipe);
+        if (missing.length > 0) return { ok: false, message: `${recipe.name}: falta ${missing.join(", ")}` };
+
+        (recipe.ingredients || []).forEach((ingredient) => this.inventoryManager.removeItems(catalogMatch(ingredient.id), ingredient.count));
+
+        if (this.isOnline && this.isOnline()) {
+            const requestId = ++this.requestCounter;
+            this.pendingCrafts.set(requestId, recipe);
+            this.sendCraft(recipe.id, requestId);
+            return { ok: true, message: `Fabricando: ${recipe.name}...` };
+        }
+
+        if (recipe.fuego && this.spendFuego) this.spendFuego(recipe.fuego);
+        return this.finishCraft(recipe, this.createOutput(recipe));
+    }
+
+    /**
+     * Respuesta del servidor a sendCraft (el fuego que queda lo aplica el juego)
+     * @param {Object} result - { requestId, ok, message, item: datos de ItemRegistry.serialize | null }
+     * @returns {Object|null} - { ok, message }, null si no era nuestra
+     */
+    handleCraftResult(result) {
+        const recipe = this.pendingCrafts.get(result.requestId);
+        this.pendingCrafts.delete(result.requestId);
+        if (!recipe) return null;
+
+        if (!result.ok) {
+            (recipe.ingredients || []).forEach((ingredient) => this.inventoryManager.addItem(ItemRegistry.create(ingredient.id, ingredient.count)));
+            return { ok: false, message: `${recipe.name}: ${result.message}` };
+        }
+        const item = result.item ? ItemRegistry.deserialize(result.item) : null;
+        return this.finishCraft(recipe, item || (recipe.output ? this.createOutput(recipe) : null));
+    }
+
+    // Connection lost: those answers are not coming
+    clearPending() {
+        this.pendingCrafts.clear();
+    }
+
+    finishCraft(recipe, item) {
+        let message;
+        if (recipe.recharge) {
+            const target = this.findRechargeTarget(recipe);
+            if (!target) return { ok: false, message: `${recipe.name}: nada que recargar` };
+            const recovered = target.recharge();
+            this.inventoryManager.updateUI();
+            message = `${target.name}: +${recovered} cargas`;
+        } else {
+            message = `Fabricado: ${item.count} ${recipe.name}`;
+            this.inventoryManager.addItem(item);
+        }
+
+        this.markCrafted(recipe);
+        return { ok: true, message: message };
+    }
+
+    createOutput(recipe) {
+        return ItemRegistry.create(recipe.output.id, recipe.output.count);
+    }
+
+    getIngredientName(ingredient) {
+        return catalogName(ingredient.id);
+    }
+
+    findRechargeTarget(recipe) {
+        const match = catalogMatch(recipe.recharge);
+        return this.inventoryManager.findItem((item) => ItemRegistry.matches(item, match) && item.charges < item.maxCharges);
+    }
+
+    markCrafted(recipe) {
+        this.checkUnlocks(() => this.crafted.add(recipe.id));
+    }
+
+    addFuegoCollected(amount) {
+        this.checkUnlocks(() => { this.fuegoCollected += amount; });
+    }
+
+    // Runs change() and reports the recipes it unlocked
+    checkUnlocks(change) {
+        const locked = this.recipes.filter((recipe) => !this.isUnlocked(recipe));
+        change();
+        locked.filter((recipe) => this.isUnlocked(recipe)).forEach((recipe) => {
+            if (this.onUnlock) this.onUnlock(recipe);
+        });
+    }
+
+    /**
+     * Progreso de desbloqueos, va en el playerData (localStorage y servidor)
+     */
+    serialize() {
+        return { fuegoCollected: this.fuegoCollected, crafted: Array.from(this.crafted) };
+    }
+
+    restore(data) {
+        if (!data) return;
+        if (Number.isFinite(data.fuegoCollected)) this.fuegoCollected = data.fuegoCollected;
+        if (Array.isArray(data.crafted)) this.crafted = new Set(data.crafted.filter((id) => typeof id === "string"));
+    }
+}
@@ -8,6 +8,13 @@ export class DroppedItem {
         this.item = item;
         this.isCollected = false;
 
+        // Network state (only for drops replicated by the server)
+        this.networkId = null;
+        this.isOwnDrop = false;
+        this.pickupPending = false;
+        this.settleReported = false;
+        this.age = 0;
+
         // Visuals
         this.mesh = new THREE.Group();
 
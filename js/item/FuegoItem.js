@@ -7,6 +7,10 @@ export class FuegoItem extends Item {
         this.type = "collectible"; 
     }
 
+    getStats() {
+        return [["Valor", this.value || 1]];
+    }
+
     getDisplayMesh() {
         const textureLoader = new THREE.TextureLoader();
         const texture = textureLoader.load(this.iconPath);
@@ -1,5 +1,4 @@
 import { Item } from "./Item.js";
-import { ImpulsePlatform } from "../ImpulsePlatform.js";
 import * as THREE from "three";
 
 export class ImpulseItem extends Item {
@@ -7,13 +6,19 @@ export class ImpulseItem extends Item {
         super(id, name, iconPath);
         this.type = type; // "lateral" | "jump"
         this.strength = strength;
+        this.consumable = true; // Cada pad colocado gasta uno
+        this.cooldown = 0.5;
+    }
+
+    canStackWith(other) {
+        return super.canStackWith(other) && other.type === this.type && other.strength === this.strength;
     }
 
     use(context) {
         // Necesitamos acceso a los componentes de contexto
-        // context = { scene, world, placementManager, platforms, rotationIndex }
+        // context = { scene, world, placementManager, platforms, rotationIndex, placeObject }
 
-        const { placementManager, scene, world, platforms, rotationIndex } = context;
+        const { placementManager, rotationIndex } = context;
 
         // Reutilizamos el manager de colocacion para saber donde ponerlo
         // Simulamos un update o necesitamos un metodo para obtener posicion actual
@@ -36,15 +41,13 @@ export class ImpulseItem extends Item {
                 if (rotationIndex === 3) dir.set(-1, 0, 0); // West
             }
 
-            const pad = new ImpulsePlatform(
-                scene,
-                world,
-                placePos,
-                dir,
-                this.strength,
-                "pad"
-            );
-            platforms.push(pad);
+            // PlacedObjectManager crea el ImpulsePlatform (y lo replica en la sala si hay red)
+            context.placeObject({
+                kind: "impulsePad",
+                position: { x: placePos.x, y: placePos.y, z: placePos.z },
+                direction: { x: dir.x, y: dir.y, z: dir.z },
+                strength: this.strength,
+            });
             console.log(`Placed ${this.name}`);
             return true; // Item usado
         }
@@ -52,6 +55,13 @@ export class ImpulseItem extends Item {
         return false;
     }
 
+    getStats() {
+        return [
+            ["Tipo", this.type === "jump" ? "Salto" : "Lateral"],
+            ["Fuerza", this.strength],
+        ];
+    }
+
     getDisplayMesh() {
         const geo = new THREE.BoxGeometry(0.5, 0.1, 0.5);
         const color = this.type === "jump" ? 0x00FFFF : 0x00FF00;
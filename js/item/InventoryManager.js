@@ -1,5 +1,14 @@
+import { ItemRegistry } from "./ItemRegistry.js";
+
+// dataTransfer type of a slot being dragged ({ area, index }), so other drops (ConstructionMenu) can tell
+export const SLOT_DRAG_TYPE = "application/x-inventory-slot";
+
+/**
+ * Hotbar (slots .inventory-slot del HTML) + mochila (huecos extra, ver BackpackMenu).
+ * Los huecos se identifican por area ("hotbar" | "backpack") e indice.
+ */
 export class InventoryManager {
-    constructor() {
+    constructor(containerId = null, options = {}) {
         this.uiSlots = document.querySelectorAll(".inventory-slot");
         this.inputManager = null; // Will be set from main if needed, or we just rely on global events (current impl relies on global)
 
@@ -8,12 +17,20 @@ export class InventoryManager {
         this.slots = new Array(this.capacity).fill(null);
         this.currentSlotIndex = 0;
 
+        // Mochila: no se usa desde la mano, solo guarda
+        this.backpack = new Array(options.backpackSize || 27).fill(null);
+        this.menuOpen = false; // Mochila abierta: la rueda no cambia de slot
+        this.onChange = null; // () => {} Tras cualquier cambio (la mochila se redibuja)
+        this.tooltip = null;
+
         // Initial binding
         this.setupEventListeners();
         this.updateUI();
     }
 
     setupEventListeners() {
+        this.uiSlots.forEach((slotEl, index) => this.bindSlot(slotEl, "hotbar", index));
+
         // Escuchar cambios de slot via teclado (1-N)
         document.addEventListener("keydown", (e) => {
             const key = parseInt(e.key);
@@ -24,7 +41,7 @@ export class InventoryManager {
 
         // Scroll mouse
         document.addEventListener("wheel", (e) => {
-            if (!e.shiftKey) { // Shift suele ser para zoom
+            if (!e.shiftKey && !this.menuOpen) { // Shift suele ser para zoom
                 if (e.deltaY > 0) {
                     this.selectSlot((this.currentSlotIndex + 1) % this.capacity);
                 } else if (e.deltaY < 0) {
@@ -50,6 +67,7 @@ export class InventoryManager {
             slot.addEventListener('drop', (e) => {
                 e.preventDefault()
                 slot.style.borderColor = ""
+                if (e.dataTransfer.types.includes(SLOT_DRAG_TYPE)) return // Moving between slots (bindSlot)
                 // Pass drop event up? 
                 // We rely on the Menu to have set 'draggedItem'.
                 if (onDropCallback) onDropCallback(index)
@@ -64,28 +82,149 @@ export class InventoryManager {
         }
     }
 
+    /**
+     * Apila en las pilas que tengan hueco y lo que sobre va a slots vacios (primero la hotbar, luego la mochila)
+     * @returns {boolean} - false si no cabia todo (item.count queda con lo que sobro)
+     */
     addItem(item) {
+        const added = this.fillSlots([this.slots, this.backpack], item);
+        this.updateUI();
+        if (!added) console.log("Inventario lleno");
+        return added;
+    }
+
+    /**
+     * @param {Array<Array>} areas - Arrays de slots, en orden de preferencia
+     * @returns {boolean} - false si no cabia todo (item.count queda con lo que sobro)
+     */
+    fillSlots(areas, item) {
+        let remaining = item.count;
+
         // 1. Intentar apilar en slots existentes
-        for (let i = 0; i < this.slots.length; i++) {
-            if (this.slots[i] && this.slots[i].id === item.id && this.slots[i].count < this.slots[i].maxStack) {
-                // TODO: Handle stacking count logic if we implement count > 1
-                // For now, assuming count is just handled abstractly
-                console.log("Item apilado (logica placeholder)");
-                return true;
+        areas.forEach((slots) => {
+            for (let i = 0; i < slots.length && remaining > 0; i++) {
+                const stack = slots[i];
+                if (stack && stack !== item && stack.canStackWith(item) && stack.count < stack.maxStack) {
+                    const moved = Math.min(stack.maxStack - stack.count, remaining);
+                    stack.count += moved;
+                    remaining -= moved;
+                }
             }
+        });
+
+        // 2. Buscar slot vacio (una pila mas grande que maxStack ocupa varios)
+        areas.forEach((slots) => {
+            for (let i = 0; i < slots.length && remaining > 0; i++) {
+                if (slots[i] === null) {
+                    const amount = Math.min(remaining, item.maxStack);
+                    if (amount === remaining) {
+                        // El ultimo trozo es el propio item
+                        item.count = amount;
+                        slots[i] = item;
+                    } else {
+                        slots[i] = ItemRegistry.clone(item, amount);
+                    }
+                    remaining -= amount;
+                }
+            }
+        });
+
+        if (remaining > 0) {
+            item.count = remaining;
+            return false;
         }
+        return true;
+    }
+
+    getArea(area) {
+        return area === "backpack" ? this.backpack : this.slots;
+    }
+
+    /**
+     * Cantidad total (hotbar + mochila) de los items que cumplen match ({ type, id })
+     */
+    countItems(match) {
+        return [...this.slots, ...this.backpack]
+            .filter((item) => item && ItemRegistry.matches(item, match))
+            .reduce((total, item) => total + item.count, 0);
+    }
+
+    /**
+     * Gasta amount items que cumplan match, primero de la mochila para no vaciar la mano
+     * @returns {boolean} - false si no habia suficientes (entonces no quita nada)
+     */
+    removeItems(match, amount) {
+        if (this.countItems(match) < amount) return false;
 
-        // 2. Buscar slot vacio
-        for (let i = 0; i < this.slots.length; i++) {
-            if (this.slots[i] === null) {
-                this.slots[i] = item;
-                this.updateUI();
-                return true;
+        let remaining = amount;
+        [this.backpack, this.slots].forEach((slots) => {
+            for (let i = 0; i < slots.length && remaining > 0; i++) {
+                const item = slots[i];
+                if (!item || !ItemRegistry.matches(item, match)) continue;
+                const taken = Math.min(item.count, remaining);
+                item.count -= taken;
+                remaining -= taken;
+                if (item.count === 0) slots[i] = null;
             }
+        });
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Primer item (hotbar y luego mochila) para el que predicate devuelve true
+     */
+    findItem(predicate) {
+        return [...this.slots, ...this.backpack].find((item) => item && predicate(item)) || null;
+    }
+
+    /**
+     * Si addItem(item) cabria entero, sin cambiar nada
+     */
+    hasRoomFor(item) {
+        let room = 0;
+        [...this.slots, ...this.backpack].forEach((stack) => {
+            if (stack === null) room += item.maxStack;
+            else if (stack.canStackWith(item)) room += Math.max(0, stack.maxStack - stack.count);
+        });
+        return room >= item.count;
+    }
+
+    /**
+     * Arrastrar de un hueco a otro: junta la pila si es el mismo item, si no los intercambia
+     * @param {Object} from, to - { area, index }
+     */
+    moveItem(from, to) {
+        const source = this.getArea(from.area);
+        const target = this.getArea(to.area);
+        const item = source[from.index];
+        const other = target[to.index];
+        if (!item || item === other) return;
+
+        if (other && other.canStackWith(item) && other.count < other.maxStack) {
+            const moved = Math.min(other.maxStack - other.count, item.count);
+            other.count += moved;
+            item.count -= moved;
+            if (item.count === 0) source[from.index] = null;
+        } else {
+            target[to.index] = item;
+            source[from.index] = other;
         }
+        this.updateUI();
+    }
+
+    /**
+     * Shift+click: de la hotbar a la mochila o al reves (lo que no quepa se queda)
+     */
+    quickMove(area, index) {
+        const source = this.getArea(area);
+        const item = source[index];
+        if (!item) return;
 
-        console.log("Inventario lleno");
-        return false;
+        source[index] = null;
+        const target = area === "hotbar" ? this.backpack : this.slots;
+        if (!this.fillSlots([target], item)) source[index] = item;
+        this.updateUI();
     }
 
     removeItem(index) {
@@ -98,6 +237,76 @@ export class InventoryManager {
         return null;
     }
 
+    /**
+     * Saca parte de una pila
+     * @returns {Item|null} - Item con count = lo sacado (el mismo objeto si era toda la pila)
+     */
+    takeFromSlot(index, amount) {
+        const stack = this.slots[index];
+        if (!stack || amount <= 0) return null;
+        if (amount >= stack.count) return this.removeItem(index);
+
+        const taken = ItemRegistry.clone(stack, amount);
+        if (!taken) return null;
+        stack.count -= amount;
+        this.updateUI();
+        return taken;
+    }
+
+    /**
+     * Parte la pila por la mitad; la otra mitad va al primer slot vacio (de la misma area si hay)
+     * @returns {boolean} - false si no hay pila que partir o no hay slot libre
+     */
+    splitStack(index, area = "hotbar") {
+        const slots = this.getArea(area);
+        const stack = slots[index];
+        if (!stack || stack.count < 2) return false;
+
+        const targets = area === "hotbar" ? [this.slots, this.backpack] : [this.backpack, this.slots];
+        const target = targets.find((candidate) => candidate.includes(null));
+        if (!target) return false;
+
+        const half = ItemRegistry.clone(stack, Math.floor(stack.count / 2));
+        if (!half) return false;
+        stack.count -= half.count;
+        target[target.indexOf(null)] = half;
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Gasta items del slot actual; el slot se vacia al llegar a cero
+     */
+    consumeCurrentItem(amount = 1) {
+        const item = this.getCurrentItem();
+        if (!item) return;
+
+        item.count -= amount;
+        if (item.count <= 0) this.slots[this.currentSlotIndex] = null;
+        this.updateUI();
+    }
+
+    /**
+     * Tras usar con exito el item en la mano: cooldown, cargas y durabilidad.
+     * Los consumibles gastan uno de la pila y los que se rompen desaparecen.
+     * @returns {boolean} - True si el item se rompio
+     */
+    registerCurrentUse() {
+        const item = this.getCurrentItem();
+        if (!item) return false;
+
+        const broke = item.registerUse();
+        if (broke) {
+            item.durability = item.maxDurability; // El resto de la pila sigue entero
+            this.consumeCurrentItem();
+        } else if (item.consumable) {
+            this.consumeCurrentItem();
+        } else {
+            this.updateUI(); // Barras de cargas y durabilidad
+        }
+        return broke;
+    }
+
     /**
      * Obtiene el item actualmente seleccionado
      */
@@ -116,6 +325,74 @@ export class InventoryManager {
         this.updateUI();
     }
 
+    /**
+     * Estado en JSON (items via ItemRegistry), mismo formato para localStorage y para el servidor
+     * @returns {Object} - { inventory, backpack, selectedSlot }
+     */
+    serialize() {
+        const toData = (item) => (item ? ItemRegistry.serialize(item) : null);
+        return {
+            inventory: this.slots.map(toData),
+            backpack: this.backpack.map(toData),
+            selectedSlot: this.currentSlotIndex,
+        };
+    }
+
+    /**
+     * Sustituye el contenido por el de serialize(). Los tipos desconocidos dejan el hueco vacio.
+     * @returns {boolean} - false si data no tiene inventario
+     */
+    restore(data) {
+        if (!data || !Array.isArray(data.inventory)) return false;
+
+        const fromData = (itemData) => (itemData ? ItemRegistry.deserialize(itemData) : null);
+        this.slots = this.slots.map((current, index) => fromData(data.inventory[index]));
+        if (Array.isArray(data.backpack)) {
+            this.backpack = this.backpack.map((current, index) => fromData(data.backpack[index]));
+        }
+        this.selectSlot(Number.isInteger(data.selectedSlot) ? data.selectedSlot : 0);
+        return true;
+    }
+
+    /**
+     * Orden del inventario sin cantidades: que tipo de item va en cada hueco
+     * @returns {Object} - { inventory, backpack: [{ type, id } | null], selectedSlot }
+     */
+    getLayout() {
+        const toKey = (item) => (item ? { type: ItemRegistry.getType(item), id: item.id } : null);
+        return {
+            inventory: this.slots.map(toKey),
+            backpack: this.backpack.map(toKey),
+            selectedSlot: this.currentSlotIndex,
+        };
+    }
+
+    /**
+     * Recoloca los items que ya se tienen segun getLayout(): no crea ni quita nada.
+     * Los que el orden no menciona (o sobran) van a los huecos que queden libres.
+     */
+    applyLayout(layout) {
+        if (!layout || !Array.isArray(layout.inventory)) return false;
+
+        const pool = [...this.slots, ...this.backpack].filter((item) => item);
+        const take = (key) => {
+            const index = key ? pool.findIndex((item) => ItemRegistry.matches(item, key)) : -1;
+            return index === -1 ? null : pool.splice(index, 1)[0];
+        };
+        this.slots = this.slots.map((current, index) => take(layout.inventory[index]));
+        this.backpack = this.backpack.map((current, index) => take((layout.backpack || [])[index]));
+
+        // Same number of items as slots they came from, so they always fit
+        [this.slots, this.backpack].forEach((slots) => {
+            for (let i = 0; i < slots.length && pool.length > 0; i++) {
+                if (slots[i] === null) slots[i] = pool.shift();
+            }
+        });
+
+        this.selectSlot(Number.isInteger(layout.selectedSlot) ? layout.selectedSlot : 0);
+        return true;
+    }
+
     updateUI() {
         this.uiSlots.forEach((slotEl, index) => {
             // Active class
@@ -124,24 +401,160 @@ export class InventoryManager {
             } else {
                 slotEl.classList.remove("active");
             }
+            this.renderSlot(slotEl, this.slots[index]);
+        });
+        if (this.onChange) this.onChange();
+    }
 
-            // Content
-            const item = this.slots[index];
-            // Limpiar contenido previo que no sea el numero
-            const numberEl = slotEl.querySelector(".slot-number");
-            slotEl.innerHTML = "";
-            if (numberEl) slotEl.appendChild(numberEl);
-
-            if (item) {
-                const img = document.createElement("img");
-                img.src = item.iconPath;
-                img.alt = item.name;
-                img.style.width = "70%";
-                img.style.height = "70%";
-                img.style.objectFit = "contain";
-                img.draggable = false // Don't drag from hotbar for now
-                slotEl.appendChild(img);
+    /**
+     * Overlay radial del cooldown en la hotbar (cada frame, sin redibujar los huecos)
+     */
+    updateCooldowns(now) {
+        this.uiSlots.forEach((slotEl, index) => {
+            const overlay = slotEl.querySelector(".slot-cooldown");
+            if (!overlay) return;
+            const progress = this.slots[index] ? this.slots[index].getCooldownProgress(now) : 0;
+            overlay.style.display = progress > 0 ? "block" : "none";
+            overlay.style.setProperty("--progress", progress);
+        });
+    }
+
+    /**
+     * Dibuja un hueco (hotbar o mochila): icono, cantidad, barras de cargas/durabilidad y cooldown
+     */
+    renderSlot(slotEl, item) {
+        // Limpiar contenido previo que no sea el numero
+        const numberEl = slotEl.querySelector(".slot-number");
+        slotEl.innerHTML = "";
+        if (numberEl) slotEl.appendChild(numberEl);
+        slotEl.draggable = !!item; // The slot is dragged, not the image
+
+        if (item) {
+            const img = document.createElement("img");
+            img.src = item.iconPath;
+            img.alt = item.name;
+            img.style.width = "70%";
+            img.style.height = "70%";
+            img.style.objectFit = "contain";
+            img.draggable = false;
+            slotEl.appendChild(img);
+
+            if (item.count > 1) {
+                const countEl = document.createElement("span");
+                countEl.className = "slot-count";
+                countEl.textContent = item.count;
+                slotEl.appendChild(countEl);
+            }
+
+            // Sin cargas o roto: gris, no se puede usar
+            slotEl.classList.toggle("depleted", item.isDepleted() || item.isBroken());
+
+            if (item.maxDurability > 0) this.appendBar(slotEl, "slot-durability", item.durability / item.maxDurability);
+            if (item.maxCharges > 0) this.appendBar(slotEl, "slot-charges", item.charges / item.maxCharges);
+
+            if (item.cooldown > 0) {
+                const overlay = document.createElement("div");
+                overlay.className = "slot-cooldown";
+                overlay.style.display = "none";
+                slotEl.appendChild(overlay);
+            }
+        } else {
+            slotEl.classList.remove("depleted");
+        }
+    }
+
+    appendBar(slotEl, className, fraction) {
+        const bar = document.createElement("div");
+        bar.className = `slot-bar ${className}`;
+        const fill = document.createElement("div");
+        fill.style.width = `${Math.round(fraction * 100)}%`;
+        // Durabilidad: verde -> rojo segun se gasta
+        if (className === "slot-durability") fill.style.background = `hsl(${Math.round(fraction * 120)}, 80%, 45%)`;
+        bar.appendChild(fill);
+        slotEl.appendChild(bar);
+    }
+
+    /**
+     * Arrastrar y soltar, shift+click (mover rapido), click derecho (partir) y tooltip de un hueco
+     */
+    bindSlot(slotEl, area, index) {
+        slotEl.addEventListener("dragstart", (e) => {
+            if (!this.getArea(area)[index]) {
+                e.preventDefault();
+                return;
             }
+            e.dataTransfer.setData(SLOT_DRAG_TYPE, JSON.stringify({ area: area, index: index }));
+            e.dataTransfer.effectAllowed = "move";
+            this.hideTooltip();
+        });
+        slotEl.addEventListener("dragover", (e) => {
+            if (!e.dataTransfer.types.includes(SLOT_DRAG_TYPE)) return;
+            e.preventDefault(); // Allow drop
+            slotEl.classList.add("drag-over");
+        });
+        slotEl.addEventListener("dragleave", () => slotEl.classList.remove("drag-over"));
+        slotEl.addEventListener("drop", (e) => {
+            slotEl.classList.remove("drag-over");
+            const data = e.dataTransfer.getData(SLOT_DRAG_TYPE);
+            if (!data) return;
+            e.preventDefault();
+            this.moveItem(JSON.parse(data), { area: area, index: index });
         });
+
+        slotEl.addEventListener("click", (e) => {
+            if (e.shiftKey) {
+                this.quickMove(area, index);
+            } else if (area === "hotbar") {
+                this.selectSlot(index);
+            }
+        });
+
+        // Click derecho en un slot: partir la pila
+        slotEl.addEventListener("contextmenu", (e) => {
+            e.preventDefault();
+            this.splitStack(index, area);
+        });
+
+        slotEl.addEventListener("mouseenter", () => this.showTooltip(this.getArea(area)[index], slotEl));
+        slotEl.addEventListener("mouseleave", () => this.hideTooltip());
+    }
+
+    /**
+     * Nombre, estadisticas y cantidad del item bajo el raton
+     */
+    showTooltip(item, slotEl) {
+        if (!item) return;
+        if (!this.tooltip) {
+            this.tooltip = document.createElement("div");
+            this.tooltip.id = "item-tooltip";
+            document.body.appendChild(this.tooltip);
+        }
+
+        // Nodos con textContent: nombres y valores pueden venir de otros jugadores
+        const nameEl = document.createElement("div");
+        nameEl.className = "item-name";
+        nameEl.textContent = item.name;
+        this.tooltip.replaceChildren(nameEl);
+
+        const stats = [...item.getStats(), ...item.getUsageStats()];
+        if (item.maxStack > 1) stats.push(["Cantidad", `${item.count}/${item.maxStack}`]);
+        stats.forEach(([label, value]) => {
+            const line = document.createElement("div");
+            const labelEl = document.createElement("span");
+            labelEl.className = "stat-label";
+            labelEl.textContent = `${label}:`;
+            line.append(labelEl, ` ${value}`);
+            this.tooltip.appendChild(line);
+        });
+
+        // Above the slot, centered
+        const rect = slotEl.getBoundingClientRect();
+        this.tooltip.style.display = "block";
+        this.tooltip.style.left = `${rect.left + rect.width / 2 - this.tooltip.offsetWidth / 2}px`;
+        this.tooltip.style.top = `${rect.top - this.tooltip.offsetHeight - 8}px`;
+    }
+
+    hideTooltip() {
+        if (this.tooltip) this.tooltip.style.display = "none";
     }
 }
@@ -5,6 +5,80 @@ export class Item {
         this.iconPath = iconPath;
         this.count = 1;
         this.maxStack = 64;
+        this.consumable = false; // Se gasta uno de la pila cada vez que use() devuelve true
+
+        // Opcionales (0 = no aplica), ver setCharges/setDurability
+        this.maxCharges = 0; // Usos hasta quedarse sin cargas (inutilizable, se puede recargar)
+        this.charges = 0;
+        this.maxDurability = 0; // Usos hasta romperse (desaparece del inventario)
+        this.durability = 0;
+        this.cooldown = 0; // Segundos entre usos
+        this.lastUseTime = -Infinity;
+    }
+
+    static now() {
+        return performance.now() / 1000;
+    }
+
+    setCharges(max) {
+        this.maxCharges = max;
+        this.charges = max;
+    }
+
+    setDurability(max) {
+        this.maxDurability = max;
+        this.durability = max;
+    }
+
+    /**
+     * Si otro item puede ir en la misma pila (misma clase e id, mismo desgaste)
+     */
+    canStackWith(other) {
+        return !!other && other.constructor === this.constructor && other.id === this.id &&
+            other.charges === this.charges && other.durability === this.durability;
+    }
+
+    isBroken() {
+        return this.maxDurability > 0 && this.durability <= 0;
+    }
+
+    isDepleted() {
+        return this.maxCharges > 0 && this.charges <= 0;
+    }
+
+    /**
+     * Fraccion del cooldown que queda (1 recien usado, 0 listo)
+     */
+    getCooldownProgress(now = Item.now()) {
+        if (this.cooldown <= 0) return 0;
+        return Math.max(0, 1 - (now - this.lastUseTime) / this.cooldown);
+    }
+
+    canUse(now = Item.now()) {
+        return !this.isBroken() && !this.isDepleted() && this.getCooldownProgress(now) === 0;
+    }
+
+    /**
+     * Tras un uso con exito: arranca el cooldown y gasta una carga y durabilidad
+     * @returns {boolean} - True si el item se rompio con este uso
+     */
+    registerUse(now = Item.now()) {
+        this.lastUseTime = now;
+        if (this.maxCharges > 0) this.charges = Math.max(0, this.charges - 1);
+        if (this.maxDurability > 0) {
+            this.durability = Math.max(0, this.durability - 1);
+            return this.durability === 0;
+        }
+        return false;
+    }
+
+    /**
+     * @returns {number} - Cargas recuperadas
+     */
+    recharge(amount = this.maxCharges) {
+        const before = this.charges;
+        this.charges = Math.min(this.maxCharges, this.charges + amount);
+        return this.charges - before;
     }
 
     /**
@@ -17,6 +91,25 @@ export class Item {
         return false;
     }
 
+    /**
+     * Lineas del tooltip del inventario
+     * @returns {Array} - [[etiqueta, valor], ...]
+     */
+    getStats() {
+        return [];
+    }
+
+    /**
+     * Cargas, durabilidad y cooldown para el tooltip (van tras getStats)
+     */
+    getUsageStats() {
+        const stats = [];
+        if (this.maxCharges > 0) stats.push(["Cargas", `${this.charges}/${this.maxCharges}`]);
+        if (this.maxDurability > 0) stats.push(["Durabilidad", `${this.durability}/${this.maxDurability}`]);
+        if (this.cooldown > 0) stats.push(["Recarga", `${this.cooldown.toFixed(1)} s`]);
+        return stats;
+    }
+
     /**
      * Retorna la malla o geometria para renderizar cuando se tira al suelo
      * @returns {THREE.Object3D|null}
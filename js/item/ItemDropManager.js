@@ -1,16 +1,67 @@
 import * as THREE from "three";
 import { DroppedItem } from "./DroppedItem.js";
+import { ItemRegistry } from "./ItemRegistry.js";
 
 export class ItemDropManager {
-    constructor(scene, world) {
+    constructor(scene, world, networkManager = null) {
         this.scene = scene;
         this.world = world;
         this.droppedItems = [];
+
+        // Drops tirados por jugadores en una sala: el servidor asigna el id
+        // y aprueba cada recogida (solo un jugador se lleva el item)
+        this.networkManager = networkManager;
+        this.onItemCollected = null; // (item) => {} Recogida aprobada o drop devuelto por el servidor
+        this.settleDelay = 3.0; // Segundos antes de reportar la posicion final de nuestros drops
+
+        if (networkManager) {
+            networkManager.onItemDropped = (drop) => this.spawnNetworkDrop(drop);
+            networkManager.onItemPickedUp = (dropId, playerId, itemData) => this.handleNetworkPickup(dropId, playerId, itemData);
+            networkManager.onItemSettled = (dropId, position) => this.handleNetworkSettle(dropId, position);
+            networkManager.onDropDenied = (itemData) => this.returnItem(itemData);
+            networkManager.onPickupDenied = (dropId) => {
+                const dropped = this.getNetworkDrop(dropId);
+                if (dropped) dropped.pickupPending = false;
+            };
+            networkManager.onDropsCleared = () => this.clearNetworkDrops();
+        }
+    }
+
+    isOnline() {
+        return !!this.networkManager && this.networkManager.isConnected && !!this.networkManager.currentRoom;
+    }
+
+    /**
+     * Tirar un item del inventario (Q). En una sala lo crea el servidor para todos.
+     */
+    throwItem(item, position, launchDirection) {
+        if (!item) return;
+
+        if (!this.isOnline()) {
+            this.dropItem(item, position, launchDirection);
+            return;
+        }
+
+        const itemData = ItemRegistry.serialize(item);
+        if (!itemData) {
+            // Not replicable: keep it local
+            this.dropItem(item, position, launchDirection);
+            return;
+        }
+
+        const { spawnPos, impulse, torque } = this.getLaunch(position, launchDirection);
+        this.networkManager.dropItem(itemData, spawnPos, impulse, torque);
     }
 
     dropItem(item, position, launchDirection) {
         if (!item) return;
 
+        const { spawnPos, impulse, torque } = this.getLaunch(position, launchDirection);
+        this.spawnDropped(item, spawnPos, impulse, torque);
+        console.log("Item arrojado:", item.name);
+    }
+
+    getLaunch(position, launchDirection) {
         // launchDirection debe ser un vector normalizado de hacia donde mira el jugador
         // Ajustamos la posicion de spawn para que no colisione inmediatamente con el jugador
         const spawnPos = new THREE.Vector3(
@@ -19,8 +70,6 @@ export class ItemDropManager {
             position.z + launchDirection.z * 1.0
         );
 
-        const dropped = new DroppedItem(this.scene, this.world, item, spawnPos);
-
         // Impulso estilo "Minecraft Q"
         // Un arco hacia adelante
         const force = 0.4;
@@ -30,16 +79,102 @@ export class ItemDropManager {
             z: launchDirection.z * force
         };
 
-        dropped.rigidBody.applyImpulse(impulse, true);
         // Rotacion aleatoria al lanzar
-        dropped.rigidBody.applyTorqueImpulse({
+        const torque = {
             x: (Math.random() - 0.5) * 0.5,
             y: (Math.random() - 0.5) * 0.5,
             z: (Math.random() - 0.5) * 0.5
-        }, true);
+        };
+
+        return { spawnPos, impulse, torque };
+    }
+
+    spawnDropped(item, position, impulse = null, torque = null) {
+        const dropped = new DroppedItem(this.scene, this.world, item, position);
+
+        if (impulse) dropped.rigidBody.applyImpulse(impulse, true);
+        if (torque) dropped.rigidBody.applyTorqueImpulse(torque, true);
 
         this.droppedItems.push(dropped);
-        console.log("Item arrojado:", item.name);
+        return dropped;
+    }
+
+    // --- Network drops ---
+    /**
+     * @param {Object} drop - { id, item, position, impulse, torque, ownerId, settled }
+     */
+    spawnNetworkDrop(drop) {
+        if (this.getNetworkDrop(drop.id)) return;
+
+        const item = ItemRegistry.deserialize(drop.item);
+        if (!item) return;
+
+        // Settled drops (late join) appear at rest; fresh ones replay the same throw on every client
+        const dropped = drop.settled
+            ? this.spawnDropped(item, drop.position)
+            : this.spawnDropped(item, drop.position, drop.impulse, drop.torque);
+
+        dropped.networkId = drop.id;
+        dropped.isOwnDrop = drop.ownerId === this.networkManager.playerId;
+        dropped.settleReported = !!drop.settled;
+    }
+
+    getNetworkDrop(dropId) {
+        return this.droppedItems.find(dropped => dropped.networkId === dropId) || null;
+    }
+
+    removeDropped(dropped) {
+        dropped.dispose();
+        const index = this.droppedItems.indexOf(dropped);
+        if (index > -1) {
+            this.droppedItems.splice(index, 1);
+        }
+    }
+
+    handleNetworkPickup(dropId, playerId, itemData) {
+        const dropped = this.getNetworkDrop(dropId);
+        if (dropped) this.removeDropped(dropped);
+
+        // Only the player the server approved gets the item
+        if (playerId === this.networkManager.playerId) {
+            this.returnItem(itemData);
+        }
+    }
+
+    handleNetworkSettle(dropId, position) {
+        const dropped = this.getNetworkDrop(dropId);
+        if (!dropped) return;
+
+        // Snap to the thrower's resting position if our bounce ended elsewhere
+        const pos = dropped.rigidBody.translation();
+        const dx = pos.x - position.x;
+        const dy = pos.y - position.y;
+        const dz = pos.z - position.z;
+        if (dx * dx + dy * dy + dz * dz > 0.25) {
+            dropped.rigidBody.setTranslation(position, true);
+            dropped.rigidBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+        }
+        dropped.settleReported = true;
+    }
+
+    returnItem(itemData) {
+        const item = ItemRegistry.deserialize(itemData);
+        if (item && this.onItemCollected) this.onItemCollected(item);
+    }
+
+    clearNetworkDrops() {
+        for (let i = this.droppedItems.length - 1; i >= 0; i--) {
+            if (this.droppedItems[i].networkId) this.removeDropped(this.droppedItems[i]);
+        }
+    }
+
+    /**
+     * Pide al servidor recoger un drop de red (una sola peticion pendiente por drop)
+     */
+    requestPickup(dropped) {
+        if (dropped.pickupPending) return;
+        dropped.pickupPending = true;
+        this.networkManager.pickupItem(dropped.networkId);
     }
 
     /**
@@ -66,15 +201,15 @@ export class ItemDropManager {
         }
 
         if (nearest) {
-            const item = nearest.item;
-            nearest.dispose();
-
-            // Remover de la lista
-            const index = this.droppedItems.indexOf(nearest);
-            if (index > -1) {
-                this.droppedItems.splice(index, 1);
+            if (nearest.networkId) {
+                // The item arrives through onItemCollected if the server approves
+                this.requestPickup(nearest);
+                return null;
             }
 
+            const item = nearest.item;
+            this.removeDropped(nearest);
+
             console.log("Item recogido:", item.name);
             return item;
         }
@@ -127,6 +262,11 @@ export class ItemDropManager {
             const distSq = dx * dx + dy * dy + dz * dz;
 
             if (distSq < rangeSq) {
+                if (dropped.networkId) {
+                    this.requestPickup(dropped);
+                    continue;
+                }
+
                 // Collect!
                 collected.push(dropped.item);
                 dropped.dispose();
@@ -139,5 +279,17 @@ export class ItemDropManager {
 
     update(dt, time) {
         this.droppedItems.forEach(item => item.update(dt, time));
+
+        // Report where our own throws came to rest (late joiners and other clients use it)
+        this.droppedItems.forEach(dropped => {
+            if (!dropped.networkId || !dropped.isOwnDrop || dropped.settleReported) return;
+
+            dropped.age += dt;
+            if (dropped.rigidBody.isSleeping() || dropped.age > this.settleDelay) {
+                const pos = dropped.rigidBody.translation();
+                this.networkManager.settleItem(dropped.networkId, { x: pos.x, y: pos.y, z: pos.z });
+                dropped.settleReported = true;
+            }
+        });
     }
 }
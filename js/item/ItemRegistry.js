@@ -0,0 +1,172 @@
+import { ImpulseItem } from "./ImpulseItem.js";
+import { TurretItem } from "./TurretItem.js";
+import { PelotaItem } from "./PelotaItem.js";
+import { FuegoItem } from "./FuegoItem.js";
+import { MapObjectItem } from "./MapObjectItem.js";
+
+/**
+ * Registro de tipos de item.
+ * Cada clase tiene argumentos de constructor distintos, asi que cada tipo
+ * registra como pasar sus datos a JSON ({ type, ... }) y como reconstruirlo.
+ */
+export class ItemRegistry {
+    static types = new Map(); // Map<type, { itemClass, toData, fromData }>
+    static definitions = new Map(); // Map<id, datos de serialize sin count> Items que existen en el juego
+
+    /**
+     * @param {string} type - Id de tipo (estable, va en los mensajes de red)
+     * @param {Function} itemClass
+     * @param {Function} toData - (item) => datos propios del tipo
+     * @param {Function} fromData - (data) => nueva instancia
+     */
+    static register(type, itemClass, toData, fromData) {
+        ItemRegistry.types.set(type, { itemClass, toData, fromData });
+    }
+
+    static has(type) {
+        return ItemRegistry.types.has(type);
+    }
+
+    static getType(item) {
+        for (const [type, entry] of ItemRegistry.types) {
+            if (item.constructor === entry.itemClass) return type;
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} match - { type, id (opcional) }, como los ingredientes de las recetas
+     */
+    static matches(item, match) {
+        return ItemRegistry.getType(item) === match.type && (match.id === undefined || item.id === match.id);
+    }
+
+    /**
+     * @returns {Object|null} - { type, count, ...datos del tipo }
+     */
+    static serialize(item) {
+        const type = ItemRegistry.getType(item);
+        if (!type) {
+            console.warn("ItemRegistry: tipo no registrado", item);
+            return null;
+        }
+
+        const entry = ItemRegistry.types.get(type);
+        const data = { type: type, count: item.count, ...entry.toData(item) };
+        // Desgaste (el maximo lo pone la clase)
+        if (item.maxCharges > 0) data.charges = item.charges;
+        if (item.maxDurability > 0) data.durability = item.durability;
+        return data;
+    }
+
+    static deserialize(data) {
+        const entry = data && ItemRegistry.types.get(data.type);
+        if (!entry) {
+            console.warn("ItemRegistry: tipo desconocido", data);
+            return null;
+        }
+
+        const item = entry.fromData(data);
+        if (Number.isInteger(data.count) && data.count > 0) item.count = data.count;
+        if (item.maxCharges > 0 && Number.isInteger(data.charges)) item.charges = Math.min(Math.max(data.charges, 0), item.maxCharges);
+        if (item.maxDurability > 0 && Number.isInteger(data.durability)) item.durability = Math.min(Math.max(data.durability, 1), item.maxDurability);
+        return item;
+    }
+
+    /**
+     * Copia independiente (para partir una pila)
+     * @param {number} count - Cantidad de la copia
+     */
+    static clone(item, count = item.count) {
+        const copy = ItemRegistry.deserialize(ItemRegistry.serialize(item));
+        if (copy) copy.count = count;
+        return copy;
+    }
+
+    static define(data) {
+        ItemRegistry.definitions.set(data.id, data);
+    }
+
+    /**
+     * Item nuevo a partir de la definicion del catalogo
+     * @returns {Item|null} - null si el id no esta en el catalogo
+     */
+    static create(id, count = 1) {
+        const definition = ItemRegistry.definitions.get(id);
+        return definition ? ItemRegistry.deserialize({ ...definition, count: count }) : null;
+    }
+
+    /**
+     * Rehace un item que manda un cliente a partir de la definicion de su id:
+     * del cliente solo se toman la cantidad (hasta maxStack), las cargas y la durabilidad
+     * @returns {Object|null} - Datos de serialize, null si el id no existe o no es de ese tipo
+     */
+    static sanitize(data) {
+        if (!data || typeof data !== "object") return null;
+        const definition = ItemRegistry.definitions.get(data.id);
+        if (!definition || definition.type !== data.type) return null;
+
+        const item = ItemRegistry.deserialize({ ...definition, count: data.count, charges: data.charges, durability: data.durability });
+        if (!item) return null;
+        item.count = Math.min(item.count, item.maxStack);
+        return ItemRegistry.serialize(item);
+    }
+}
+
+ItemRegistry.register("impulse", ImpulseItem,
+    (item) => ({ id: item.id, name: item.name, iconPath: item.iconPath, padType: item.type, strength: item.strength }),
+    (data) => new ImpulseItem(data.id, data.name, data.iconPath, data.padType, data.strength)
+);
+
+ItemRegistry.register("turret", TurretItem,
+    (item) => ({ id: item.id, name: item.name, iconPath: item.iconPath }),
+    (data) => new TurretItem(data.id, data.name, data.iconPath)
+);
+
+ItemRegistry.register("pelota", PelotaItem,
+    (item) => ({
+        id: item.id,
+        name: item.name,
+        iconPath: item.iconPath,
+        damage: item.damage,
+        fireRate: item.fireRate,
+        bulletSpeed: item.bulletSpeed,
+        bulletDrop: item.bulletDrop,
+    }),
+    (data) => new PelotaItem(data.id, data.name, data.iconPath, data.damage, data.fireRate, data.bulletSpeed, data.bulletDrop)
+);
+
+ItemRegistry.register("fuego", FuegoItem,
+    (item) => ({ value: item.value || 1 }),
+    (data) => {
+        const item = new FuegoItem();
+        item.value = data.value || 1;
+        return item;
+    }
+);
+
+// iconPath is generated from type/color, no need to send it
+ItemRegistry.register("mapObject", MapObjectItem,
+    (item) => ({ id: item.id, name: item.name, mapObjectType: item.type, color: item.color, scale: item.scale }),
+    (data) => new MapObjectItem(data.id, data.name, data.mapObjectType, "", data.color, data.scale)
+);
+
+// Catalogo: semillas del inventario, /give, recetas y menu de construccion.
+// El fuego no esta: solo lo crean las zonas de farmeo. Fuerza de los pads hasta 50, el maximo del servidor (readPlacement).
+[
+    { type: "impulse", id: "pad_lat", name: "Impulso Lateral", iconPath: "./assets/textures/impulso.png", padType: "lateral", strength: 25 },
+    { type: "impulse", id: "pad_jump", name: "Salto Vertical", iconPath: "./assets/textures/salto.png", padType: "jump", strength: 35 },
+    { type: "impulse", id: "pad_jump_super", name: "Super Salto", iconPath: "./assets/textures/salto.png", padType: "jump", strength: 50 },
+    { type: "turret", id: "pad_turret", name: "Torreta", iconPath: "./assets/textures/impulso.png" },
+    { type: "pelota", id: "pelota", name: "Lanzador de Pelotas", iconPath: "./assets/textures/pelota.png", damage: 10, fireRate: 10, bulletSpeed: 30, bulletDrop: 1.0 },
+    { type: "mapObject", id: "wall", name: "Pared", mapObjectType: "wall", color: 0xFFFFFF, scale: { x: 4, y: 3, z: 0.5 } },
+    { type: "mapObject", id: "wall_low", name: "Muro Bajo", mapObjectType: "wall", color: 0xFFFFFF, scale: { x: 4, y: 1, z: 0.5 } },
+    { type: "mapObject", id: "floor", name: "Suelo", mapObjectType: "wall", color: 0xFFFFFF, scale: { x: 5, y: 0.5, z: 5 } },
+    { type: "mapObject", id: "platform", name: "Plataforma", mapObjectType: "wall", color: 0xFFFFFF, scale: { x: 10, y: 0.5, z: 10 } },
+    { type: "mapObject", id: "pillar", name: "Pilar", mapObjectType: "pillar", color: 0xFFFFFF, scale: { x: 1, y: 4, z: 1 } },
+    { type: "mapObject", id: "cube_s", name: "Cubo Pequeño", mapObjectType: "wall", color: 0xFFFFFF, scale: { x: 1, y: 1, z: 1 } },
+    { type: "mapObject", id: "cube_l", name: "Cubo Grande", mapObjectType: "wall", color: 0xFFFFFF, scale: { x: 3, y: 3, z: 3 } },
+    { type: "mapObject", id: "ramp", name: "Rampa", mapObjectType: "ramp", color: 0xFFFFFF, scale: { x: 4, y: 2, z: 4 } },
+    { type: "mapObject", id: "stairs", name: "Gradas", mapObjectType: "stairs", color: 0xFFFFFF, scale: { x: 4, y: 2, z: 4 } },
+    { type: "mapObject", id: "tall", name: "Torre", mapObjectType: "pillar", color: 0xFFFFFF, scale: { x: 2, y: 10, z: 2 } },
+].forEach((data) => ItemRegistry.define(data));
@@ -0,0 +1,83 @@
+const VERSION = 1;
+
+/**
+ * Inventario guardado en el navegador (localStorage) entre sesiones.
+ * Los datos son los del playerData que tambien se manda al servidor
+ * ({ inventory, backpack, selectedSlot, fuegoCount }), con la version del formato.
+ * - current: el ultimo estado, se restaura al arrancar
+ * - saved: loadouts con nombre (/loadout save|load|delete), solo el orden
+ *   (InventoryManager.getLayout): cargar uno recoloca lo que se tiene, no devuelve items ni fuego
+ */
+export class LoadoutStore {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.current = null;
+        this.saved = new Map(); // Map<lowercase name, { name, data }>
+        this.lastSaved = null; // JSON of current, to skip writes when nothing changed
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!stored || stored.version !== VERSION) return;
+
+            this.current = stored.current || null;
+            this.lastSaved = JSON.stringify(this.current);
+            (stored.saved || []).forEach((entry) => {
+                if (entry && typeof entry.name === "string" && entry.data) this.saved.set(entry.name.toLowerCase(), entry);
+            });
+        } catch (error) {
+            console.warn("LoadoutStore: no se pudo leer el inventario guardado", error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: VERSION,
+                current: this.current,
+                saved: Array.from(this.saved.values()),
+            }));
+        } catch (error) {
+            console.warn("LoadoutStore: no se pudo guardar el inventario", error);
+        }
+    }
+
+    /**
+     * Guarda el estado actual si cambio desde la ultima vez
+     */
+    setCurrent(data) {
+        const json = JSON.stringify(data);
+        if (json === this.lastSaved) return;
+
+        this.current = data;
+        this.lastSaved = json;
+        this.save();
+    }
+
+    getCurrent() {
+        return this.current;
+    }
+
+    saveLoadout(name, data) {
+        this.saved.set(name.toLowerCase(), { name: name, data: data });
+        this.save();
+    }
+
+    getLoadout(name) {
+        const entry = this.saved.get(name.toLowerCase());
+        return entry ? entry.data : null;
+    }
+
+    deleteLoadout(name) {
+        const removed = this.saved.delete(name.toLowerCase());
+        if (removed) this.save();
+        return removed;
+    }
+
+    listLoadouts() {
+        return Array.from(this.saved.values()).map((entry) => entry.name);
+    }
+}
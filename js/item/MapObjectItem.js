@@ -13,7 +13,23 @@ export class MapObjectItem extends Item {
         this.iconPath = this.generateIcon()
     }
 
+    // Same id from the construction menu can come in other colors or sizes
+    canStackWith(other) {
+        return super.canStackWith(other) &&
+            other.type === this.type &&
+            other.color === this.color &&
+            other.scale.x === this.scale.x && other.scale.y === this.scale.y && other.scale.z === this.scale.z
+    }
+
+    getStats() {
+        return [
+            ["Forma", this.type],
+            ["Tamaño", `${this.scale.x} x ${this.scale.y} x ${this.scale.z}`],
+        ]
+    }
+
     generateIcon() {
+        if (typeof document === 'undefined') return '' // Server (ItemRegistry.sanitize), no canvas
         const canvas = document.createElement('canvas')
         canvas.width = 64
         canvas.height = 64
@@ -67,22 +83,40 @@ export class MapObjectItem extends Item {
         if (context.placementManager) {
             const position = context.placementManager.getCurrentTarget()
             if (position) {
-                this.spawnObject(context.scene, context.world, position, context.rotationIndex)
+                // Goes through PlacedObjectManager (replicated to the room when online)
+                context.placeObject(this.getPlacementData(position, context.rotationIndex))
                 return true
             }
         }
         return false
     }
 
-    spawnObject(scene, world, position, rotationIndex) {
-        // Delegate to unified builder
+    /**
+     * Datos serializables de colocacion (ver PlacedObjectManager)
+     */
+    getPlacementData(position, rotationIndex) {
         // Convert rotation index to Euler
-        const rotation = new THREE.Euler(0, 0, 0)
+        const rotation = { x: 0, y: 0, z: 0 }
         if (rotationIndex === 1) rotation.y = -Math.PI / 2
         if (rotationIndex === 2) rotation.y = -Math.PI
         if (rotationIndex === 3) rotation.y = Math.PI / 2
 
-        this.createObjectInWorld(scene, world, position, rotation)
+        return {
+            kind: "mapObject",
+            mapObjectType: this.type,
+            color: this.color,
+            scale: { x: this.scale.x, y: this.scale.y, z: this.scale.z },
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: rotation,
+        }
+    }
+
+    spawnObject(scene, world, position, rotationIndex) {
+        // Delegate to unified builder
+        const data = this.getPlacementData(position, rotationIndex)
+        const rotation = new THREE.Euler(data.rotation.x, data.rotation.y, data.rotation.z)
+
+        return this.createObjectInWorld(scene, world, position, rotation)
     }
 
     spawnObjectFromData(scene, world, pos, rot) {
@@ -91,51 +125,80 @@ export class MapObjectItem extends Item {
         const rotation = new THREE.Euler(rot.x, rot.y, rot.z)
         const position = new THREE.Vector3(pos.x, pos.y, pos.z)
 
-        this.createObjectInWorld(scene, world, position, rotation)
+        return this.createObjectInWorld(scene, world, position, rotation)
+    }
+
+    /**
+     * Colliders (relative to the body center) for a map object.
+     * Static so the server can build the same physics without the visuals.
+     */
+    static createColliderDescs(type, scale) {
+        const collidersDesc = []
+
+        if (type === 'stairs') {
+            const { numSteps, stepHeight, stepDepth, stepWidth, startY, startZ } = MapObjectItem.getStairsLayout(scale)
+            for (let i = 0; i < numSteps; i++) {
+                // Cuboid is half-extents
+                const col = RAPIER.ColliderDesc.cuboid(stepWidth / 2, stepHeight / 2, stepDepth / 2)
+                    .setTranslation(0, startY + (i * stepHeight), startZ + (i * stepDepth))
+                collidersDesc.push(col)
+            }
+        } else if (type === 'ramp') {
+            const vertices = MapObjectItem.createRampGeometry(scale).attributes.position.array
+            let col = RAPIER.ColliderDesc.convexHull(vertices)
+            if (!col) col = RAPIER.ColliderDesc.cuboid(scale.x / 2, scale.y / 2, scale.z / 2)
+            collidersDesc.push(col)
+        } else {
+            collidersDesc.push(RAPIER.ColliderDesc.cuboid(scale.x / 2, scale.y / 2, scale.z / 2))
+        }
+
+        return collidersDesc
+    }
+
+    static getStairsLayout(scale) {
+        // Default step height ~0.25 (match reference stairs usually)
+        const targetStepHeight = 0.25
+        const numSteps = Math.max(1, Math.round(scale.y / targetStepHeight))
+
+        const stepHeight = scale.y / numSteps
+        const stepDepth = scale.z / numSteps
+
+        return {
+            numSteps: numSteps,
+            stepHeight: stepHeight,
+            stepDepth: stepDepth,
+            stepWidth: scale.x,
+            startY: -scale.y / 2 + stepHeight / 2, // Bottom
+            startZ: -scale.z / 2 + stepDepth / 2, // Back
+        }
+    }
+
+    static createRampGeometry(scale) {
+        // Note: Original code used Shape on XY and Extruded.
+        const shape = new THREE.Shape();
+        shape.moveTo(0, 0);
+        shape.lineTo(scale.z, 0);
+        shape.lineTo(0, scale.y);
+        shape.lineTo(0, 0);
+
+        const extrudeSettings = { steps: 1, depth: scale.x, bevelEnabled: false };
+        const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        geometry.center();
+        return geometry
     }
 
     createObjectInWorld(scene, world, position, rotation) {
         let object3D
-        const collidersDesc = []
 
         if (this.type === 'stairs') {
             // STAIRS GENERATION
-            // Based on scale (x=Width, y=Height, z=Depth)
-            // Default step height ~0.25 (match reference stairs usually)
-            const targetStepHeight = 0.25
-            const numSteps = Math.max(1, Math.round(this.scale.y / targetStepHeight))
-
-            const stepHeight = this.scale.y / numSteps
-            const stepDepth = this.scale.z / numSteps
-            const stepWidth = this.scale.x
+            // Based on scale (x=Width, y=Height, z=Depth). Stairs go +Y and +Z, rotation handles direction.
+            const { numSteps, stepHeight, stepDepth, stepWidth, startY, startZ } = MapObjectItem.getStairsLayout(this.scale)
 
             const group = new THREE.Group()
             const material = new THREE.MeshStandardMaterial({ color: this.color })
             const stepGeo = new THREE.BoxGeometry(stepWidth, stepHeight, stepDepth)
 
-            // We build the stairs such that their bounding box center is (0,0,0) locally
-            // Total Bounds: W, H, D. 
-            // Local Y range: [-H/2, H/2]
-            // Local Z range: [-D/2, D/2] (Direction?)
-
-            // Start Bottom-Back? Or Bottom-Front?
-            // Stairs go UP as they go Z+? Or Z-?
-            // Usually "Forward" implies walking into them to go up.
-            // Let's assume Z- is "Forward" (Camera looks -Z).
-            // But let's check Ramp. Ramp shape was (0,0) -> (scale.z, 0) -> (0, scale.y).
-            // This is X/Y plane? No, Extrude depth is X. Shape is on XY? Wait.
-            // Ramp code: Shape(0,0)->(Z,0)->(0,Y). Extrude(depth=X).
-            // Shape in XY plane. Extruded along Z? No, Extruding usually along Z default.
-            // If Extrude depth is X, geometry is likely rotated later?
-            // "geometry.center()" is used.
-            // Let's stick to standard Box Coordinates.
-            // Width = X, Height = Y, Depth = Z.
-            // Stairs going Up-Forward usually means +Y and -Z (ahead) or +Z.
-            // Let's do +Y and +Z for simplicity. Rotation handles direction.
-
-            const startY = -this.scale.y / 2 + stepHeight / 2 // Bottom
-            const startZ = -this.scale.z / 2 + stepDepth / 2 // Back
-
             for (let i = 0; i < numSteps; i++) {
                 const mesh = new THREE.Mesh(stepGeo, material)
 
@@ -147,41 +210,17 @@ export class MapObjectItem extends Item {
                 mesh.castShadow = true
                 mesh.receiveShadow = true
                 group.add(mesh)
-
-                // Physics Collider (Relative to body center)
-                // Cuboid is half-extents
-                const col = RAPIER.ColliderDesc.cuboid(stepWidth / 2, stepHeight / 2, stepDepth / 2)
-                    .setTranslation(mesh.position.x, mesh.position.y, mesh.position.z)
-
-                collidersDesc.push(col)
             }
             object3D = group
 
         } else if (this.type === 'ramp') {
             // RAMP GENERATION
-            // Note: Original code used Shape on XY and Extruded.
-            const shape = new THREE.Shape();
-            shape.moveTo(0, 0);
-            shape.lineTo(this.scale.z, 0); // Base on X (which effectively becomes Z after rotation/mapping?)
-            // Actually let's assume standard dims.
-            shape.lineTo(0, this.scale.y);
-            shape.lineTo(0, 0);
-
-            const extrudeSettings = { steps: 1, depth: this.scale.x, bevelEnabled: false };
-            const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-            geometry.center();
-
+            const geometry = MapObjectItem.createRampGeometry(this.scale)
             const material = new THREE.MeshStandardMaterial({ color: this.color })
             object3D = new THREE.Mesh(geometry, material)
             object3D.castShadow = true
             object3D.receiveShadow = true
 
-            // Physics
-            const vertices = geometry.attributes.position.array
-            let col = RAPIER.ColliderDesc.convexHull(vertices)
-            if (!col) col = RAPIER.ColliderDesc.cuboid(this.scale.x / 2, this.scale.y / 2, this.scale.z / 2)
-            collidersDesc.push(col)
-
         } else {
             // BOX (Wall/Pillar)
             const geometry = new THREE.BoxGeometry(this.scale.x, this.scale.y, this.scale.z)
@@ -189,9 +228,6 @@ export class MapObjectItem extends Item {
             object3D = new THREE.Mesh(geometry, material)
             object3D.castShadow = true
             object3D.receiveShadow = true
-
-            const col = RAPIER.ColliderDesc.cuboid(this.scale.x / 2, this.scale.y / 2, this.scale.z / 2)
-            collidersDesc.push(col)
         }
 
         // Apply Transforms
@@ -212,19 +248,21 @@ export class MapObjectItem extends Item {
         scene.add(object3D)
 
         // Physics Body
+        let rigidBody = null
         if (world && RAPIER) {
             const bodyDesc = RAPIER.RigidBodyDesc.fixed()
                 .setTranslation(object3D.position.x, object3D.position.y, object3D.position.z)
                 .setRotation(object3D.quaternion)
 
-            const rigidBody = world.createRigidBody(bodyDesc)
+            rigidBody = world.createRigidBody(bodyDesc)
 
             // Attach all colliders
-            collidersDesc.forEach(col => {
+            MapObjectItem.createColliderDescs(this.type, this.scale).forEach(col => {
                 world.createCollider(col, rigidBody)
             })
         }
 
         console.log(`Spawned ${this.type} at`, position)
+        return { object3D: object3D, rigidBody: rigidBody }
     }
 }
@@ -10,7 +10,10 @@ export class PelotaItem extends Item {
         this.bulletSpeed = bulletSpeed;
         this.bulletDrop = bulletDrop;
 
-        this.lastShotTime = 0;
+        this.cooldown = 1.0 / fireRate;
+        this.setCharges(30); // Municion
+        this.setDurability(300); // Disparos hasta romperse
+        this.maxStack = 1; // Arma: una por hueco
     }
 
     /**
@@ -22,13 +25,8 @@ export class PelotaItem extends Item {
         // For auto-fire, we need a separate 'update' or 'trigger' called every frame if button held.
         // But for semi-auto or single click, this works.
         // We will adapt logic to support calling 'use' continuously.
+        // Cooldown, municion y durabilidad los comprueba canUse() antes de llamar aqui
 
-        const now = performance.now() / 1000;
-        if (now - this.lastShotTime < 1.0 / this.fireRate) {
-            return false; // Cooldown active
-        }
-
-        this.lastShotTime = now;
         this.shoot(context);
         return true;
     }
@@ -60,6 +58,15 @@ export class PelotaItem extends Item {
         }
     }
 
+    getStats() {
+        return [
+            ["Daño", this.damage],
+            ["Cadencia", `${this.fireRate}/s`],
+            ["Velocidad", this.bulletSpeed],
+            ["Caida", this.bulletDrop],
+        ];
+    }
+
     getDisplayMesh() {
         // Ball mesh for ground
         const geo = new THREE.SphereGeometry(0.3, 16, 16);
@@ -1,15 +1,16 @@
 import { Item } from "./Item.js";
-import { TurretPad } from "../TurretPad.js";
 import * as THREE from "three";
 
 export class TurretItem extends Item {
     constructor(id, name, iconPath) {
         super(id, name, iconPath);
+        this.consumable = true; // Cada torreta colocada gasta una
+        this.cooldown = 2.0;
     }
 
     use(context) {
-        // context = { scene, world, placementManager, platforms, rotationIndex }
-        const { placementManager, scene, world, platforms, rotationIndex } = context;
+        // context = { scene, world, placementManager, platforms, rotationIndex, placeObject }
+        const { placementManager, rotationIndex } = context;
 
         // Use a simulated slot index for placement visualization (e.g., 2 for turret if we had specific ghost logic)
         // For now, reusing 0 or 1 might show the wrong ghost (impulse pad arrow).
@@ -29,15 +30,11 @@ export class TurretItem extends Item {
             const placePos = hitPoint.clone();
             placePos.y += 0.1;
 
-            // Create TurretPad
-            const pad = new TurretPad(
-                scene,
-                world,
-                placePos
-            );
-
-            // Add to platforms list so it gets updated
-            platforms.push(pad);
+            // PlacedObjectManager crea el TurretPad y lo agrega a platforms
+            context.placeObject({
+                kind: "turret",
+                position: { x: placePos.x, y: placePos.y, z: placePos.z },
+            });
             console.log(`Placed ${this.name}`);
             return true;
         }
@@ -45,6 +42,10 @@ export class TurretItem extends Item {
         return false;
     }
 
+    getStats() {
+        return [["Tipo", "Torreta"]];
+    }
+
     getDisplayMesh() {
         const geo = new THREE.BoxGeometry(0.5, 0.5, 0.5);
         const mat = new THREE.MeshStandardMaterial({ color: 0x888888 });
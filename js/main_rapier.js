@@ -11,16 +11,21 @@ import { LevelBuilder } from "./environment/LevelBuilder.js"
 import { LevelLoader } from "./environment/LevelLoader.js"
 import { ImpulsePlatform } from "./ImpulsePlatform.js"
 import { PlacementManager } from "./PlacementManager.js"
+import { Item } from "./item/Item.js"
 import { InventoryManager } from "./item/InventoryManager.js"
 import { ItemDropManager } from "./item/ItemDropManager.js"
-import { ImpulseItem } from "./item/ImpulseItem.js"
 import { FarmingZone } from "./FarmingZone.js"
-import { FuegoItem } from "./item/FuegoItem.js"
 import { FarmingSettings } from "./FarmingSettings.js"
-import { TurretItem } from "./item/TurretItem.js"
 import { TurretPad } from "./TurretPad.js"
 import { PelotaItem } from "./item/PelotaItem.js"
 import { MapObjectItem } from "./item/MapObjectItem.js"
+import { PlacedObjectManager } from "./PlacedObjectManager.js"
+import { Projectile } from "./weapons/Projectile.js"
+import { BackpackMenu } from "./ui/BackpackMenu.js"
+import { CraftingMenu } from "./ui/CraftingMenu.js"
+import { CraftingManager } from "./item/CraftingManager.js"
+import { LoadoutStore } from "./item/LoadoutStore.js"
+import { ItemRegistry } from "./item/ItemRegistry.js"
 
 class Game {
     constructor() {
@@ -69,6 +74,31 @@ class Game {
             this.updateConnectionStatus(true, id)
         })
 
+        this.networkManager.onRoomJoined = (roomName, spawnPosition) => {
+            // Start where the room simulation placed us
+            if (spawnPosition) this.character.setPosition(spawnPosition)
+            this.updateConnectionStatus(true, this.networkManager.playerId)
+            this.updateFlightPermission()
+        }
+        this.networkManager.onRoomLeft = () => {
+            this.updateConnectionStatus(true, this.networkManager.playerId)
+            this.updateFlightPermission()
+        }
+        this.networkManager.onConnectionState = (state, info) => {
+            if (state !== "connected" && this.craftingManager) this.craftingManager.clearPending()
+            if (state === "reconnecting") this.showReconnecting(info)
+            else if (state === "disconnected") this.updateConnectionStatus(false)
+            else if (state === "kicked") this.showKicked(info.reason)
+        }
+
+        // Inventory and fuego survive a reconnect (the server keeps a copy for the resume)
+        this.networkManager.getPlayerData = () => this.getPlayerData()
+        this.networkManager.onPlayerDataRestored = (data) => this.applyPlayerData(data)
+        this.networkManager.onFuegoCount = (value) => this.setFuegoCount(value)
+
+        this.networkManager.setLocalCharacter(this.character)
+        if (urlParams.get('protocol') === 'json') this.networkManager.setProtocol('json') // Debug: readable frames
+
         this.chatManager = new ChatManager(this.networkManager)
 
         // Manager de colocación
@@ -88,6 +118,19 @@ class Game {
         this.platforms = []
         this.projectiles = [] // Array for active projectiles
 
+        // Shots from other players in the room (the server tick decides when they expire)
+        this.remoteProjectiles = new Map() // Map<projectileId, Projectile>
+        this.networkManager.onProjectileSpawned = (data) => this.spawnRemoteProjectile(data)
+        this.networkManager.onProjectileRemoved = (projectileId) => {
+            const proj = this.remoteProjectiles.get(projectileId)
+            if (proj) proj.destroy()
+            this.remoteProjectiles.delete(projectileId)
+        }
+        this.networkManager.onProjectilesCleared = () => {
+            this.remoteProjectiles.forEach((proj) => proj.destroy())
+            this.remoteProjectiles.clear()
+        }
+
         if (this.gameMode !== 'editor') {
             // 1. Forward Boost (Rotatable)
             const forwardPad = new ImpulsePlatform(
@@ -112,11 +155,27 @@ class Game {
             this.platforms.push(jumpPad)
         }
 
+        // Player-placed pads, turrets and map objects (replicated in rooms)
+        this.placedObjectManager = new PlacedObjectManager(
+            this.sceneManager.scene,
+            this.world,
+            this.platforms,
+            this.networkManager
+        )
+
         // ... Code continue ...
 
         // Wire up Chat Events
-        this.networkManager.onChatMessage = (playerId, msg) => {
-            this.chatManager.addChatMessage(playerId, msg)
+        this.networkManager.onChatMessage = (playerId, msg, sender, channel, to, time) => {
+            this.chatManager.addChatMessage(playerId, msg, sender, channel, to, time)
+        }
+        this.networkManager.onChatHistory = (messages) => this.chatManager.addChatHistory(messages)
+
+        // Blocked players (/block) lose their name label too
+        this.networkManager.isPlayerBlocked = (name) => this.chatManager.muteList.isBlocked(name)
+        this.chatManager.muteList.onChange = () => this.networkManager.refreshLabels()
+        this.networkManager.onSystemMessage = (msg, isAnnouncement) => {
+            this.chatManager.addSystemMessage(msg, isAnnouncement)
         }
 
         document.addEventListener("chatFocus", () => {
@@ -134,7 +193,27 @@ class Game {
 
         // --- New Inventory System ---
         this.inventoryManager = new InventoryManager("inventory-container")
-        this.itemDropManager = new ItemDropManager(this.sceneManager.scene, this.world)
+        this.backpackMenu = new BackpackMenu(this.inventoryManager, this) // Extra slots (I), play and editor
+
+        // Crafting: fuego and items -> items (C opens the panel, not in the editor)
+        this.craftingManager = new CraftingManager(this.inventoryManager)
+        // Connected, the server spends the fuego and sends back what is left
+        this.craftingManager.isOnline = () => this.networkManager.isConnected
+        this.craftingManager.sendCraft = (recipeId, requestId) => this.networkManager.craft(recipeId, requestId)
+        this.networkManager.onCraftResult = (message) => {
+            if (Number.isInteger(message.fuegoCount)) this.setFuegoCount(message.fuegoCount)
+            const result = this.craftingManager.handleCraftResult(message)
+            if (!result) return
+            if (this.craftingMenu && this.craftingMenu.isVisible) this.craftingMenu.showResult(result)
+            else this.chatManager.addSystemMessage(result.message)
+        }
+        this.craftingManager.getFuego = () => this.fuegoCount
+        this.craftingManager.spendFuego = (amount) => this.setFuegoCount(this.fuegoCount - amount)
+        this.craftingManager.onUnlock = (recipe) => this.chatManager.addSystemMessage(`Nueva receta: ${recipe.name} (C para fabricar)`)
+        this.craftingMenu = this.gameMode !== 'editor' ? new CraftingMenu(this.craftingManager, this) : null
+        this.itemDropManager = new ItemDropManager(this.sceneManager.scene, this.world, this.networkManager)
+        // Network pickups are approved by the server and arrive later
+        this.itemDropManager.onItemCollected = (item) => this.collectItem(item)
 
         // Farming Zone (Now that itemDropManager exists)
         this.fuegoCount = 0
@@ -147,6 +226,16 @@ class Game {
             // Farming Settings
             this.farmingSettings = new FarmingSettings(this.farmingZone)
 
+            // The room's zone (where the server spawns the fuego)
+            this.networkManager.onFarmingZones = (zones) => {
+                const zone = zones[0]
+                if (!zone) return
+                this.farmingZone.setPosition(new THREE.Vector3(zone.position.x, zone.position.y, zone.position.z))
+                this.farmingZone.setSpawnInterval(zone.spawnInterval)
+                this.farmingZone.setItemsPerSpawn(zone.itemsPerSpawn)
+                this.farmingZone.setItemValue(zone.itemValue)
+            }
+
             // Move Logic State
             this.fKeyHeldTime = 0
             this.isMovingFarmingZone = false
@@ -162,18 +251,8 @@ class Game {
         }
 
         if (this.gameMode === 'editor') {
-            // Editor Items (White default)
-            const wall = new MapObjectItem("wall", "Pared", "wall", "./assets/textures/impulso.png", 0xFFFFFF, { x: 4, y: 3, z: 0.5 })
-            const pillar = new MapObjectItem("pillar", "Pilar", "pillar", "./assets/textures/salto.png", 0xFFFFFF, { x: 1, y: 4, z: 1 })
-            const floor = new MapObjectItem("floor", "Suelo", "wall", "./assets/textures/impulso.png", 0xFFFFFF, { x: 5, y: 0.5, z: 5 })
-            const ramp = new MapObjectItem("stairs", "Gradas", "stairs", "./assets/textures/impulso.png", 0xFFFFFF, { x: 4, y: 2, z: 4 })
-            const tall = new MapObjectItem("tall", "Torre", "pillar", "./assets/textures/salto.png", 0xFFFFFF, { x: 2, y: 10, z: 2 })
-
-            this.inventoryManager.addItem(wall)
-            this.inventoryManager.addItem(pillar)
-            this.inventoryManager.addItem(floor)
-            this.inventoryManager.addItem(ramp)
-            this.inventoryManager.addItem(tall)
+            // Editor Items (White default), from the item catalog
+            ["wall", "pillar", "floor", "stairs", "tall"].forEach((id) => this.inventoryManager.addItem(ItemRegistry.create(id)))
 
             // Create Basic Editor Ground
             const groundGeo = new THREE.BoxGeometry(100, 1, 100);
@@ -198,18 +277,16 @@ class Game {
             })
 
         } else {
-            // Seed Inventory (Normal)
-            const item1 = new ImpulseItem("pad_lat", "Impulso Lateral", "./assets/textures/impulso.png", "lateral", 25.0)
-            const item2 = new ImpulseItem("pad_jump", "Salto Vertical", "./assets/textures/salto.png", "jump", 35.0)
-            const item3 = new TurretItem("pad_turret", "Torreta", "./assets/textures/impulso.png")
-            const item4 = new PelotaItem("pelota", "Lanzador de Pelotas", "./assets/textures/pelota.png", 10, 10, 30, 1.0)
-
-            this.inventoryManager.addItem(item1)
-            this.inventoryManager.addItem(item2)
-            this.inventoryManager.addItem(item3)
-            this.inventoryManager.addItem(item4)
+            // Seed Inventory (Normal), from the item catalog
+            ["pad_lat", "pad_jump", "pad_turret", "pelota"].forEach((id) => this.inventoryManager.addItem(ItemRegistry.create(id)))
         }
 
+        // Inventory from the last session in this browser (replaces the seed); the server's copy wins when it resumes one
+        this.loadoutStore = new LoadoutStore(`loadout:${this.gameMode}`)
+        if (this.loadoutStore.getCurrent()) this.applyPlayerData(this.loadoutStore.getCurrent())
+        this.loadoutSaveTimer = 0
+        window.addEventListener("pagehide", () => this.loadoutStore.setCurrent(this.getPlayerData()))
+
         // Enable DragDrop on Inventory
         if (this.gameMode === 'editor' && this.inventoryManager) {
             this.inventoryManager.enableDragAndDrop((slotIndex) => {
@@ -236,6 +313,7 @@ class Game {
         }
 
         this.setupGameInput() // Replaces setupInventory logic for interactions
+        this.setupCommands()
 
         // Environment (Rapier Rigidbody + Three Mesh)
         // Environment (Rapier Rigidbody + Three Mesh)
@@ -316,7 +394,6 @@ class Game {
             // Send local state
             if (this.character) {
                 this.networkManager.sendPlayerUpdate(
-                    this.character.getPosition(),
                     this.character.getRotation(),
                     this.character.currentAction ? this.character.currentAction.getClip().name : "Idle"
                 )
@@ -327,8 +404,18 @@ class Game {
             if (countEl) countEl.textContent = `Jugadores: ${this.networkManager.getPlayerCount()}`
         }
 
-        // NPC Update
-        if (this.npc) this.npc.update(dt)
+        // Local inventory save (only writes when something changed)
+        this.loadoutSaveTimer += dt
+        if (this.loadoutSaveTimer >= 2) {
+            this.loadoutSaveTimer = 0
+            this.loadoutStore.setCurrent(this.getPlayerData())
+        }
+
+        // NPC Update (in a room the server simulates the NPCs, see RemoteNPC)
+        if (this.npc) {
+            this.npc.setEnabled(!this.networkManager.currentRoom)
+            this.npc.update(dt)
+        }
 
         // Platforms Update
         // Platforms Update
@@ -347,6 +434,8 @@ class Game {
             }
         }
 
+        if (this.inventoryManager) this.inventoryManager.updateCooldowns(Item.now())
+
         // Weapon Auto-Fire Logic
         if (this.isMouseDown && this.inventoryManager) {
             const currentItem = this.inventoryManager.getCurrentItem()
@@ -370,9 +459,7 @@ class Game {
                     collectedFuego.forEach(item => {
                         valueAdded += (item.value || 1);
                     });
-                    this.fuegoCount += valueAdded;
-                    const counterEl = document.getElementById("fuego-count")
-                    if (counterEl) counterEl.textContent = this.fuegoCount
+                    this.addFuego(valueAdded)
                     console.log("Recogido fuego! Total:", this.fuegoCount)
                 }
 
@@ -418,6 +505,8 @@ class Game {
 
         // Farming Zone Update
         if (this.farmingZone) {
+            // In a room the server tick spawns the fuego
+            this.farmingZone.spawnEnabled = !this.placedObjectManager.isOnline()
             this.farmingZone.update(dt)
 
             // Move Logic Check
@@ -524,48 +613,186 @@ class Game {
       <div class="mp-header">Multijugador</div>
       <div class="mp-status" id="connection-status">Desconectado</div>
       <input type="text" id="server-url" placeholder="ws://localhost:8080" value="ws://localhost:8080">
+      <input type="text" id="room-name" placeholder="Sala" value="lobby" maxlength="24">
+      <div class="mp-profile">
+        <input type="text" id="player-name" placeholder="Tu nombre" maxlength="16">
+        <input type="color" id="player-color" title="Color del personaje">
+      </div>
       <button id="connect-btn">Conectar</button>
       <div class="mp-players" id="player-count">Jugadores: 0</div>
+      <div class="mp-rooms" id="room-browser" style="display: none;">
+        <div class="mp-rooms-header">
+          <span>Salas</span>
+          <button id="refresh-rooms-btn" title="Actualizar">&#x21bb;</button>
+        </div>
+        <div id="room-list"></div>
+        <div class="mp-room-actions">
+          <button id="create-room-btn">Crear sala</button>
+          <button id="leave-room-btn">Salir</button>
+        </div>
+        <div class="mp-room-error" id="room-error"></div>
+      </div>
     `
         document.body.appendChild(panel)
 
+        // Visible in the HUD even with the panel out of sight
+        const reconnectBanner = document.createElement("div")
+        reconnectBanner.id = "reconnect-banner"
+        reconnectBanner.style.display = "none"
+        document.body.appendChild(reconnectBanner)
+
         const connectBtn = document.getElementById("connect-btn")
         const serverUrlInput = document.getElementById("server-url")
+        const roomNameInput = document.getElementById("room-name")
+        const roomErrorEl = document.getElementById("room-error")
+        const playerNameInput = document.getElementById("player-name")
+        const playerColorInput = document.getElementById("player-color")
+
+        // Last used profile
+        const profile = this.networkManager.profile
+        playerNameInput.value = profile.name || ""
+        playerColorInput.value = "#" + (profile.color ?? 0x4488ff).toString(16).padStart(6, "0")
 
         connectBtn.addEventListener("click", () => {
-            if (this.networkManager.isConnected) {
+            // Also cancels a reconnect in progress
+            if (this.networkManager.isConnected || this.networkManager.serverUrl) {
                 this.networkManager.disconnect()
                 this.updateConnectionStatus(false)
             } else {
                 const url = serverUrlInput.value.trim()
                 if (url) {
-                    this.networkManager.connect(url)
+                    this.networkManager.setProfile(
+                        playerNameInput.value.trim(),
+                        parseInt(playerColorInput.value.slice(1), 16)
+                    )
+                    this.networkManager.connect(url, roomNameInput.value.trim() || null)
                 }
             }
         })
 
+        // Room Browser
+        document.getElementById("refresh-rooms-btn").addEventListener("click", () => {
+            this.networkManager.listRooms()
+        })
+        document.getElementById("create-room-btn").addEventListener("click", () => {
+            const name = roomNameInput.value.trim()
+            if (name) this.networkManager.createRoom(name)
+        })
+        document.getElementById("leave-room-btn").addEventListener("click", () => {
+            this.networkManager.leaveRoom()
+        })
+
+        this.networkManager.onRoomList = (rooms) => this.renderRoomList(rooms)
+        this.networkManager.onRoomError = (message) => {
+            roomErrorEl.textContent = message
+            setTimeout(() => {
+                if (roomErrorEl.textContent === message) roomErrorEl.textContent = ""
+            }, 4000)
+        }
+
         const showNamesCheckbox = document.getElementById("show-names")
         if (showNamesCheckbox) {
             showNamesCheckbox.addEventListener("change", (e) => {
                 this.networkManager.setShowPlayerNames(e.target.checked)
             })
         }
+
+        const interpDelay = document.getElementById("net-interp-delay")
+        const interpDelayVal = document.getElementById("net-interp-delay-val")
+        if (interpDelay && interpDelayVal) {
+            interpDelay.value = this.networkManager.interpolationDelay
+            interpDelayVal.textContent = this.networkManager.interpolationDelay + "ms"
+            interpDelay.addEventListener("input", (e) => {
+                const val = parseInt(e.target.value)
+                this.networkManager.setInterpolationDelay(val)
+                interpDelayVal.textContent = val + "ms"
+            })
+        }
+    }
+
+    renderRoomList(rooms) {
+        const listEl = document.getElementById("room-list")
+        if (!listEl) return
+
+        listEl.innerHTML = ""
+        if (rooms.length === 0) {
+            listEl.innerHTML = `<div class="mp-room-empty">No hay salas</div>`
+            return
+        }
+
+        rooms.forEach((room) => {
+            const row = document.createElement("div")
+            row.className = "mp-room"
+            if (room.name === this.networkManager.currentRoom) row.classList.add("current")
+
+            const label = document.createElement("span")
+            label.textContent = `${room.name} (${room.players}/${room.maxPlayers})`
+            row.appendChild(label)
+
+            if (room.name !== this.networkManager.currentRoom) {
+                const joinBtn = document.createElement("button")
+                joinBtn.textContent = "Unirse"
+                joinBtn.disabled = room.players >= room.maxPlayers
+                joinBtn.addEventListener("click", () => this.networkManager.joinRoom(room.name))
+                row.appendChild(joinBtn)
+            }
+
+            listEl.appendChild(row)
+        })
+    }
+
+    /**
+     * Connection lost, waiting for the next attempt (the session is resumed if it comes back in time)
+     */
+    showReconnecting(info) {
+        const statusEl = document.getElementById("connection-status")
+        const connectBtn = document.getElementById("connect-btn")
+        const banner = document.getElementById("reconnect-banner")
+        if (!statusEl) return
+
+        const seconds = Math.ceil(info.delay / 1000)
+        statusEl.textContent = `Reconectando... (intento ${info.attempt}, ${seconds}s)`
+        statusEl.className = "mp-status reconnecting"
+        connectBtn.textContent = "Cancelar"
+        connectBtn.className = "disconnect"
+        if (banner) {
+            banner.textContent = `Conexion perdida. Reconectando en ${seconds}s...`
+            banner.style.display = "block"
+        }
+    }
+
+    showKicked(reason) {
+        this.updateConnectionStatus(false)
+        const statusEl = document.getElementById("connection-status")
+        if (statusEl) statusEl.textContent = `Expulsado: ${reason}`
     }
 
     updateConnectionStatus(connected, playerId = null) {
         const statusEl = document.getElementById("connection-status")
         const connectBtn = document.getElementById("connect-btn")
+        const roomBrowser = document.getElementById("room-browser")
+        const banner = document.getElementById("reconnect-banner")
+        if (banner) banner.style.display = "none"
 
         if (connected) {
-            statusEl.textContent = `Conectado: ${playerId?.slice(-6) || ""}`
+            const room = this.networkManager.currentRoom
+            const name = this.networkManager.profile.name || playerId?.slice(-6) || ""
+            statusEl.textContent = `Conectado: ${name}` + (room ? ` | Sala: ${room}` : "")
+
+            // The server may have changed the name (invalid or already taken)
+            const playerNameInput = document.getElementById("player-name")
+            if (playerNameInput && this.networkManager.profile.name) playerNameInput.value = this.networkManager.profile.name
             statusEl.className = "mp-status connected"
             connectBtn.textContent = "Desconectar"
             connectBtn.className = "disconnect"
+            if (roomBrowser) roomBrowser.style.display = "block"
+            this.renderRoomList(this.networkManager.rooms)
         } else {
             statusEl.textContent = "Desconectado"
             statusEl.className = "mp-status disconnected"
             connectBtn.textContent = "Conectar"
             connectBtn.className = ""
+            if (roomBrowser) roomBrowser.style.display = "none"
         }
     }
 
@@ -717,10 +944,163 @@ class Game {
             })
         }
     }
+    /**
+     * Game chat commands (/give, /tp, /fly, /time, /ping); /help and the channels are ChatManager's
+     */
+    setupCommands() {
+        const commands = this.chatManager.commands
+        this.networkManager.onCommands = (serverCommands) => {
+            commands.setServerCommands(serverCommands)
+            this.updateFlightPermission() // isAdmin comes with the command list
+        }
+
+        // /give names: catalog ids (ItemRegistry.definitions, like the seed inventories), plus fuego which only goes to the counter
+        const giveNames = () => [...ItemRegistry.definitions.keys(), "fuego"]
+
+        commands.register({
+            name: "give",
+            usage: "give <objeto> [cantidad]",
+            description: "Añadir un objeto al inventario",
+            isAvailable: () => this.gameMode === 'editor' || this.networkManager.isAdmin,
+            complete: (args) => (args.length === 1 ? giveNames() : []),
+            run: (args) => {
+                const id = (args[0] || "").toLowerCase()
+                if (!giveNames().includes(id)) return `Objetos: ${giveNames().join(", ")}`
+                const count = Math.min(Math.max(parseInt(args[1]) || 1, 1), 99)
+
+                if (id === "fuego") {
+                    // Not collected: doesn't count towards crafting unlocks
+                    this.setFuegoCount(this.fuegoCount + count)
+                    return `+${count} fuego`
+                }
+
+                const item = ItemRegistry.create(id, count)
+                if (!this.inventoryManager.addItem(item)) return `Inventario lleno (${count - item.count}/${count})`
+                return `+${count} ${item.name}`
+            },
+        })
+
+        commands.register({
+            name: "craft",
+            aliases: ["fabricar"],
+            usage: "craft [receta]",
+            description: "Fabricar un objeto con fuego (sin receta: lista)",
+            complete: (args) => (args.length === 1 ? this.craftingManager.recipes.map((recipe) => recipe.id) : []),
+            run: (args) => {
+                if (!args[0]) {
+                    return this.craftingManager.recipes.map((recipe) => {
+                        const missing = this.craftingManager.getMissing(recipe)
+                        return `${recipe.id}: ${recipe.name}${missing.length ? ` (falta ${missing.join(", ")})` : ""}`
+                    }).join("\n")
+                }
+                const result = this.craftingManager.craft(args[0].toLowerCase())
+                if (this.craftingMenu) this.craftingMenu.render()
+                return result.message
+            },
+        })
+
+        commands.register({
+            name: "tp",
+            usage: "tp <x> <y> <z>",
+            description: "Teletransportarte (en una sala lo hace el servidor, solo admins)",
+            run: (args, context) => {
+                // In a room the server owns our position
+                if (this.networkManager.currentRoom) {
+                    context.sendToServer(`tp ${context.rest}`)
+                    return
+                }
+                const [x, y, z] = args.map(Number)
+                if (args.length !== 3 || ![x, y, z].every(Number.isFinite)) return "Uso: /tp <x> <y> <z>"
+                this.character.setPosition({ x: x, y: y, z: z })
+                return `Teletransportado a (${x}, ${y}, ${z})`
+            },
+        })
+
+        commands.register({
+            name: "fly",
+            usage: "fly",
+            description: "Activar o desactivar el vuelo (en una sala, solo admins)",
+            // Landing in a room needs the server's tp, which is admin only
+            isAvailable: () => this.isFlightAllowed(),
+            run: (args, context) => {
+                this.character.toggleFlight()
+                if (this.character.isFlying) return "Vuelo activado"
+
+                // The server kept simulating us on the ground: move it to where we landed
+                if (this.networkManager.currentRoom) {
+                    const position = this.character.getPosition()
+                    context.sendToServer(`tp ${position.x.toFixed(2)} ${position.y.toFixed(2)} ${position.z.toFixed(2)}`)
+                }
+                return "Vuelo desactivado"
+            },
+        })
+
+        commands.register({
+            name: "time",
+            aliases: ["hora"],
+            usage: "time",
+            description: "Hora local y del servidor",
+            run: () => {
+                const local = new Date().toLocaleTimeString()
+                if (this.networkManager.serverTimeOffset === null) return `Hora local: ${local}`
+                const server = new Date(this.networkManager.getServerTime()).toLocaleTimeString()
+                return `Hora local: ${local} | Servidor: ${server}`
+            },
+        })
+
+        commands.register({
+            name: "ping",
+            usage: "ping",
+            description: "Latencia con el servidor",
+            run: (args, context) => {
+                const sent = this.networkManager.ping((ms) => context.reply(`Pong: ${ms} ms`))
+                if (!sent) return "Sin conexion con el servidor"
+            },
+        })
+
+        commands.register({
+            name: "loadout",
+            usage: "loadout <save|load|delete|list> [nombre]",
+            description: "Guardar y aplicar el orden del inventario con nombre (en este navegador)",
+            complete: (args) => {
+                if (args.length === 1) return ["save", "load", "delete", "list"]
+                return args.length === 2 && args[0] !== "save" ? this.loadoutStore.listLoadouts() : []
+            },
+            run: (args) => {
+                const action = (args[0] || "list").toLowerCase()
+                const name = args.slice(1).join(" ")
+                if (action === "list") {
+                    const names = this.loadoutStore.listLoadouts()
+                    return names.length ? `Ordenes guardados: ${names.join(", ")}` : "No hay ordenes guardados"
+                }
+                if (!name) return "Uso: /loadout <save|load|delete|list> [nombre]"
+
+                // Only where each item goes: loading one moves what the player has, it never gives anything back
+                if (action === "save") {
+                    this.loadoutStore.saveLoadout(name, this.inventoryManager.getLayout())
+                    return `Orden del inventario guardado como "${name}"`
+                }
+                if (action === "load") {
+                    const layout = this.loadoutStore.getLoadout(name)
+                    if (!layout) return `No hay un orden "${name}"`
+                    this.inventoryManager.applyLayout(layout)
+                    return `Inventario ordenado como "${name}"`
+                }
+                if (action === "delete") {
+                    return this.loadoutStore.deleteLoadout(name) ? `Orden "${name}" borrado` : `No hay un orden "${name}"`
+                }
+                return "Uso: /loadout <save|load|delete|list> [nombre]"
+            },
+        })
+    }
+
     setupGameInput() {
         this.placementRotationIndex = 0
 
         document.addEventListener("keydown", (e) => {
+            // Typing in a text field (chat, multiplayer name and room, editor save name) is not a hotkey
+            if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return
+
             const key = e.key.toLowerCase()
 
             // Open/Close Construction Menu (E or ESC) - Editor Only
@@ -739,6 +1119,20 @@ class Game {
                 if (key === 'e' || (key === 'escape' && this.constructionMenu.isVisible)) return
             }
 
+            // Backpack (I, ESC closes it); input is disabled while it's open
+            if (!this.chatManager.isChatOpen && (key === 'i' || (key === 'escape' && this.backpackMenu.isVisible))) {
+                if (this.craftingMenu && this.craftingMenu.isVisible) this.craftingMenu.toggle()
+                this.backpackMenu.toggle()
+                return
+            }
+
+            // Crafting panel (C, ESC closes it), same as the backpack
+            if (this.craftingMenu && !this.chatManager.isChatOpen && (key === 'c' || (key === 'escape' && this.craftingMenu.isVisible))) {
+                if (this.backpackMenu.isVisible) this.backpackMenu.toggle()
+                this.craftingMenu.toggle()
+                return
+            }
+
             if (this.inputManager && !this.inputManager.enabled) return
 
             // Rotation (R)
@@ -747,9 +1141,17 @@ class Game {
                 console.log("Placement Rotation:", this.placementRotationIndex)
             }
 
-            // Drop Item (Q)
+            // Remove targeted placed object (X)
+            if (key === 'x' && this.placedObjectManager) {
+                const objectId = this.placedObjectManager.getTargetedObject(this.sceneManager.camera)
+                if (objectId) this.placedObjectManager.requestRemove(objectId)
+            }
+
+            // Drop Item (Q: one, Shift+Q: the whole stack)
             if (key === 'q') {
-                const item = this.inventoryManager.removeCurrentItem()
+                const slotIndex = this.inventoryManager.currentSlotIndex
+                const current = this.inventoryManager.getCurrentItem()
+                const item = current && this.inventoryManager.takeFromSlot(slotIndex, e.shiftKey ? current.count : 1)
                 if (item) {
                     const charPos = this.character.getPosition()
 
@@ -758,31 +1160,20 @@ class Game {
                     this.sceneManager.camera.getWorldDirection(camDir)
 
                     // Drop slightly in front of camera/character
-                    this.itemDropManager.dropItem(item, charPos, camDir)
+                    this.itemDropManager.throwItem(item, charPos, camDir)
                 }
             }
 
+            // Split the selected stack in half (V); right click on a slot does the same
+            if (key === 'v') {
+                this.inventoryManager.splitStack(this.inventoryManager.currentSlotIndex)
+            }
+
             // Pickup Item (F)
             if (key === 'f') {
                 const charPos = this.character.getPosition()
                 const picked = this.itemDropManager.tryPickupNearest(charPos)
-                if (picked) {
-                    if (picked.id === "fuego") {
-                        this.fuegoCount += (picked.value || 1)
-                        const counterEl = document.getElementById("fuego-count")
-                        if (counterEl) counterEl.textContent = this.fuegoCount
-                        console.log("Manual pickup fuego! Total:", this.fuegoCount)
-                    } else {
-                        const added = this.inventoryManager.addItem(picked)
-                        if (!added) {
-                            // Inventory full, drop it back?
-                            console.log("Inventario lleno, soltando de nuevo...")
-                            const camDir = new THREE.Vector3()
-                            this.sceneManager.camera.getWorldDirection(camDir)
-                            this.itemDropManager.dropItem(picked, charPos, camDir)
-                        }
-                    }
-                }
+                if (picked) this.collectItem(picked)
             }
             // Pickup Item (F) Logic is already handled above in 'keydown'
             // We need to track F state for holding
@@ -829,6 +1220,8 @@ class Game {
                     this.moveGhost.visible = false
                     console.log("Farming Zone Moved")
                 } else {
+                    const item = this.inventoryManager.getCurrentItem()
+                    if (item && item.isDepleted()) this.chatManager.addSystemMessage(`${item.name}: sin cargas`)
                     this.useCurrentItem()
                 }
             }
@@ -996,9 +1389,82 @@ class Game {
         console.log("Map Loaded:", jsonData.objects.length, "objects")
     }
 
+    /**
+     * Item picked up from the ground (local pickup or approved by the server)
+     */
+    collectItem(picked) {
+        if (picked.id === "fuego") {
+            this.addFuego(picked.value || 1)
+            console.log("Manual pickup fuego! Total:", this.fuegoCount)
+        } else {
+            const added = this.inventoryManager.addItem(picked)
+            if (!added) {
+                // Inventory full, drop it back?
+                console.log("Inventario lleno, soltando de nuevo...")
+                const camDir = new THREE.Vector3()
+                this.sceneManager.camera.getWorldDirection(camDir)
+                this.itemDropManager.throwItem(picked, this.character.getPosition(), camDir)
+            }
+        }
+    }
+
+    // Collected fuego also counts towards crafting unlocks; spending it does not
+    addFuego(amount) {
+        this.craftingManager.addFuegoCollected(amount)
+        this.setFuegoCount(this.fuegoCount + amount)
+    }
+
+    setFuegoCount(value) {
+        this.fuegoCount = value
+        const counterEl = document.getElementById("fuego-count")
+        if (counterEl) counterEl.textContent = this.fuegoCount
+        if (this.craftingMenu) this.craftingMenu.render()
+    }
+
+    /**
+     * Editor or admin. In a room only admins: the server keeps simulating us on the ground
+     * and landing needs its tp, which is admin only
+     */
+    isFlightAllowed() {
+        return (this.gameMode === 'editor' && !this.networkManager.currentRoom) || this.networkManager.isAdmin
+    }
+
+    // Double jump to fly (editor only) and no flight left on where it is not allowed
+    updateFlightPermission() {
+        if (!this.character) return
+        this.character.canFly = this.gameMode === 'editor' && this.isFlightAllowed()
+        if (this.character.isFlying && !this.isFlightAllowed()) this.character.toggleFlight()
+    }
+
+    /**
+     * Player state the server keeps for session resumes and across restarts
+     */
+    getPlayerData() {
+        if (!this.inventoryManager) return null
+        return { ...this.inventoryManager.serialize(), fuegoCount: this.fuegoCount, crafting: this.craftingManager.serialize() }
+    }
+
+    /**
+     * Also used for the localStorage copy and /loadout load (same format)
+     */
+    applyPlayerData(data) {
+        if (!this.inventoryManager || !this.inventoryManager.restore(data)) return
+
+        if (Number.isFinite(data.fuegoCount)) this.setFuegoCount(data.fuegoCount)
+        this.craftingManager.restore(data.crafting)
+    }
+
+    spawnRemoteProjectile(data) {
+        const origin = new THREE.Vector3(data.origin.x, data.origin.y, data.origin.z)
+        const velocity = new THREE.Vector3(data.velocity.x, data.velocity.y, data.velocity.z)
+        const proj = new Projectile(this.sceneManager.scene, this.world, origin, velocity, velocity.length(), 0, data.bulletDrop)
+        this.projectiles.push(proj)
+        this.remoteProjectiles.set(data.id, proj)
+    }
+
     useCurrentItem() {
         const item = this.inventoryManager.getCurrentItem()
-        if (!item) return
+        if (!item || !item.canUse()) return // Cooldown, no charges or broken
 
         let origin = new THREE.Vector3()
         let direction = new THREE.Vector3()
@@ -1023,12 +1489,25 @@ class Game {
             direction: direction,
             registerProjectile: (proj) => {
                 this.projectiles.push(proj)
+                if (this.placedObjectManager.isOnline()) {
+                    this.networkManager.shoot(proj.origin, proj.velocity, proj.bulletDrop)
+                }
+            },
+            placeObject: (data) => {
+                // Pads and turrets are spent right away; if the room refuses the placement, that one comes back
+                const refund = item.consumable ? ItemRegistry.clone(item, 1) : null
+                this.placedObjectManager.place(data, (message) => {
+                    if (refund) this.inventoryManager.addItem(refund)
+                    this.chatManager.addSystemMessage(`No se pudo colocar: ${message}`)
+                })
             }
         }
 
-        const consumed = item.use(context)
-        // If we implemented consumption (removing item), we would do it here
-        // if (consumed) this.inventoryManager.removeCurrentItem()
+        const used = item.use(context)
+        // Cooldown, charges and durability; pads and turrets: one less in the stack for each one placed
+        if (used && this.inventoryManager.registerCurrentUse()) {
+            this.chatManager.addSystemMessage(`Se ha roto: ${item.name}`)
+        }
     }
 }
 
@@ -0,0 +1,56 @@
+import { MenuInput } from './MenuInput.js'
+
+/**
+ * Mochila: rejilla con los huecos extra del InventoryManager.
+ * Se arrastra entre la mochila y la hotbar (que sigue visible debajo),
+ * shift+click mueve rapido y click derecho parte la pila.
+ */
+export class BackpackMenu {
+    constructor(inventoryManager, gameInstance) {
+        this.inventoryManager = inventoryManager
+        this.game = gameInstance // Input and camera, like ConstructionMenu
+        this.isVisible = false
+        this.slotElements = []
+
+        this.setupUI()
+        this.inventoryManager.onChange = () => this.render()
+        this.render()
+    }
+
+    setupUI() {
+        this.container = document.createElement('div')
+        this.container.id = 'backpack-menu'
+        this.container.innerHTML = `
+            <div class="backpack-title">Mochila</div>
+            <div class="backpack-grid"></div>
+            <div class="backpack-hint">Arrastra para mover o intercambiar · Shift+clic: mover a la hotbar/mochila · Clic derecho: dividir · I o ESC: cerrar</div>
+        `
+        const grid = this.container.querySelector('.backpack-grid')
+
+        this.inventoryManager.backpack.forEach((item, index) => {
+            const slotEl = document.createElement('div')
+            slotEl.className = 'inventory-slot backpack-slot'
+            this.inventoryManager.bindSlot(slotEl, 'backpack', index)
+            grid.appendChild(slotEl)
+            this.slotElements.push(slotEl)
+        })
+
+        document.body.appendChild(this.container)
+    }
+
+    render() {
+        this.slotElements.forEach((slotEl, index) => {
+            this.inventoryManager.renderSlot(slotEl, this.inventoryManager.backpack[index])
+        })
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible
+        this.container.style.display = this.isVisible ? 'flex' : 'none'
+        this.inventoryManager.menuOpen = this.isVisible
+        this.inventoryManager.hideTooltip()
+
+        // Free the mouse to drag items
+        MenuInput.setOpen(this.game, this.isVisible)
+    }
+}
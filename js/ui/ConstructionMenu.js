@@ -1,5 +1,6 @@
 import { MapObjectItem } from "../item/MapObjectItem.js"
 import * as THREE from "three"
+import { MenuInput } from "./MenuInput.js"
 
 export class ConstructionMenu {
     constructor(inventoryManager, gameInstance) {
@@ -327,28 +328,6 @@ export class ConstructionMenu {
         this.container.style.display = this.isVisible ? 'flex' : 'none'
 
         // Pause Game Input / Pointer Lock
-        if (this.isVisible) {
-            document.exitPointerLock()
-            if (this.game.inputManager) {
-                this.game.inputManager.enabled = false
-                if (this.game.inputManager.reset) this.game.inputManager.reset()
-                this.game.isMouseDown = false // Clear stickiness
-            }
-        } else {
-            // Resume
-            if (this.game.inputManager) {
-                this.game.inputManager.enabled = true
-                if (this.game.inputManager.reset) this.game.inputManager.reset()
-            }
-
-            // Re-request pointer lock after a small delay to ensure browser handles it
-            setTimeout(() => {
-                if (this.game.cameraController) {
-                    this.game.cameraController.lock()
-                } else {
-                    document.body.requestPointerLock()
-                }
-            }, 100)
-        }
+        MenuInput.setOpen(this.game, this.isVisible)
     }
 }
@@ -0,0 +1,103 @@
+import { ItemRegistry } from '../item/ItemRegistry.js'
+import { MenuInput } from './MenuInput.js'
+
+/**
+ * Panel de fabricacion (C): una fila por receta con su coste y el boton de fabricar.
+ * Las bloqueadas dicen como se desbloquean; las que no se pueden pagar, lo que falta.
+ */
+export class CraftingMenu {
+    constructor(craftingManager, gameInstance) {
+        this.craftingManager = craftingManager
+        this.game = gameInstance // Input and camera, like BackpackMenu
+        this.isVisible = false
+
+        this.setupUI()
+    }
+
+    setupUI() {
+        this.container = document.createElement('div')
+        this.container.id = 'crafting-menu'
+        this.container.innerHTML = `
+            <div class="crafting-title">Fabricar</div>
+            <div class="crafting-list"></div>
+            <div class="crafting-status"></div>
+            <div class="backpack-hint">C o ESC: cerrar</div>
+        `
+        this.list = this.container.querySelector('.crafting-list')
+        this.status = this.container.querySelector('.crafting-status')
+        document.body.appendChild(this.container)
+    }
+
+    render() {
+        if (!this.isVisible) return
+        this.list.innerHTML = ''
+
+        this.craftingManager.recipes.forEach((recipe) => {
+            const unlocked = this.craftingManager.isUnlocked(recipe)
+            const missing = this.craftingManager.getMissing(recipe)
+
+            const row = document.createElement('div')
+            row.className = 'crafting-recipe' + (unlocked ? '' : ' locked')
+
+            const icon = document.createElement('img')
+            icon.src = this.getIcon(recipe)
+            row.appendChild(icon)
+
+            const info = document.createElement('div')
+            info.className = 'crafting-info'
+            const count = recipe.output && recipe.output.count > 1 ? ` x${recipe.output.count}` : ''
+            const name = document.createElement('div')
+            name.className = 'crafting-name'
+            name.textContent = recipe.name + count
+            info.appendChild(name)
+            const cost = document.createElement('div')
+            cost.className = 'crafting-cost'
+            cost.textContent = unlocked ? this.getCostText(recipe) : `Bloqueada: ${this.craftingManager.getUnlockText(recipe)}`
+            info.appendChild(cost)
+            row.appendChild(info)
+
+            const button = document.createElement('button')
+            button.textContent = 'Fabricar'
+            button.disabled = missing.length > 0
+            if (unlocked && missing.length > 0) button.title = `Falta: ${missing.join(', ')}`
+            button.addEventListener('click', () => this.craft(recipe.id))
+            row.appendChild(button)
+
+            this.list.appendChild(row)
+        })
+    }
+
+    craft(id) {
+        this.showResult(this.craftingManager.craft(id))
+    }
+
+    // Also for the server's answer when connected (CraftingManager.handleCraftResult)
+    showResult(result) {
+        this.status.textContent = result.message
+        this.status.classList.toggle('error', !result.ok)
+        this.render()
+    }
+
+    getIcon(recipe) {
+        if (recipe.icon) return recipe.icon
+        const item = ItemRegistry.create(recipe.output.id) // MapObjectItem draws its own icon
+        return item ? item.iconPath : ''
+    }
+
+    getCostText(recipe) {
+        const parts = []
+        if (recipe.fuego) parts.push(`${recipe.fuego} fuego`)
+        ;(recipe.ingredients || []).forEach((ingredient) => parts.push(`${ingredient.count} ${this.craftingManager.getIngredientName(ingredient)}`))
+        return parts.join(' + ') || 'Gratis'
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible
+        this.container.style.display = this.isVisible ? 'flex' : 'none'
+        this.status.textContent = ''
+        this.render()
+
+        // Free the mouse to click the buttons
+        MenuInput.setOpen(this.game, this.isVisible)
+    }
+}
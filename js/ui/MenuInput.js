@@ -0,0 +1,33 @@
+/**
+ * Menus que necesitan el raton (construccion, mochila, fabricacion):
+ * al abrir sueltan el pointer lock y paran el input del juego, al cerrar lo devuelven.
+ */
+export class MenuInput {
+    static setOpen(game, open) {
+        const inputManager = game.inputManager
+
+        if (open) {
+            document.exitPointerLock()
+            if (inputManager) {
+                inputManager.enabled = false
+                if (inputManager.reset) inputManager.reset()
+                game.isMouseDown = false // Clear stickiness
+            }
+            return
+        }
+
+        if (inputManager) {
+            inputManager.enabled = true
+            if (inputManager.reset) inputManager.reset()
+        }
+
+        // Re-request pointer lock after a small delay to ensure browser handles it
+        setTimeout(() => {
+            if (game.cameraController) {
+                game.cameraController.lock()
+            } else {
+                document.body.requestPointerLock()
+            }
+        }, 100)
+    }
+}
@@ -24,8 +24,11 @@ export class Projectile {
 
         this.rigidBody = this.world.createRigidBody(bodyDesc);
 
-        // Initial Velocity
+        // Initial Velocity (kept to replicate the shot)
         const velocity = direction.clone().normalize().multiplyScalar(speed);
+        this.origin = origin.clone();
+        this.velocity = velocity;
+        this.bulletDrop = bulletDrop;
         this.rigidBody.setLinvel({ x: velocity.x, y: velocity.y, z: velocity.z }, true);
 
         // Collider (Sensor vs Solid?)
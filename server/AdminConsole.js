@@ -0,0 +1,262 @@
+import readline from "readline"
+
+/**
+ * Consola de administracion: REPL en stdin del servidor y comandos de chat
+ * para jugadores que se identifican con /admin <password>.
+ * Las acciones quedan en el audit log.
+ *
+ * Los comandos van al CommandRegistry del servidor (registerCommands); el REPL los
+ * ejecuta como administrador.
+ *
+ * server: { getClients, kick, teleport, announce, notify, reportViolation, sendCommands }
+ * (funciones del websocket-server, la consola no toca los sockets directamente)
+ */
+export class AdminConsole {
+    constructor(server, options = {}) {
+        this.server = server
+        this.password = options.password || null // Chat login disabled without one
+        this.auditLog = options.auditLog
+        this.bans = options.bans
+        this.chatFilter = options.chatFilter
+        this.defaultMuteMinutes = 10
+    }
+
+    startRepl() {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "admin> " })
+        rl.on("line", (line) => {
+            if (line.trim()) console.log(this.execute("console", line))
+            rl.prompt()
+        })
+        rl.prompt()
+    }
+
+    /**
+     * Admin commands (and the /admin login) in the server CommandRegistry
+     */
+    registerCommands(commands) {
+        this.commands = commands
+
+        commands.register({
+            name: "admin",
+            usage: "admin <password>",
+            description: "Identificarse como administrador",
+            run: (context, args) => this.login(context.ws, args.join(" ")),
+        })
+        commands.register({
+            name: "list",
+            usage: "list",
+            description: "Jugadores conectados",
+            admin: true,
+            run: () => this.list(),
+        })
+        commands.register({
+            name: "kick",
+            usage: "kick <jugador> [motivo]",
+            description: "Expulsar",
+            admin: true,
+            run: (context, args) => {
+                const target = this.findClient(args[0])
+                if (!target) return `Jugador no encontrado: ${args[0] || ""}`
+                const reason = args.slice(1).join(" ") || "Expulsado por un administrador"
+
+                this.auditLog.log(context.actor, "kick", { playerId: target.playerId, name: target.profile.name, reason: reason })
+                this.server.kick(target, reason)
+                return `${target.profile.name} expulsado`
+            },
+        })
+        commands.register({
+            name: "ban",
+            usage: "ban <jugador|token:TOKEN> [motivo]",
+            description: "Banear por token (y expulsar)",
+            admin: true,
+            run: (context, args) => {
+                if (!args[0]) return "Uso: ban <jugador|token:TOKEN> [motivo]"
+                const target = this.findClient(args[0])
+                // Offline players only by explicit token, so a mistyped name doesn't become a ban
+                const token = target ? target.token : AdminConsole.readToken(args[0])
+                if (!token) return `Jugador no encontrado: ${args[0]} (para un token: ban token:<token>)`
+                const name = target ? target.profile.name : null
+                const reason = args.slice(1).join(" ") || "Baneado por un administrador"
+
+                this.bans.add(token, { name: name, reason: reason, by: context.actor })
+                this.auditLog.log(context.actor, "ban", { token: token, name: name, reason: reason })
+                if (target) this.server.kick(target, `Baneado: ${reason}`)
+                return `Token ${token.slice(0, 8)}... baneado` + (name ? ` (${name})` : "")
+            },
+        })
+        commands.register({
+            name: "unban",
+            usage: "unban <token>",
+            description: "Quitar un baneo",
+            admin: true,
+            run: (context, args) => {
+                if (!args[0] || !this.bans.remove(args[0])) return `No hay baneo para ${args[0] || ""}`
+                this.auditLog.log(context.actor, "unban", { token: args[0] })
+                return `Baneo quitado`
+            },
+        })
+        commands.register({
+            name: "mute",
+            usage: "mute <jugador> [minutos]",
+            description: `Silenciar el chat (${this.defaultMuteMinutes} min por defecto)`,
+            admin: true,
+            run: (context, args) => {
+                const target = this.findClient(args[0])
+                if (!target) return `Jugador no encontrado: ${args[0] || ""}`
+                const minutes = parseFloat(args[1]) > 0 ? parseFloat(args[1]) : this.defaultMuteMinutes
+
+                target.mutedUntil = Date.now() + minutes * 60000
+                this.auditLog.log(context.actor, "mute", { playerId: target.playerId, name: target.profile.name, minutes: minutes })
+                this.server.notify(target, `Has sido silenciado durante ${minutes} min`)
+                return `${target.profile.name} silenciado ${minutes} min`
+            },
+        })
+        commands.register({
+            name: "unmute",
+            usage: "unmute <jugador>",
+            description: "Quitar el silencio",
+            admin: true,
+            run: (context, args) => {
+                const target = this.findClient(args[0])
+                if (!target) return `Jugador no encontrado: ${args[0] || ""}`
+
+                target.mutedUntil = 0
+                this.auditLog.log(context.actor, "unmute", { playerId: target.playerId, name: target.profile.name })
+                this.server.notify(target, "Ya puedes volver a escribir en el chat")
+                return `${target.profile.name} ya puede escribir`
+            },
+        })
+        commands.register({
+            name: "tp",
+            usage: "tp [jugador] <x> <y> <z> | tp [jugador] <otro>",
+            description: "Teletransportar (a ti mismo si no indicas jugador)",
+            admin: true,
+            run: (context, args) => this.teleport(context, args),
+        })
+        commands.register({
+            name: "filter",
+            usage: "filter <list|add|remove> [palabra]",
+            description: "Palabras tapadas en el chat (palabra* tapa tambien lo que siga)",
+            admin: true,
+            run: (context, args) => this.editFilter(context, args),
+        })
+        commands.register({
+            name: "announce",
+            usage: "announce <texto>",
+            description: "Anuncio para todos los jugadores",
+            admin: true,
+            run: (context, args) => {
+                const text = args.join(" ")
+                if (!text) return "Uso: announce <texto>"
+
+                this.auditLog.log(context.actor, "announce", { message: text })
+                this.server.announce(text)
+                return "Anuncio enviado"
+            },
+        })
+    }
+
+    login(ws, password) {
+        if (!ws) return "La consola ya es administradora"
+        if (!this.password) return "La administracion por chat esta desactivada"
+        if (password !== this.password) {
+            this.auditLog.log(this.getActor(ws), "loginFailed")
+            this.server.reportViolation(ws, "wrong admin password")
+            return "Password incorrecto"
+        }
+
+        ws.isAdmin = true
+        this.auditLog.log(this.getActor(ws), "login")
+        this.server.sendCommands(ws) // Admin commands for /help and autocomplete
+        return "Modo administrador activado. /help para ver los comandos"
+    }
+
+    getActor(ws) {
+        return `${ws.playerId} (${ws.profile ? ws.profile.name : "?"})`
+    }
+
+    /**
+     * Command from the REPL (always admin)
+     * @param {string} line - Command without the leading "/"
+     * @returns {string} - Reply (several lines joined)
+     */
+    execute(actor, line) {
+        return this.commands.execute({ ws: null, actor: actor, isAdmin: true }, line)
+    }
+
+    list() {
+        const clients = this.server.getClients()
+        if (clients.length === 0) return "No hay jugadores conectados"
+
+        return clients.map((ws) => {
+            const player = ws.room && ws.room.players.get(ws.playerId)
+            const position = player
+                ? `(${player.position.x.toFixed(1)}, ${player.position.y.toFixed(1)}, ${player.position.z.toFixed(1)})`
+                : "-"
+            const flags = [ws.isAdmin ? "admin" : null, ws.mutedUntil > Date.now() ? "silenciado" : null].filter(Boolean)
+            return [
+                ws.playerId,
+                `"${ws.profile.name}"`,
+                ws.room ? ws.room.name : "(sin sala)",
+                position,
+                `token:${ws.token.slice(0, 8)}`,
+                flags.length ? `[${flags.join(", ")}]` : "",
+            ].join("  ")
+        }).join("\n")
+    }
+
+    teleport(context, args) {
+        // An admin player can leave the target out: "tp x y z" or "tp <otro>" moves itself
+        const self = context.ws && (args.length === 3 || (args.length === 1 && this.findClient(args[0]) !== context.ws))
+        const target = self ? context.ws : this.findClient(args.shift())
+        if (!target) return "Jugador no encontrado"
+        if (!target.room) return `${target.profile.name} no esta en ninguna sala`
+
+        let position = null
+        if (args.length >= 3) {
+            const [x, y, z] = args.slice(0, 3).map(Number)
+            if ([x, y, z].every(Number.isFinite)) position = { x: x, y: y, z: z }
+        } else {
+            const destination = this.findClient(args[0])
+            const other = destination && destination.room === target.room && target.room.players.get(destination.playerId)
+            if (other) position = { x: other.position.x + 1, y: other.position.y, z: other.position.z }
+        }
+        if (!position) return "Uso: tp [jugador] <x> <y> <z> | tp [jugador] <otro jugador de la sala>"
+
+        this.server.teleport(target, position)
+        this.auditLog.log(context.actor, "teleport", { playerId: target.playerId, name: target.profile.name, position: position })
+        return `${target.profile.name} -> (${position.x}, ${position.y}, ${position.z})`
+    }
+
+    editFilter(context, args) {
+        const [action, word] = args
+        switch (action) {
+            case "list": {
+                const words = this.chatFilter.list()
+                return words.length ? words.join(", ") : "El filtro esta vacio"
+            }
+            case "add":
+                if (!this.chatFilter.add(word)) return "Palabra invalida (letras y numeros, * opcional al final)"
+                this.auditLog.log(context.actor, "filterAdd", { word: word })
+                return `"${word}" se tapara en el chat`
+            case "remove":
+                if (!this.chatFilter.remove(word)) return `"${word || ""}" no esta en el filtro`
+                this.auditLog.log(context.actor, "filterRemove", { word: word })
+                return `"${word}" quitada del filtro`
+        }
+        return "Uso: filter <list|add|remove> [palabra]"
+    }
+
+    // By player id or display name (case insensitive)
+    findClient(query) {
+        if (!query) return null
+        const lower = query.toLowerCase()
+        return this.server.getClients().find((ws) => ws.playerId === query || ws.profile.name.toLowerCase() === lower) || null
+    }
+
+    // "token:<hex>" as handed out by ProfileStore.generateToken
+    static readToken(arg) {
+        const match = /^token:([0-9a-f]{32})$/i.exec(arg)
+        return match ? match[1].toLowerCase() : null
+    }
+}
@@ -0,0 +1,24 @@
+import fs from "fs"
+import path from "path"
+
+/**
+ * Registro de acciones de administracion (una linea JSON por accion, solo se anade).
+ */
+export class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    }
+
+    /**
+     * @param {string} actor - "console" or the admin player ("player_x (Name)")
+     * @param {string} action - kick, ban, mute...
+     * @param {Object} details
+     */
+    log(actor, action, details = {}) {
+        const entry = { time: new Date().toISOString(), actor: actor, action: action, ...details }
+        fs.appendFile(this.filePath, JSON.stringify(entry) + "\n", (error) => {
+            if (error) console.error("Error writing audit log:", error)
+        })
+    }
+}
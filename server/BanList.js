@@ -0,0 +1,54 @@
+import fs from "fs"
+import path from "path"
+
+/**
+ * Baneos por token de perfil (el mismo token persistente del hello).
+ * Se guardan en un JSON local para que sobrevivan a un reinicio.
+ */
+export class BanList {
+    constructor(filePath) {
+        this.filePath = filePath
+        this.bans = new Map() // Map<token, { name, reason, by, at }>
+
+        this.load()
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+            Object.entries(data.bans || {}).forEach(([token, ban]) => {
+                this.bans.set(token, ban)
+            })
+            console.log(`Loaded ${this.bans.size} bans from ${this.filePath}`)
+        } catch (error) {
+            console.error("Error loading bans:", error)
+        }
+    }
+
+    get(token) {
+        if (typeof token !== "string") return null
+        return this.bans.get(token) || null
+    }
+
+    add(token, ban) {
+        this.bans.set(token, { ...ban, at: Date.now() })
+        this.save()
+    }
+
+    remove(token) {
+        const removed = this.bans.delete(token)
+        if (removed) this.save()
+        return removed
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+            const data = { bans: Object.fromEntries(this.bans) }
+            fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2))
+        } catch (error) {
+            console.error("Error saving bans:", error)
+        }
+    }
+}
@@ -0,0 +1,125 @@
+import fs from "fs"
+import path from "path"
+
+// Used until an admin saves a list of their own (/filter add|remove)
+const DEFAULT_WORDS = [
+    "puta", "puto", "mierda", "cabron*", "gilipollas", "pendej*", "maricon*", "zorra", "verga", "chinga*",
+    "fuck*", "shit", "bitch*", "cunt",
+]
+
+// Letters players swap in to get past the filter
+const LOOKALIKES = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "@": "a", "$": "s" }
+
+/**
+ * Filtro de palabras del chat: las palabras de la lista se tapan con asteriscos.
+ * Ignora mayusculas, tildes, letras repetidas ("puuuta") y numeros por letras ("m1erda").
+ * Una palabra acabada en * tapa tambien lo que venga detras ("cabron*" -> "cabrones").
+ * La lista se guarda en un JSON local (CHAT_FILTER) y se edita con /filter.
+ */
+export class ChatFilter {
+    constructor(filePath) {
+        this.filePath = filePath
+        this.words = new Set()
+        this.pattern = null
+
+        this.load()
+    }
+
+    load() {
+        let words = DEFAULT_WORDS
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+                if (Array.isArray(data.words)) words = data.words
+                console.log(`Loaded ${words.length} filtered words from ${this.filePath}`)
+            }
+        } catch (error) {
+            console.error("Error loading chat filter:", error)
+        }
+
+        words.forEach((word) => {
+            const entry = ChatFilter.readWord(word)
+            if (entry) this.words.add(entry)
+        })
+        this.compile()
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+            fs.writeFileSync(this.filePath, JSON.stringify({ words: this.list() }, null, 2))
+        } catch (error) {
+            console.error("Error saving chat filter:", error)
+        }
+    }
+
+    /**
+     * @returns {boolean} - false if the word is not valid (letters and numbers, optional * at the end)
+     */
+    add(word) {
+        const entry = ChatFilter.readWord(word)
+        if (!entry) return false
+        this.words.add(entry)
+        this.compile()
+        this.save()
+        return true
+    }
+
+    remove(word) {
+        const removed = this.words.delete(ChatFilter.readWord(word))
+        if (removed) {
+            this.compile()
+            this.save()
+        }
+        return removed
+    }
+
+    list() {
+        return Array.from(this.words).sort()
+    }
+
+    /**
+     * @returns {Object} - { text (with the filtered words masked), filtered }
+     */
+    clean(text) {
+        if (!this.pattern) return { text: text, filtered: false }
+
+        // Same length as text, so match positions are valid in the original
+        const normalized = ChatFilter.normalize(text)
+        const chars = text.split("")
+        let filtered = false
+
+        this.pattern.lastIndex = 0
+        let match
+        while ((match = this.pattern.exec(normalized)) !== null) {
+            for (let i = match.index; i < match.index + match[0].length; i++) chars[i] = "*"
+            filtered = true
+        }
+        return { text: filtered ? chars.join("") : text, filtered: filtered }
+    }
+
+    compile() {
+        // "puta" -> p+u+t+a+ (repeated letters); "cabron*" -> c+a+b+r+o+n+[a-z0-9]*
+        const alternatives = Array.from(this.words).map((word) => {
+            const letters = word.replace(/\*$/, "").split("").map((char) => `${char}+`).join("")
+            return word.endsWith("*") ? letters + "[a-z0-9]*" : letters
+        })
+        this.pattern = alternatives.length > 0
+            ? new RegExp(`(?<![a-z0-9])(?:${alternatives.join("|")})(?![a-z0-9])`, "g")
+            : null
+    }
+
+    // Lowercase, no accents, lookalikes replaced; one char per UTF-16 unit of the input
+    static normalize(text) {
+        return text.split("").map((char) => {
+            const base = char.toLowerCase().normalize("NFD")[0] || char
+            return LOOKALIKES[base] || base
+        }).join("")
+    }
+
+    static readWord(word) {
+        if (typeof word !== "string") return null
+        const entry = ChatFilter.normalize(word.trim())
+        return /^[a-z0-9]+\*?$/.test(entry) ? entry : null
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Comandos de chat del servidor (/help, /admin, /kick...) y de la consola de administracion.
+ * Cada modulo registra los suyos; los marcados admin solo los ven y ejecutan los
+ * administradores (la consola siempre lo es).
+ *
+ * Comando: { name, aliases, usage, description, admin, run(context, args) => string | void }
+ * context: { ws (null en la consola), actor, isAdmin }
+ */
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map() // Map<name, command>
+        this.aliases = new Map() // Map<alias, name>
+    }
+
+    register(command) {
+        this.commands.set(command.name, command)
+        ;(command.aliases || []).forEach((alias) => this.aliases.set(alias, command.name))
+    }
+
+    get(name) {
+        const lower = name.toLowerCase()
+        return this.commands.get(lower) || this.commands.get(this.aliases.get(lower)) || null
+    }
+
+    /**
+     * Commands this client may run (sent to it for /help and autocomplete)
+     * @returns {Array} - [{ name, aliases, usage, description }]
+     */
+    list(isAdmin) {
+        return Array.from(this.commands.values())
+            .filter((command) => isAdmin || !command.admin)
+            .map((command) => ({
+                name: command.name,
+                aliases: command.aliases || [],
+                usage: command.usage || command.name,
+                description: command.description || "",
+            }))
+    }
+
+    /**
+     * @param {string} line - Command without the leading "/"
+     * @returns {string} - Reply for the caller ("" if the command had nothing to say)
+     */
+    execute(context, line) {
+        const args = CommandRegistry.parseArgs(line)
+        const name = args.shift() || ""
+        const command = this.get(name)
+
+        // Admin commands don't exist for everyone else
+        if (!command || (command.admin && !context.isAdmin)) {
+            return `Comando desconocido: /${name}. Escribe /help`
+        }
+        return command.run(context, args) || ""
+    }
+
+    help(isAdmin, name = null) {
+        if (name) {
+            const command = this.get(name)
+            if (!command || (command.admin && !isAdmin)) return `No existe el comando ${name}`
+            return `/${command.usage || command.name}  ${command.description || ""}`
+        }
+        return this.list(isAdmin).map((command) => `/${command.usage.padEnd(30)} ${command.description}`).join("\n")
+    }
+
+    // Words, or "quoted text" for names with spaces
+    static parseArgs(line) {
+        const args = []
+        const pattern = /"([^"]*)"|(\S+)/g
+        let match
+        while ((match = pattern.exec(line)) !== null) {
+            args.push(match[1] !== undefined ? match[1] : match[2])
+        }
+        return args
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Limites por conexion: token bucket por tipo de mensaje + registro de infracciones.
+ * Demasiadas infracciones en la ventana => el servidor expulsa al cliente.
+ */
+export const RATE_LIMITS = {
+    playerInput: { rate: 40, burst: 80 }, // Client sends 20/s
+    playerData: { rate: 2, burst: 5 },
+    chat: { rate: 1, burst: 5 },
+    setTeam: { rate: 1, burst: 3 },
+    shoot: { rate: 12, burst: 12 }, // Pelota fires 10/s
+    placeObject: { rate: 5, burst: 10 },
+    removeObject: { rate: 5, burst: 10 },
+    dropItem: { rate: 5, burst: 15 },
+    pickupItem: { rate: 10, burst: 20 },
+    itemSettled: { rate: 10, burst: 20 },
+    default: { rate: 5, burst: 20 }, // hello, rooms...
+}
+
+// Chat spam that gets past the chat rate: the player is silenced, not kicked (doubles each time)
+export const CHAT_SPAM = {
+    repeatLimit: 3, // Same line this many times...
+    repeatWindow: 30000, // ...within this many ms
+    floodLimit: 8, // Any lines this many times...
+    floodWindow: 10000, // ...within this many ms
+    muteSeconds: 30,
+    maxMuteSeconds: 600,
+}
+
+export class ConnectionGuard {
+    constructor(options = {}) {
+        this.limits = options.limits || RATE_LIMITS
+        this.maxViolations = options.maxViolations || 10
+        this.violationWindow = options.violationWindow || 30000 // ms
+
+        this.buckets = new Map() // Map<limitKey, { tokens, last }>
+        this.violations = [] // Timestamps inside the window
+
+        this.chatSpam = options.chatSpam || CHAT_SPAM
+        this.recentChat = [] // [{ text, time }] normalized lines inside the spam windows
+        this.spamStrikes = 0 // Times silenced this session
+    }
+
+    /**
+     * Consumes one token for this message type
+     * @returns {boolean} - false if the client is over its rate
+     */
+    allow(type, now = Date.now()) {
+        const key = this.limits[type] ? type : "default"
+        const limit = this.limits[key]
+
+        let bucket = this.buckets.get(key)
+        if (!bucket) {
+            bucket = { tokens: limit.burst, last: now }
+            this.buckets.set(key, bucket)
+        }
+
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.last) / 1000) * limit.rate)
+        bucket.last = now
+        if (bucket.tokens < 1) return false
+
+        bucket.tokens -= 1
+        return true
+    }
+
+    /**
+     * Repeated lines and floods
+     * @returns {Object|null} - { reason, seconds } to silence the player, or null if the line is fine
+     */
+    checkChatSpam(text, now = Date.now()) {
+        const spam = this.chatSpam
+        const window = Math.max(spam.repeatWindow, spam.floodWindow)
+        while (this.recentChat.length > 0 && now - this.recentChat[0].time > window) {
+            this.recentChat.shift()
+        }
+
+        // "hola!!" and "Hola" count as the same line
+        const line = text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "")
+        this.recentChat.push({ text: line, time: now })
+
+        const repeats = this.recentChat.filter((entry) => entry.text === line && now - entry.time <= spam.repeatWindow).length
+        const lines = this.recentChat.filter((entry) => now - entry.time <= spam.floodWindow).length
+        if (repeats < spam.repeatLimit && lines < spam.floodLimit) return null
+
+        this.spamStrikes++
+        this.recentChat = []
+        return {
+            reason: repeats >= spam.repeatLimit ? "mensajes repetidos" : "demasiados mensajes",
+            seconds: Math.min(spam.muteSeconds * 2 ** (this.spamStrikes - 1), spam.maxMuteSeconds),
+        }
+    }
+
+    /**
+     * @returns {boolean} - true when the client went over maxViolations (kick it)
+     */
+    recordViolation(now = Date.now()) {
+        this.violations.push(now)
+        while (this.violations.length > 0 && now - this.violations[0] > this.violationWindow) {
+            this.violations.shift()
+        }
+        return this.violations.length >= this.maxViolations
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Rejilla espacial (XZ) para interest management.
+ * Cada jugador esta en una celda; la distancia en celdas decide que recibe:
+ * - "near": celdas vecinas (<= nearCells), updates a frecuencia completa
+ * - "far": hasta farCells, updates gruesos
+ * - null: fuera de interes (el cliente lo elimina con playerLeave)
+ */
+export class InterestGrid {
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 25
+        this.nearCells = options.nearCells ?? 1
+        this.farCells = options.farCells ?? 3
+
+        this.cells = new Map() // Map<cellKey, Set<entityId>>
+        this.entityCells = new Map() // Map<entityId, cellKey>
+    }
+
+    getCell(position) {
+        return {
+            cx: Math.floor(position.x / this.cellSize),
+            cz: Math.floor(position.z / this.cellSize),
+        }
+    }
+
+    cellKey(cx, cz) {
+        return cx + "," + cz
+    }
+
+    update(entityId, position) {
+        const { cx, cz } = this.getCell(position)
+        const key = this.cellKey(cx, cz)
+        const previous = this.entityCells.get(entityId)
+        if (previous === key) return
+
+        if (previous !== undefined) this.removeFromCell(entityId, previous)
+
+        if (!this.cells.has(key)) this.cells.set(key, new Set())
+        this.cells.get(key).add(entityId)
+        this.entityCells.set(entityId, key)
+    }
+
+    remove(entityId) {
+        const key = this.entityCells.get(entityId)
+        if (key === undefined) return
+        this.removeFromCell(entityId, key)
+        this.entityCells.delete(entityId)
+    }
+
+    removeFromCell(entityId, key) {
+        const cell = this.cells.get(key)
+        if (!cell) return
+        cell.delete(entityId)
+        if (cell.size === 0) this.cells.delete(key)
+    }
+
+    /**
+     * @returns {string|null} - "near", "far" o null
+     */
+    getRelation(positionA, positionB) {
+        const a = this.getCell(positionA)
+        const b = this.getCell(positionB)
+        const distance = Math.max(Math.abs(a.cx - b.cx), Math.abs(a.cz - b.cz))
+
+        if (distance <= this.nearCells) return "near"
+        if (distance <= this.farCells) return "far"
+        return null
+    }
+
+    /**
+     * Entidades en las celdas dentro de farCells alrededor de position
+     */
+    query(position) {
+        const { cx, cz } = this.getCell(position)
+        const result = []
+
+        for (let x = cx - this.farCells; x <= cx + this.farCells; x++) {
+            for (let z = cz - this.farCells; z <= cz + this.farCells; z++) {
+                const cell = this.cells.get(this.cellKey(x, z))
+                if (cell) cell.forEach((entityId) => result.push(entityId))
+            }
+        }
+        return result
+    }
+}
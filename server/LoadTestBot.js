@@ -0,0 +1,296 @@
+import WebSocket from "ws"
+import { NetworkProtocol, MessageType, SnapshotDecoder } from "../js/NetworkProtocol.js"
+import { ItemRegistry } from "../js/item/ItemRegistry.js"
+
+const INPUT_RATE = 60 // Inputs per second (one per frame, like the browser)
+const SEND_RATE = 20 // playerInput batches per second (NetworkManager.updateRate)
+const PING_INTERVAL = 1000
+const WANDER_RADIUS = 30 // Turns back towards its spawn when it gets further
+const PICKUP_RANGE = 3
+const CHAT_LINES = ["hola", "alguien por aqui?", "gg", "voy al farmeo", "cuidado con las torretas", "jaja", "a donde vamos?"]
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min)
+}
+
+/**
+ * Cliente simulado para pruebas de carga: habla el mismo protocolo que NetworkManager
+ * (hello, joinRoom, inputs binarios con ack de snapshots) y se comporta como un jugador:
+ * camina, salta, chatea, coloca objetos y tira/recoge items.
+ *
+ * Todo lo medido va al objeto stats compartido (ver load-test.js).
+ */
+export class LoadTestBot {
+    /**
+     * @param {Object} options - { url, name, room, maxPlayers, useBinary, chatInterval, placeInterval }
+     * @param {Object} stats - Shared counters and samples
+     */
+    constructor(options, stats) {
+        this.options = options
+        this.stats = stats
+        this.useBinary = options.useBinary !== false
+
+        this.socket = null
+        this.snapshotDecoder = new SnapshotDecoder()
+        this.playerId = null
+        this.inRoom = false
+        this.stopped = false
+
+        // Movement (the server simulates it, the bot only steers)
+        this.position = null
+        this.spawn = null
+        this.yaw = Math.random() * Math.PI * 2
+        this.inputSeq = 0
+        this.pendingInputs = []
+        this.sentAt = new Map() // Map<last seq of a batch, send time> for the ack latency
+
+        this.drops = new Map() // Map<dropId, position>
+        this.placedObjectId = null
+        this.timers = []
+    }
+
+    connect() {
+        const url = new URL(this.options.url)
+        if (!this.useBinary) url.searchParams.set("protocol", "json")
+
+        this.socket = new WebSocket(url.toString())
+        this.socket.on("open", () => {
+            this.stats.connected++
+            this.send({ type: "hello", name: this.options.name })
+        })
+        this.socket.on("message", (data, isBinary) => this.onMessage(data, isBinary))
+        this.socket.on("close", (code) => {
+            this.stats.connected--
+            this.inRoom = false
+            this.clearTimers()
+            if (!this.stopped) {
+                this.stats.disconnects++
+                this.stats.log(`${this.options.name}: connection closed (${code})`)
+            }
+        })
+        this.socket.on("error", (error) => {
+            this.stats.errors++
+            this.stats.log(`${this.options.name}: ${error.message}`)
+        })
+    }
+
+    stop() {
+        this.stopped = true
+        this.clearTimers()
+        if (this.socket) this.socket.close()
+    }
+
+    clearTimers() {
+        this.timers.forEach((timer) => clearInterval(timer))
+        this.timers = []
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return
+        const data = JSON.stringify(message)
+        this.socket.send(data)
+        this.stats.messagesOut++
+        this.stats.bytesOut += Buffer.byteLength(data)
+    }
+
+    onMessage(data, isBinary) {
+        this.stats.messagesIn++
+        this.stats.bytesIn += data.length
+
+        if (isBinary) {
+            switch (NetworkProtocol.getType(data)) {
+                case MessageType.PLAYER_STATE:
+                    this.onPlayerState(NetworkProtocol.decodePlayerState(data))
+                    break
+                case MessageType.SNAPSHOT:
+                    this.snapshotDecoder.decode(data)
+                    break
+            }
+            return
+        }
+
+        const message = JSON.parse(data)
+        switch (message.type) {
+            case "welcome":
+                this.playerId = message.playerId
+                this.send({ type: "joinRoom", name: this.options.room, create: true, maxPlayers: this.options.maxPlayers })
+                break
+
+            case "roomJoined":
+                this.inRoom = true
+                this.position = message.position || { x: 0, y: 0, z: 0 }
+                this.spawn = { ...this.position }
+                this.inputSeq = message.inputSeq || 0
+                this.drops.clear()
+                this.start()
+                break
+
+            case "gameState":
+                ;(message.drops || []).forEach((drop) => this.drops.set(drop.id, drop.position))
+                break
+
+            case "roomError":
+                this.stats.roomErrors++
+                this.stats.log(`${this.options.name}: ${message.message}`)
+                break
+
+            case "kicked":
+                this.stats.kicked++
+                this.stats.log(`${this.options.name} kicked: ${message.reason}`)
+                break
+
+            case "playerState":
+                this.onPlayerState(message)
+                break
+
+            case "pong":
+                this.stats.pings.push(Date.now() - message.time)
+                break
+
+            case "itemDropped":
+                this.drops.set(message.drop.id, message.drop.position)
+                break
+
+            case "itemPickedUp":
+                this.drops.delete(message.id)
+                break
+
+            case "itemSettled":
+                if (this.drops.has(message.id)) this.drops.set(message.id, message.position)
+                break
+
+            case "objectPlaced":
+                if (message.object.ownerId === this.playerId) this.placedObjectId = message.object.id
+                break
+        }
+    }
+
+    onPlayerState(state) {
+        this.position = state.position
+
+        // Time from sending a batch to the server acking its last input (includes the wait for the tick)
+        this.sentAt.forEach((time, seq) => {
+            if (seq > state.seq) return
+            if (seq === state.seq) this.stats.acks.push(Date.now() - time)
+            this.sentAt.delete(seq)
+        })
+    }
+
+    start() {
+        this.clearTimers()
+        this.timers.push(setInterval(() => this.recordInput(), 1000 / INPUT_RATE))
+        this.timers.push(setInterval(() => this.sendInputs(), 1000 / SEND_RATE))
+        this.timers.push(setInterval(() => this.send({ type: "ping", time: Date.now() }), PING_INTERVAL))
+        this.timers.push(setInterval(() => this.pickupNearbyDrops(), 1000))
+
+        // Chat and placement spread out so the bots don't act in lockstep
+        const chatInterval = this.options.chatInterval * randomBetween(0.5, 1.5)
+        const placeInterval = this.options.placeInterval * randomBetween(0.5, 1.5)
+        this.timers.push(setInterval(() => this.chat(), chatInterval))
+        this.timers.push(setInterval(() => this.placeSomething(), placeInterval))
+    }
+
+    // One frame of input: mostly forward, turning now and then, back to the spawn when too far
+    recordInput() {
+        if (Math.random() < 0.02) this.yaw += randomBetween(-1.5, 1.5)
+
+        const dx = this.position.x - this.spawn.x
+        const dz = this.position.z - this.spawn.z
+        if (dx * dx + dz * dz > WANDER_RADIUS * WANDER_RADIUS) {
+            this.yaw = Math.atan2(-dx, -dz) + randomBetween(-0.5, 0.5)
+        }
+
+        this.pendingInputs.push({
+            seq: ++this.inputSeq,
+            dt: 1 / INPUT_RATE,
+            input: {
+                forward: Math.random() > 0.1,
+                backward: false,
+                left: false,
+                right: false,
+                jump: Math.random() < 0.01,
+                yaw: this.yaw,
+            },
+        })
+    }
+
+    sendInputs() {
+        if (this.pendingInputs.length === 0 || !this.socket || this.socket.readyState !== WebSocket.OPEN) return
+
+        const message = {
+            type: "playerInput",
+            ack: this.snapshotDecoder.lastSeq,
+            inputs: this.pendingInputs,
+            rotation: this.yaw,
+            animation: "Run",
+        }
+        this.pendingInputs = []
+        this.sentAt.set(this.inputSeq, Date.now())
+
+        if (this.useBinary) {
+            const data = NetworkProtocol.encodeInput(message)
+            this.socket.send(data)
+            this.stats.messagesOut++
+            this.stats.bytesOut += data.byteLength
+        } else {
+            this.send(message)
+        }
+    }
+
+    chat() {
+        this.send({ type: "chat", text: CHAT_LINES[Math.floor(Math.random() * CHAT_LINES.length)] })
+    }
+
+    // Alternates between placing an object (replacing its previous one) and throwing a pad
+    placeSomething() {
+        if (Math.random() < 0.5) {
+            this.dropItem()
+            return
+        }
+
+        if (this.placedObjectId) {
+            this.send({ type: "removeObject", id: this.placedObjectId })
+            this.placedObjectId = null
+        }
+
+        const position = {
+            x: this.position.x + Math.sin(this.yaw) * 3,
+            y: this.position.y,
+            z: this.position.z + Math.cos(this.yaw) * 3,
+        }
+        this.send({
+            type: "placeObject",
+            object: {
+                kind: "mapObject",
+                mapObjectType: "wall",
+                color: Math.floor(Math.random() * 0xFFFFFF),
+                scale: { x: 2, y: 2, z: 0.2 },
+                position: position,
+                rotation: { x: 0, y: this.yaw % (Math.PI * 2), z: 0 },
+            },
+        })
+    }
+
+    // Fuego only comes from farming zones, so the bot throws a catalog item
+    dropItem() {
+        this.send({
+            type: "dropItem",
+            item: { ...ItemRegistry.definitions.get("pad_lat"), count: 1 },
+            position: { x: this.position.x, y: this.position.y + 1, z: this.position.z },
+            impulse: { x: Math.sin(this.yaw) * 2, y: 2, z: Math.cos(this.yaw) * 2 },
+            torque: { x: 0, y: 0, z: 0 },
+        })
+    }
+
+    pickupNearbyDrops() {
+        this.drops.forEach((position, dropId) => {
+            const dx = position.x - this.position.x
+            const dy = position.y - this.position.y
+            const dz = position.z - this.position.z
+            if (dx * dx + dy * dy + dz * dz > PICKUP_RANGE * PICKUP_RANGE) return
+
+            this.send({ type: "pickupItem", id: dropId })
+            this.drops.delete(dropId)
+        })
+    }
+}
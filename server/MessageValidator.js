@@ -0,0 +1,148 @@
+/**
+ * Validacion de los mensajes entrantes por tipo.
+ * Cada esquema lista los campos que el handler usa: tipo, longitud maxima y si es opcional.
+ * Un mensaje que no cumple se descarta entero (y cuenta como infraccion).
+ *
+ * Campo: { type: "string" | "number" | "integer" | "boolean" | "object" | "array",
+ *          optional, nullable, maxLength (string), maxItems + items (array) }
+ */
+const SCHEMAS = {
+    hello: {
+        name: { type: "string", maxLength: 64, optional: true, nullable: true },
+        color: { type: "integer", optional: true, nullable: true },
+        token: { type: "string", maxLength: 64, optional: true, nullable: true },
+        resumeToken: { type: "string", maxLength: 64, optional: true, nullable: true },
+    },
+    listRooms: {},
+    ping: {
+        time: { type: "number" }, // Sender clock, echoed back in the pong
+        id: { type: "integer", optional: true }, // Echoed back too, to match the pong with its ping
+    },
+    createRoom: {
+        name: { type: "string", maxLength: 64 },
+        maxPlayers: { type: "number", optional: true, nullable: true },
+    },
+    joinRoom: {
+        name: { type: "string", maxLength: 64 },
+        create: { type: "boolean", optional: true },
+        maxPlayers: { type: "number", optional: true, nullable: true },
+    },
+    leaveRoom: {},
+    playerInput: {
+        ack: { type: "integer", optional: true, nullable: true },
+        inputs: {
+            type: "array",
+            maxItems: 120, // One per frame, 20 batches/s: plenty even at high refresh rates
+            items: {
+                seq: { type: "integer" },
+                dt: { type: "number" },
+                input: { type: "object" },
+            },
+        },
+        rotation: { type: "number", optional: true },
+        animation: { type: "string", maxLength: 16, optional: true },
+    },
+    playerData: {
+        data: { type: "object" },
+    },
+    craft: {
+        recipeId: { type: "string", maxLength: 32 },
+        requestId: { type: "integer", optional: true }, // Echoed back in craftResult
+    },
+    shoot: {
+        origin: { type: "object" },
+        velocity: { type: "object" },
+        bulletDrop: { type: "number" },
+    },
+    placeObject: {
+        object: { type: "object" },
+        requestId: { type: "integer", optional: true }, // Echoed back in objectPlaced / placeRejected
+    },
+    removeObject: {
+        id: { type: "string", maxLength: 32 },
+    },
+    dropItem: {
+        item: { type: "object" },
+        position: { type: "object" },
+        impulse: { type: "object", optional: true, nullable: true },
+        torque: { type: "object", optional: true, nullable: true },
+    },
+    pickupItem: {
+        id: { type: "string", maxLength: 32 },
+    },
+    itemSettled: {
+        id: { type: "string", maxLength: 32 },
+        position: { type: "object" },
+    },
+    chat: {
+        text: { type: "string", maxLength: 150 }, // Same as the chat input maxlength
+        channel: { type: "string", maxLength: 16, optional: true }, // room (default), team, proximity, whisper
+        to: { type: "string", maxLength: 64, optional: true, nullable: true }, // Whisper target (display name)
+    },
+    setTeam: {
+        team: { type: "string", maxLength: 64, nullable: true }, // null leaves the team
+    },
+}
+
+export class MessageValidator {
+    static has(type) {
+        return Object.prototype.hasOwnProperty.call(SCHEMAS, type)
+    }
+
+    /**
+     * @returns {string|null} - Reason the message is invalid, or null if it is fine
+     */
+    static validate(message) {
+        if (!message || typeof message !== "object" || Array.isArray(message)) return "message is not an object"
+        if (typeof message.type !== "string" || !MessageValidator.has(message.type)) {
+            return `unknown message type "${String(message.type).slice(0, 32)}"`
+        }
+        return MessageValidator.validateFields(message, SCHEMAS[message.type], message.type)
+    }
+
+    static validateFields(object, schema, path) {
+        for (const [field, rule] of Object.entries(schema)) {
+            const error = MessageValidator.validateValue(object[field], rule, path + "." + field)
+            if (error) return error
+        }
+        return null
+    }
+
+    static validateValue(value, rule, path) {
+        if (value === undefined) return rule.optional ? null : `${path} is missing`
+        if (value === null) return rule.nullable ? null : `${path} is null`
+
+        switch (rule.type) {
+            case "string":
+                if (typeof value !== "string") return `${path} must be a string`
+                if (rule.maxLength && value.length > rule.maxLength) return `${path} is too long (${value.length})`
+                return null
+
+            case "number":
+                return Number.isFinite(value) ? null : `${path} must be a number`
+
+            case "integer":
+                return Number.isInteger(value) ? null : `${path} must be an integer`
+
+            case "boolean":
+                return typeof value === "boolean" ? null : `${path} must be a boolean`
+
+            case "object":
+                return typeof value === "object" && !Array.isArray(value) ? null : `${path} must be an object`
+
+            case "array": {
+                if (!Array.isArray(value)) return `${path} must be an array`
+                if (rule.maxItems && value.length > rule.maxItems) return `${path} has too many items (${value.length})`
+                if (!rule.items) return null
+                for (let i = 0; i < value.length; i++) {
+                    const item = value[i]
+                    if (!item || typeof item !== "object") return `${path}[${i}] must be an object`
+                    const error = MessageValidator.validateFields(item, rule.items, `${path}[${i}]`)
+                    if (error) return error
+                }
+                return null
+            }
+        }
+        return null
+    }
+}
@@ -0,0 +1,68 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+
+/**
+ * Perfiles persistentes (nombre y color) indexados por token.
+ * Se guardan en un JSON local para recordar al jugador entre sesiones.
+ */
+export class ProfileStore {
+    constructor(filePath) {
+        this.filePath = filePath
+        this.profiles = new Map() // Map<token, { name, color, createdAt, lastSeen }>
+        this.saveTimer = null
+
+        this.load()
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+            Object.entries(data.profiles || {}).forEach(([token, profile]) => {
+                this.profiles.set(token, profile)
+            })
+            console.log(`Loaded ${this.profiles.size} player profiles from ${this.filePath}`)
+        } catch (error) {
+            console.error("Error loading player profiles:", error)
+        }
+    }
+
+    generateToken() {
+        return crypto.randomBytes(16).toString("hex")
+    }
+
+    get(token) {
+        if (typeof token !== "string") return null
+        return this.profiles.get(token) || null
+    }
+
+    set(token, profile) {
+        const existing = this.profiles.get(token)
+        this.profiles.set(token, {
+            createdAt: existing ? existing.createdAt : Date.now(),
+            ...profile,
+            lastSeen: Date.now(),
+        })
+        this.scheduleSave()
+    }
+
+    // Batch writes: several joins in a row only hit the disk once
+    scheduleSave() {
+        if (this.saveTimer) return
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null
+            this.save()
+        }, 1000)
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+            const data = { profiles: Object.fromEntries(this.profiles) }
+            fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2))
+        } catch (error) {
+            console.error("Error saving player profiles:", error)
+        }
+    }
+}
@@ -0,0 +1,553 @@
+import { ServerWorld } from "./ServerWorld.js"
+import { InterestGrid } from "./InterestGrid.js"
+import { ServerFarmingZone } from "./ServerFarmingZone.js"
+import { ServerNPC } from "./ServerNPC.js"
+import { NetworkProtocol, ANIMATIONS } from "../js/NetworkProtocol.js"
+
+const MAX_PLAYER_SPEED = 60 // Horizontal units/s a player can reach (run 10, impulse pads up to 50)
+const MAX_INPUT_BUDGET = 2 // Seconds of simulated input a client may send ahead of real time (lag bursts)
+const MAX_PENDING_INPUTS = 240 // Inputs queued between two ticks
+const PROJECTILE_LIFETIME = 5 // Same as Projectile.lifetime (seconds)
+
+// Keep only the movement keys + camera yaw from a client input
+function readCommand(input) {
+    return {
+        forward: !!input.forward,
+        backward: !!input.backward,
+        left: !!input.left,
+        right: !!input.right,
+        jump: !!input.jump,
+        yaw: Number.isFinite(input.yaw) ? input.yaw : 0,
+    }
+}
+
+/**
+ * Sala de juego: jugadores + su propia simulacion.
+ * Varios grupos pueden jugar en el mismo proceso, cada uno en su sala.
+ */
+export class Room {
+    constructor(name, options = {}) {
+        this.name = name
+        this.maxPlayers = options.maxPlayers || 16
+        this.persistent = options.persistent || false // Persistent rooms survive being empty
+
+        this.players = new Map() // Map<playerId, player>
+        this.sockets = new Map() // Map<playerId, ws>
+        this.world = new ServerWorld()
+
+        // Area of interest: players only get updates about players around them
+        this.interest = new InterestGrid(options.interest)
+        this.farUpdateInterval = options.farUpdateInterval || 500 // ms between coarse updates
+
+        // Pads, turrets and map objects placed by players (sent to late joiners in gameState)
+        this.placedObjects = new Map() // Map<objectId, { id, ownerId, kind, ... }>
+        this.maxPlacedObjects = options.maxPlacedObjects || 200
+        this.nextObjectId = 1
+
+        // Items on the ground. The server owns them: one pickup request wins
+        this.drops = new Map() // Map<dropId, { id, ownerId, item, position, impulse, torque, settled }>
+        this.maxDrops = options.maxDrops || 300
+        this.nextDropId = 1
+
+        // The server is the clock: zones spawn on the tick, the same fuego for everyone
+        this.farmingZones = (options.farmingZones || []).map((zone) => new ServerFarmingZone(zone.position, zone))
+
+        // Projectiles simulated on the tick (clients only draw them)
+        this.projectiles = new Map() // Map<projectileId, { id, ownerId, origin, velocity, bulletDrop, lifetime, rigidBody }>
+        this.maxProjectiles = options.maxProjectiles || 200
+        this.nextProjectileId = 1
+
+        // NPCs patrol on the tick; clients get them through the interest grid like other players
+        this.npcs = new Map() // Map<npcId, ServerNPC>
+        this.npcUpdateInterval = options.npcUpdateInterval || 100 // ms between npcUpdate batches
+        this.lastNpcUpdate = 0
+        this.nextNpcId = 1
+        ;(options.npcs || []).forEach((npc) => this.addNpc(npc))
+
+        // Last room channel lines, sent to players joining (team, proximity and whispers aren't kept)
+        this.chatHistory = [] // [{ type: "chat", channel, playerId, name, color, message, time }]
+        this.maxChatHistory = options.maxChatHistory || 50
+
+        // (playerId, reason) => {} Cheating or flooding detected while simulating
+        this.onViolation = options.onViolation || null
+    }
+
+    isFull() {
+        return this.players.size >= this.maxPlayers
+    }
+
+    isEmpty() {
+        return this.players.size === 0
+    }
+
+    addPlayer(ws, player) {
+        player.motor = this.world.addPlayer(player.position)
+        player.visible = new Map() // Map<playerId, lastSentTime> of players this one currently sees
+        player.visibleNpcs = new Set() // NPCs this player's client has (npcSpawn sent)
+        player.pendingInputs = [] // Queued by playerInput, simulated on the next tick
+        player.inputBudget = MAX_INPUT_BUDGET / 2 // Seconds of input the client may still send (refills in real time)
+        player.lastInputTime = Date.now()
+        player.lastChangeTime = Date.now() // Snapshots only carry players that changed since the last one sent
+        this.players.set(player.id, player)
+        this.sockets.set(player.id, ws)
+        this.interest.update(player.id, player.position)
+    }
+
+    removePlayer(playerId) {
+        const player = this.players.get(playerId)
+        if (!player) return null
+
+        if (player.motor) {
+            this.world.removePlayer(player.motor)
+            player.motor = null
+        }
+        this.players.delete(playerId)
+        this.sockets.delete(playerId)
+        this.interest.remove(playerId)
+
+        // Everyone gets playerLeft anyway, just forget the visibility
+        this.players.forEach((other) => other.visible.delete(playerId))
+        return player
+    }
+
+    /**
+     * Inputs of a playerInput message, simulated on the next tick
+     * @returns {boolean} - false if the client is queueing more than a tick can take
+     */
+    queueInput(player, message) {
+        if (player.pendingInputs.length + message.inputs.length > MAX_PENDING_INPUTS) return false
+
+        player.pendingInputs.push(...message.inputs)
+        if (Number.isFinite(message.rotation)) player.rotation = message.rotation
+        if (ANIMATIONS.includes(message.animation)) player.animation = message.animation
+        return true
+    }
+
+    /**
+     * Fixed timestep, called by the server loop: player inputs, physics, farming and projectiles,
+     * then one batched snapshot per client with the players that changed
+     */
+    tick(dt, time) {
+        if (this.isEmpty()) return
+
+        const moved = []
+        this.players.forEach((player) => {
+            if (this.simulatePlayer(player, time)) moved.push(player)
+        })
+        this.npcs.forEach((npc) => npc.update(dt))
+
+        this.world.step(dt)
+        this.updateProjectiles(dt)
+        this.updateFarming(dt)
+
+        moved.forEach((player) => {
+            if (!this.players.has(player.id)) return // Kicked while simulating
+            this.sendPlayerState(player)
+            this.updateInterest(player, time)
+        })
+        this.broadcastSnapshots(time)
+        this.broadcastNpcs(time)
+    }
+
+    /**
+     * Runs the queued inputs in sequence order; the client only predicts them
+     * @returns {boolean} - true if inputs were simulated (the owner needs a playerState)
+     */
+    simulatePlayer(player, time) {
+        if (player.pendingInputs.length === 0) return false
+        const inputs = player.pendingInputs
+        player.pendingInputs = []
+
+        // Simulated time can't run ahead of real time (speed hack through dt):
+        // inputs spend from a budget that refills with the clock
+        player.inputBudget = Math.min(MAX_INPUT_BUDGET, player.inputBudget + (time - player.lastInputTime) / 1000)
+        player.lastInputTime = time
+
+        const before = player.motor.getState()
+        let simulated = 0
+        for (const input of inputs) {
+            if (!(input.seq > player.lastInputSeq)) continue
+            const dt = Math.min(Math.max(input.dt, 0), this.world.maxInputDt)
+            if (dt > player.inputBudget) {
+                this.reportViolation(player, `input ahead of real time (${(simulated + dt).toFixed(2)}s in one tick)`)
+                break
+            }
+            player.inputBudget -= dt
+            simulated += dt
+            this.world.applyInput(player.motor, readCommand(input.input), dt)
+            player.lastInputSeq = input.seq
+        }
+        if (!this.players.has(player.id)) return false
+
+        // Teleport / max speed check against the previous position
+        const after = player.motor.getState()
+        const moved = Math.hypot(after.position.x - before.position.x, after.position.z - before.position.z)
+        if (moved > MAX_PLAYER_SPEED * simulated + 1) {
+            player.motor.setState(before)
+            this.reportViolation(player, `moved ${moved.toFixed(1)} units in ${simulated.toFixed(2)}s`)
+            if (!this.players.has(player.id)) return false
+        }
+
+        player.position = player.motor.getState().position
+        player.lastChangeTime = time
+        return true
+    }
+
+    reportViolation(player, reason) {
+        if (this.onViolation) this.onViolation(player.id, reason)
+    }
+
+    // Ack to the owner so it can reconcile its prediction
+    sendPlayerState(player) {
+        const client = this.sockets.get(player.id)
+        if (!client || client.readyState !== 1) return
+
+        const playerState = { type: "playerState", seq: player.lastInputSeq, ...player.motor.getState() }
+        client.send(client.useBinary ? NetworkProtocol.encodePlayerState(playerState) : JSON.stringify(playerState))
+    }
+
+    /**
+     * Moves a player server side (admin); it goes out in the next snapshot
+     */
+    teleportPlayer(player, position) {
+        player.motor.setState({ position: position, verticalVelocity: 0, momentum: { x: 0, y: 0, z: 0 }, isClimbing: false })
+        player.position = { x: position.x, y: position.y, z: position.z }
+        player.lastChangeTime = Date.now()
+        this.updateInterest(player, player.lastChangeTime)
+    }
+
+    updateFarming(dt) {
+        this.farmingZones.forEach((zone) => {
+            zone.update(dt, this.drops).forEach((data) => {
+                const drop = this.addDrop(data, null)
+                if (!drop) return
+                zone.dropIds.add(drop.id)
+                this.broadcastAll({ type: "itemDropped", drop: drop })
+            })
+        })
+    }
+
+    getFarmingZones() {
+        return this.farmingZones.map((zone) => zone.serialize())
+    }
+
+    /**
+     * @param {Object} options - { id, name, position, path } (id generated if missing)
+     */
+    addNpc(options) {
+        const npc = new ServerNPC(this.world.world, { ...options, id: options.id || "npc_" + this.nextNpcId++ })
+        this.npcs.set(npc.id, npc)
+        return npc
+    }
+
+    /**
+     * Per player, like playerEnter / snapshots / playerLeave: npcSpawn when an NPC comes
+     * into its area, npcUpdate with the ones that moved, npcDespawn when it goes out
+     */
+    broadcastNpcs(time) {
+        if (this.npcs.size === 0 || time - this.lastNpcUpdate < this.npcUpdateInterval) return
+        this.lastNpcUpdate = time
+
+        const changed = new Map() // Map<npcId, state>
+        this.npcs.forEach((npc) => {
+            if (npc.takeChanged()) changed.set(npc.id, npc.getState())
+        })
+
+        this.players.forEach((player) => {
+            const client = this.sockets.get(player.id)
+            if (!client || client.readyState !== 1) return // Suspended: resynced on resume
+
+            const updates = []
+            this.npcs.forEach((npc) => {
+                const inRange = this.interest.getRelation(player.position, npc.rigidBody.translation()) !== null
+                const known = player.visibleNpcs.has(npc.id)
+
+                if (inRange && !known) {
+                    player.visibleNpcs.add(npc.id)
+                    this.sendTo(player.id, { type: "npcSpawn", time: time, npc: npc.serialize() })
+                } else if (!inRange && known) {
+                    player.visibleNpcs.delete(npc.id)
+                    this.sendTo(player.id, { type: "npcDespawn", id: npc.id })
+                } else if (inRange && changed.has(npc.id)) {
+                    updates.push(changed.get(npc.id))
+                }
+            })
+            if (updates.length > 0) this.sendTo(player.id, { type: "npcUpdate", time: time, npcs: updates })
+        })
+    }
+
+    addChatHistory(line) {
+        this.chatHistory.push(line)
+        if (this.chatHistory.length > this.maxChatHistory) this.chatHistory.shift()
+    }
+
+    getChatHistory() {
+        return this.chatHistory.slice()
+    }
+
+    /**
+     * What survives a server restart (WorldStore): placed objects, farming zones and the chat history.
+     * Players, drops and projectiles start over.
+     */
+    serialize() {
+        return {
+            name: this.name,
+            nextObjectId: this.nextObjectId,
+            objects: this.getPlacedObjects(),
+            farmingZones: this.getFarmingZones(),
+            chatHistory: this.getChatHistory(),
+        }
+    }
+
+    restore(state) {
+        ;(state.objects || []).forEach((data) => {
+            const object = { ...data, handle: this.world.addPlacedObject(data) }
+            this.placedObjects.set(object.id, object)
+        })
+        this.nextObjectId = Math.max(this.nextObjectId, state.nextObjectId || 1)
+
+        if (Array.isArray(state.farmingZones)) {
+            this.farmingZones = state.farmingZones.map((zone) => new ServerFarmingZone(zone.position, zone))
+        }
+        if (Array.isArray(state.chatHistory)) {
+            this.chatHistory = state.chatHistory.slice(-this.maxChatHistory)
+        }
+    }
+
+    /**
+     * @param {Object} origin, velocity - Already validated by the server
+     * @returns {Object|null} - Stored projectile, or null if the room is at its limit
+     */
+    addProjectile(ownerId, origin, velocity, bulletDrop) {
+        if (this.projectiles.size >= this.maxProjectiles) return null
+
+        const projectile = {
+            id: "proj_" + this.nextProjectileId++,
+            ownerId: ownerId,
+            origin: origin,
+            velocity: velocity,
+            bulletDrop: bulletDrop,
+            lifetime: PROJECTILE_LIFETIME,
+        }
+        projectile.rigidBody = this.world.addProjectile(origin, velocity, bulletDrop)
+        this.projectiles.set(projectile.id, projectile)
+        return projectile
+    }
+
+    serializeProjectile(projectile) {
+        const { rigidBody, lifetime, ...data } = projectile
+        return data
+    }
+
+    updateProjectiles(dt) {
+        this.projectiles.forEach((projectile, projectileId) => {
+            projectile.lifetime -= dt
+            if (projectile.lifetime > 0) return
+
+            this.world.removeProjectile(projectile.rigidBody)
+            this.projectiles.delete(projectileId)
+            this.broadcastAll({ type: "projectileRemoved", id: projectileId })
+        })
+    }
+
+    /**
+     * Reconexion: el jugador sigue en la sala (suspendido), solo cambia el socket
+     */
+    reattachPlayer(playerId, ws) {
+        if (!this.players.has(playerId)) return false
+        this.sockets.set(playerId, ws)
+        return true
+    }
+
+    sendTo(playerId, message) {
+        const client = this.sockets.get(playerId)
+        if (client && client.readyState === 1) {
+            client.send(JSON.stringify(message))
+        }
+    }
+
+    /**
+     * Re-evaluates who sees this player (and who it sees) after it moved.
+     * Sends playerEnter / playerLeave so clients add or remove the remote player.
+     */
+    updateInterest(player, time, extraCandidates = []) {
+        this.interest.update(player.id, player.position)
+
+        // Candidates: players in range cells plus the ones we currently see (they may have left the range)
+        const candidates = new Set(this.interest.query(player.position))
+        player.visible.forEach((sentTime, otherId) => candidates.add(otherId))
+        extraCandidates.forEach((otherId) => candidates.add(otherId))
+
+        candidates.forEach((otherId) => {
+            const other = this.players.get(otherId)
+            if (!other || other === player) return
+
+            const visible = this.interest.getRelation(player.position, other.position) !== null
+            this.setVisible(player, other, visible, time)
+            this.setVisible(other, player, visible, time)
+        })
+    }
+
+    /**
+     * Resends playerEnter for everyone this player sees (its new socket knows nothing).
+     * The others keep seeing it, so only its side of the visibility is reset.
+     */
+    resyncInterest(player, time) {
+        const previous = Array.from(player.visible.keys())
+        player.visible.clear()
+        player.visibleNpcs.clear() // npcSpawn again on the next NPC update
+        this.updateInterest(player, time, previous)
+    }
+
+    setVisible(viewer, target, visible, time) {
+        if (visible && !viewer.visible.has(target.id)) {
+            viewer.visible.set(target.id, time)
+            this.sendTo(viewer.id, {
+                type: "playerEnter",
+                playerId: target.id,
+                netId: target.netId,
+                name: target.name,
+                color: target.color,
+                time: time,
+                position: target.position,
+                rotation: target.rotation,
+                animation: target.animation,
+            })
+        } else if (!visible && viewer.visible.has(target.id)) {
+            viewer.visible.delete(target.id)
+            this.sendTo(viewer.id, { type: "playerLeave", playerId: target.id })
+        }
+    }
+
+    /**
+     * @param {Object} data - Placement already validated by the server
+     * @returns {Object|null} - Stored object, or null if the room is at its limit
+     */
+    addPlacedObject(data, ownerId) {
+        if (this.placedObjects.size >= this.maxPlacedObjects) return null
+
+        // placedAt: server clock for the object's animations (turrets play in phase on every client)
+        const object = { id: "obj_" + this.nextObjectId++, ownerId: ownerId, placedAt: Date.now(), ...data }
+        object.handle = this.world.addPlacedObject(data)
+        this.placedObjects.set(object.id, object)
+        return object
+    }
+
+    removePlacedObject(objectId) {
+        const object = this.placedObjects.get(objectId)
+        if (!object) return null
+
+        this.world.removePlacedObject(object.handle)
+        this.placedObjects.delete(objectId)
+        return object
+    }
+
+    // Public object data (without the physics handle)
+    serializePlacedObject(object) {
+        const { handle, ...data } = object
+        return data
+    }
+
+    getPlacedObjects() {
+        return Array.from(this.placedObjects.values()).map((object) => this.serializePlacedObject(object))
+    }
+
+    /**
+     * @param {Object} data - { item, position, impulse, torque } already validated
+     * @returns {Object|null} - Stored drop, or null if the room is at its limit
+     */
+    addDrop(data, ownerId) {
+        if (this.drops.size >= this.maxDrops) return null
+
+        const drop = { id: "drop_" + this.nextDropId++, ownerId: ownerId, settled: false, ...data }
+        this.drops.set(drop.id, drop)
+        return drop
+    }
+
+    removeDrop(dropId) {
+        const drop = this.drops.get(dropId)
+        if (!drop) return null
+
+        this.drops.delete(dropId)
+        return drop
+    }
+
+    getDrops() {
+        return Array.from(this.drops.values())
+    }
+
+    // Broadcast message to everyone in the room except excludeId
+    broadcast(message, excludeId = null) {
+        const messageStr = JSON.stringify(message)
+        this.sockets.forEach((client, clientId) => {
+            if (client.readyState === 1 && clientId !== excludeId) {
+                // WebSocket.OPEN
+                client.send(messageStr)
+            }
+        })
+    }
+
+    /**
+     * One snapshot per client with the visible players that changed since it last got them.
+     * Nearby players go out every tick, distant ones once every farUpdateInterval.
+     * Binary clients get a delta snapshot against their last ack; protocol=json clients get snapshot.
+     */
+    broadcastSnapshots(time) {
+        this.players.forEach((viewer) => {
+            const client = this.sockets.get(viewer.id)
+            if (!client || client.readyState !== 1) return
+
+            const entities = []
+            viewer.visible.forEach((lastSent, targetId) => {
+                const target = this.players.get(targetId)
+                if (!target || target.lastChangeTime <= lastSent) return
+
+                const relation = this.interest.getRelation(viewer.position, target.position)
+                if (relation === "far" && time - lastSent < this.farUpdateInterval) return
+
+                viewer.visible.set(targetId, time)
+                entities.push(target)
+            })
+            if (entities.length === 0) return
+
+            if (client.useBinary) {
+                client.send(client.snapshots.encode(time, entities))
+            } else {
+                client.send(JSON.stringify({
+                    type: "snapshot",
+                    time: time,
+                    players: entities.map((player) => ({
+                        playerId: player.id,
+                        position: player.position,
+                        rotation: player.rotation,
+                        animation: player.animation,
+                    })),
+                }))
+            }
+        })
+    }
+
+    // Broadcast to everyone in the room including sender
+    broadcastAll(message) {
+        this.broadcast(message, null)
+    }
+
+    /**
+     * @param {Function} filter - (player, client) => boolean
+     */
+    broadcastWhere(message, filter) {
+        const messageStr = JSON.stringify(message)
+        this.sockets.forEach((client, clientId) => {
+            const player = this.players.get(clientId)
+            if (client.readyState === 1 && player && filter(player, client)) client.send(messageStr)
+        })
+    }
+
+    getSummary() {
+        return {
+            name: this.name,
+            players: this.players.size,
+            maxPlayers: this.maxPlayers,
+        }
+    }
+}
@@ -0,0 +1,74 @@
+import { ItemRegistry } from "../js/item/ItemRegistry.js"
+import { FuegoItem } from "../js/item/FuegoItem.js"
+
+/**
+ * Zona de farmeo del servidor (mismos parametros que FarmingZone en el cliente).
+ * En una sala el servidor es el reloj: genera los fuegos y los reparte como drops.
+ */
+export class ServerFarmingZone {
+    constructor(position, options = {}) {
+        this.position = { x: position.x, y: position.y, z: position.z }
+
+        this.width = 3
+        this.depth = 3
+
+        this.accumulatedTime = 0
+        this.spawnInterval = options.spawnInterval || 1.0 // seconds
+        this.itemsPerSpawn = options.itemsPerSpawn || 1
+        this.itemValue = options.itemValue || 1
+        this.maxItems = options.maxItems || 30 // Stops spawning while this many are still on the ground
+
+        this.dropIds = new Set() // Drops spawned by this zone (removed when picked up)
+    }
+
+    /**
+     * @param {number} dt
+     * @param {Map} drops - Room drops, to know which of ours are still on the ground
+     * @returns {Array} - New drops to add: [{ item, position, impulse, torque }]
+     */
+    update(dt, drops) {
+        this.dropIds.forEach((dropId) => {
+            if (!drops.has(dropId)) this.dropIds.delete(dropId)
+        })
+
+        this.accumulatedTime += dt
+        if (this.accumulatedTime < this.spawnInterval) return []
+        this.accumulatedTime -= this.spawnInterval
+
+        const spawned = []
+        for (let i = 0; i < this.itemsPerSpawn && this.dropIds.size + spawned.length < this.maxItems; i++) {
+            spawned.push(this.createDrop())
+        }
+        return spawned
+    }
+
+    createDrop() {
+        const item = new FuegoItem()
+        item.value = this.itemValue
+
+        // Random position within the pad (same margin as the client)
+        const halfW = this.width / 2 * 0.8
+        const halfD = this.depth / 2 * 0.8
+
+        return {
+            item: ItemRegistry.serialize(item),
+            position: {
+                x: this.position.x + (Math.random() - 0.5) * 2 * halfW,
+                y: this.position.y + 1.0,
+                z: this.position.z + (Math.random() - 0.5) * 2 * halfD,
+            },
+            impulse: { x: 0, y: 0, z: 0 },
+            torque: { x: 0, y: 0, z: 0 },
+        }
+    }
+
+    serialize() {
+        return {
+            position: this.position,
+            spawnInterval: this.spawnInterval,
+            itemsPerSpawn: this.itemsPerSpawn,
+            itemValue: this.itemValue,
+            maxItems: this.maxItems,
+        }
+    }
+}
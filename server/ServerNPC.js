@@ -0,0 +1,121 @@
+import * as THREE from "three"
+import RAPIER from "@dimforge/rapier3d-compat"
+
+/**
+ * NPC simulado en el servidor (misma patrulla y mismo cuerpo que NPCRapier).
+ * Los clientes solo lo dibujan (RemoteNPC) interpolando los npcUpdate.
+ */
+export class ServerNPC {
+    /**
+     * @param {RAPIER.World} world
+     * @param {Object} options - { id, name, position, path: [{ x, y, z }] }
+     */
+    constructor(world, options) {
+        this.world = world
+        this.id = options.id
+        this.name = options.name || "NPC"
+        this.pathPoints = (options.path || []).map((point) => new THREE.Vector3(point.x, point.y, point.z))
+
+        this.speed = 3
+        this.currentPathIndex = 0
+        this.currentRotation = 0
+        this.rotationSmoothness = 0.1
+
+        this.lastSent = null // { position, rotation } of the last npcUpdate
+
+        this.initPhysics(options.position)
+    }
+
+    initPhysics(position) {
+        // Same body, capsule and controller settings as NPCRapier
+        const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+            .setTranslation(position.x, position.y, position.z)
+        this.rigidBody = this.world.createRigidBody(bodyDesc)
+
+        const colliderDesc = RAPIER.ColliderDesc.capsule(0.5, 0.4).setTranslation(0, 0.9, 0)
+        this.collider = this.world.createCollider(colliderDesc, this.rigidBody)
+
+        this.characterController = this.world.createCharacterController(0.1)
+        this.characterController.enableAutostep(0.6, 0.25, true)
+        this.characterController.enableSnapToGround(0.5)
+        this.characterController.setMaxSlopeClimbAngle(45 * Math.PI / 180)
+        this.characterController.setMinSlopeSlideAngle(45 * Math.PI / 180)
+    }
+
+    /**
+     * Patrol step; the translation is applied by the next world.step (Room.tick)
+     */
+    update(dt) {
+        const moveDir = new THREE.Vector3(0, 0, 0)
+        const currentPos = this.rigidBody.translation()
+
+        if (this.pathPoints.length > 0) {
+            const target = this.pathPoints[this.currentPathIndex]
+            const dist = new THREE.Vector3(currentPos.x, currentPos.y, currentPos.z).distanceTo(target)
+
+            if (dist < 1.0) {
+                this.currentPathIndex = (this.currentPathIndex + 1) % this.pathPoints.length
+            } else {
+                moveDir.subVectors(target, currentPos).normalize()
+                moveDir.y = 0
+            }
+        }
+
+        const desiredTranslation = moveDir.clone().multiplyScalar(this.speed * dt)
+        desiredTranslation.y = -20 * dt // Gravity
+
+        this.characterController.computeColliderMovement(this.collider, desiredTranslation)
+        const corrected = this.characterController.computedMovement()
+        this.rigidBody.setNextKinematicTranslation({
+            x: currentPos.x + corrected.x,
+            y: currentPos.y + corrected.y,
+            z: currentPos.z + corrected.z,
+        })
+
+        if (moveDir.lengthSq() > 0.001) {
+            const targetRotation = Math.atan2(moveDir.x, moveDir.z)
+            let rotDiff = targetRotation - this.currentRotation
+            while (rotDiff > Math.PI) rotDiff -= Math.PI * 2
+            while (rotDiff < -Math.PI) rotDiff += Math.PI * 2
+            this.currentRotation += rotDiff * this.rotationSmoothness
+        }
+    }
+
+    /**
+     * @returns {boolean} - true if it moved or turned since the last npcUpdate (and marks it as sent)
+     */
+    takeChanged() {
+        const position = this.rigidBody.translation()
+        const last = this.lastSent
+        if (last &&
+            Math.abs(position.x - last.position.x) < 0.01 &&
+            Math.abs(position.y - last.position.y) < 0.01 &&
+            Math.abs(position.z - last.position.z) < 0.01 &&
+            Math.abs(this.currentRotation - last.rotation) < 0.01) {
+            return false
+        }
+
+        this.lastSent = { position: { x: position.x, y: position.y, z: position.z }, rotation: this.currentRotation }
+        return true
+    }
+
+    // State for npcUpdate (clients pick Idle/Run from the interpolated speed, like remote players)
+    getState() {
+        const position = this.rigidBody.translation()
+        return {
+            id: this.id,
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: this.currentRotation,
+        }
+    }
+
+    // Full data for npcSpawn
+    serialize() {
+        return { ...this.getState(), name: this.name }
+    }
+
+    dispose() {
+        this.world.removeCharacterController(this.characterController)
+        this.world.removeRigidBody(this.rigidBody)
+    }
+}
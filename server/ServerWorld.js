@@ -0,0 +1,178 @@
+import * as THREE from "three"
+import RAPIER from "@dimforge/rapier3d-compat"
+import { LevelBuilder } from "../js/environment/LevelBuilder.js"
+import { CharacterMotor } from "../js/CharacterMotor.js"
+import { MapObjectItem } from "../js/item/MapObjectItem.js"
+
+/**
+ * Simulacion autoritativa del servidor.
+ * Mismo mundo Rapier que Game.initGame (gravedad, nivel procedural, pads por defecto)
+ * y mismo CharacterMotor que el cliente, asi la prediccion local coincide.
+ */
+export class ServerWorld {
+    constructor() {
+        let gravity = { x: 0.0, y: -20.0, z: 0.0 }
+        this.world = new RAPIER.World(gravity)
+
+        // LevelBuilder necesita una escena; en el servidor solo se usa para la fisica
+        this.scene = new THREE.Scene()
+        this.levelBuilder = new LevelBuilder(this.scene, this.world)
+        this.levelBuilder.build()
+
+        // Impulse pads (mirror of the default pads in Game.initGame)
+        this.impulsePads = []
+        this.addImpulsePad(new THREE.Vector3(0, 0.1, 10), new THREE.Vector3(1, 0, 0), 25.0)
+        this.addImpulsePad(new THREE.Vector3(5, 0.1, 10), new THREE.Vector3(0, 1, 0), 25.0)
+
+        // Sub-step size and max time a single input may cover
+        this.fixedDt = 1 / 60
+        this.maxInputDt = 0.25
+
+        // Build the broadphase so the character controller sees the static level
+        this.world.step()
+    }
+
+    addImpulsePad(position, direction, strength) {
+        const pad = {
+            position: position.clone(),
+            direction: direction.clone().normalize(),
+            strength: strength,
+            width: 3,
+            depth: 3,
+            inside: new Set(), // Motors currently standing on the pad (one shot per entry)
+        }
+        this.impulsePads.push(pad)
+        return pad
+    }
+
+    removeImpulsePad(pad) {
+        const index = this.impulsePads.indexOf(pad)
+        if (index !== -1) this.impulsePads.splice(index, 1)
+    }
+
+    /**
+     * Fisica de un objeto colocado por un jugador (mismos colliders que el cliente)
+     * @param {Object} data - { kind: "impulsePad" | "turret" | "mapObject", position, ... }
+     * @returns {Object} handle para removePlacedObject
+     */
+    addPlacedObject(data) {
+        const pos = data.position
+        const handle = { pad: null, rigidBody: null }
+
+        if (data.kind === "impulsePad") {
+            // Sensor only: the pad is checked by bounds in checkImpulsePads
+            const direction = new THREE.Vector3(data.direction.x, data.direction.y, data.direction.z)
+            handle.pad = this.addImpulsePad(new THREE.Vector3(pos.x, pos.y, pos.z), direction, data.strength)
+        } else if (data.kind === "turret") {
+            // Same base as TurretPad.initPhysics
+            const bodyDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(pos.x, pos.y - 0.1, pos.z)
+            handle.rigidBody = this.world.createRigidBody(bodyDesc)
+            this.world.createCollider(RAPIER.ColliderDesc.cuboid(1.5, 0.1, 1.5), handle.rigidBody)
+        } else if (data.kind === "mapObject") {
+            // Same transform as MapObjectItem.createObjectInWorld (origin at the center)
+            const rot = data.rotation
+            const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(rot.x, rot.y, rot.z))
+            const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+                .setTranslation(pos.x, pos.y + data.scale.y / 2, pos.z)
+                .setRotation(quaternion)
+            handle.rigidBody = this.world.createRigidBody(bodyDesc)
+            MapObjectItem.createColliderDescs(data.mapObjectType, data.scale).forEach(col => {
+                this.world.createCollider(col, handle.rigidBody)
+            })
+        }
+
+        this.syncBroadphase()
+        return handle
+    }
+
+    removePlacedObject(handle) {
+        if (handle.pad) this.removeImpulsePad(handle.pad)
+        if (handle.rigidBody) this.world.removeRigidBody(handle.rigidBody)
+        this.syncBroadphase()
+    }
+
+    addPlayer(position) {
+        const motor = new CharacterMotor(this.world, position, { immediate: true })
+        motor.ladders = this.levelBuilder.ladders
+        return motor
+    }
+
+    removePlayer(motor) {
+        this.impulsePads.forEach(pad => pad.inside.delete(motor))
+        motor.dispose()
+    }
+
+    /**
+     * Mueve a un jugador con el input recibido
+     * @param {CharacterMotor} motor
+     * @param {Object} command - { forward, backward, left, right, jump, yaw }
+     * @param {number} dt - Tiempo cubierto por el input (se recorta a maxInputDt)
+     */
+    applyInput(motor, command, dt) {
+        let remaining = Math.min(Math.max(dt, 0), this.maxInputDt)
+
+        while (remaining > 1e-6) {
+            const step = Math.min(this.fixedDt, remaining)
+            motor.step(step, command)
+            this.checkImpulsePads(motor)
+            remaining -= step
+        }
+    }
+
+    /**
+     * Refresh the broadphase so other players collide with the new positions.
+     * Call once after a batch of applyInput.
+     */
+    syncBroadphase() {
+        this.world.step()
+    }
+
+    /**
+     * Server tick: advances dynamic bodies (projectiles) and refreshes the broadphase
+     */
+    step(dt) {
+        this.world.timestep = dt
+        this.world.step()
+    }
+
+    /**
+     * Same body as Projectile (ball 0.1, CCD, gravity scaled by bulletDrop)
+     * @returns {RAPIER.RigidBody}
+     */
+    addProjectile(origin, velocity, bulletDrop) {
+        const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(origin.x, origin.y, origin.z)
+            .setCcdEnabled(true)
+            .setGravityScale(bulletDrop)
+        const rigidBody = this.world.createRigidBody(bodyDesc)
+        rigidBody.setLinvel(velocity, true)
+        this.world.createCollider(RAPIER.ColliderDesc.ball(0.1).setRestitution(0.5).setDensity(5.0), rigidBody)
+        return rigidBody
+    }
+
+    removeProjectile(rigidBody) {
+        this.world.removeRigidBody(rigidBody)
+    }
+
+    checkImpulsePads(motor) {
+        const pos = motor.getPosition()
+
+        this.impulsePads.forEach(pad => {
+            const dx = Math.abs(pos.x - pad.position.x)
+            const dz = Math.abs(pos.z - pad.position.z)
+            const dy = pos.y - pad.position.y
+
+            // Same bounds as ImpulsePlatform.update
+            const inZone = (dx < pad.width / 2 && dz < pad.depth / 2 && dy >= -0.1 && dy < 0.5)
+
+            if (inZone) {
+                if (!pad.inside.has(motor)) {
+                    motor.applyImpulse(pad.direction.clone().multiplyScalar(pad.strength))
+                    pad.inside.add(motor)
+                }
+            } else {
+                pad.inside.delete(motor)
+            }
+        })
+    }
+}
@@ -0,0 +1,93 @@
+import fs from "fs"
+import path from "path"
+
+/**
+ * Estado del mundo que sobrevive a un reinicio del servidor:
+ * - Salas: objetos colocados (pads, torretas, objetos de mapa) y zonas de farmeo
+ * - Jugadores: inventario y fuego (playerData del cliente), por token de perfil
+ *
+ * Las salas guardadas se restauran al volver a crearlas (el lobby al arrancar,
+ * el resto cuando alguien vuelve a entrar con ese nombre).
+ */
+export class WorldStore {
+    constructor(filePath) {
+        this.filePath = filePath
+        this.rooms = new Map() // Map<roomName, state> saved and not created again yet
+        this.players = new Map() // Map<token, data>
+
+        this.load()
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+            ;(data.rooms || []).forEach((room) => {
+                if (room && typeof room.name === "string") this.rooms.set(room.name, room)
+            })
+            Object.entries(data.players || {}).forEach(([token, playerData]) => {
+                this.players.set(token, playerData)
+            })
+            console.log(`Loaded world from ${this.filePath}: ${this.rooms.size} rooms, ${this.players.size} players`)
+        } catch (error) {
+            console.error("Error loading world state:", error)
+        }
+    }
+
+    /**
+     * Saved state for a room being created (only handed out once)
+     * @returns {Object|null} - Room.serialize() output
+     */
+    takeRoom(name) {
+        const state = this.rooms.get(name) || null
+        this.rooms.delete(name)
+        return state
+    }
+
+    /**
+     * A room closing because it emptied: kept like a saved one until it is created again
+     */
+    keepRoom(room) {
+        this.rooms.set(room.name, room.serialize())
+    }
+
+    getPlayerData(token) {
+        if (typeof token !== "string") return null
+        return this.players.get(token) || null
+    }
+
+    setPlayerData(token, data) {
+        this.players.set(token, data)
+    }
+
+    /**
+     * Only the fuego count: the inventory stays whatever the client last synced (maybe nothing yet)
+     */
+    setFuegoCount(token, count) {
+        const data = this.players.get(token)
+        this.players.set(token, { ...data, fuegoCount: count })
+    }
+
+    /**
+     * @param {Array<Room>} rooms - Live rooms; saved rooms nobody reopened yet are kept as they were
+     */
+    save(rooms) {
+        const savedRooms = new Map(this.rooms)
+        rooms.forEach((room) => savedRooms.set(room.name, room.serialize()))
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+            const data = {
+                savedAt: Date.now(),
+                rooms: Array.from(savedRooms.values()),
+                players: Object.fromEntries(this.players),
+            }
+            // Write + rename: a crash mid-write never leaves a half file behind
+            const tempPath = this.filePath + ".tmp"
+            fs.writeFileSync(tempPath, JSON.stringify(data))
+            fs.renameSync(tempPath, this.filePath)
+        } catch (error) {
+            console.error("Error saving world state:", error)
+        }
+    }
+}
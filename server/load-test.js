@@ -0,0 +1,336 @@
+// Load test: N headless bots against the WebSocket server
+// Run with: npm run loadtest -- --bots 100 --duration 60
+//
+// Without --url it starts its own server (fork of websocket-server.js) on a free port,
+// with the profile/ban/audit files in a temp dir, and reports its CPU, memory and tick time.
+// With --url it only measures the client side (latency, messages, bandwidth).
+
+import { fork } from "child_process"
+import { fileURLToPath } from "url"
+import { createServer } from "net"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { LoadTestBot } from "./LoadTestBot.js"
+
+const HELP = `Uso: node server/load-test.js [opciones]
+
+  --bots <n>            Bots a conectar (50)
+  --duration <s>        Duracion de la prueba en segundos, tras conectar a todos (60)
+  --url <ws://...>      Servidor ya arrancado (si no, se lanza uno propio)
+  --room-size <n>       Bots por sala; salas loadtest-1, loadtest-2... (16)
+  --ramp <ms>           Pausa entre conexiones (50)
+  --chat <s>            Intervalo medio de chat por bot (20)
+  --place <s>           Intervalo medio para colocar objetos / tirar items (15)
+  --json                Protocolo JSON en vez de binario
+  --report <s>          Intervalo de los informes parciales (5)
+  --max-latency <ms>    Falla (exit 1) si el p95 del ping lo supera
+  --max-cpu <%>         Falla (exit 1) si la CPU media del servidor la supera
+`
+
+function parseArgs(argv) {
+    const options = {
+        bots: 50,
+        duration: 60,
+        url: null,
+        roomSize: 16,
+        ramp: 50,
+        chat: 20,
+        place: 15,
+        json: false,
+        report: 5,
+        maxLatency: null,
+        maxCpu: null,
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i]
+        const value = argv[i + 1]
+        switch (arg) {
+            case "--bots": options.bots = parseInt(value); i++; break
+            case "--duration": options.duration = parseFloat(value); i++; break
+            case "--url": options.url = value; i++; break
+            case "--room-size": options.roomSize = parseInt(value); i++; break
+            case "--ramp": options.ramp = parseInt(value); i++; break
+            case "--chat": options.chat = parseFloat(value); i++; break
+            case "--place": options.place = parseFloat(value); i++; break
+            case "--json": options.json = true; break
+            case "--report": options.report = parseFloat(value); i++; break
+            case "--max-latency": options.maxLatency = parseFloat(value); i++; break
+            case "--max-cpu": options.maxCpu = parseFloat(value); i++; break
+            case "--help":
+            case "-h":
+                console.log(HELP)
+                process.exit(0)
+            default:
+                console.error(`Opcion desconocida: ${arg}\n\n${HELP}`)
+                process.exit(1)
+        }
+    }
+
+    const numbers = [options.bots, options.duration, options.roomSize, options.ramp, options.chat, options.place, options.report]
+    if (numbers.some((n) => !Number.isFinite(n) || n < 0) || options.bots < 1 || options.roomSize < 2 || options.report <= 0) {
+        console.error(`Opciones invalidas\n\n${HELP}`)
+        process.exit(1)
+    }
+    return options
+}
+
+/**
+ * Counters shared by all the bots; takeWindow() returns the ones since the last call
+ */
+class LoadTestStats {
+    constructor() {
+        this.connected = 0
+        this.disconnects = 0
+        this.kicked = 0
+        this.errors = 0
+        this.roomErrors = 0
+        this.logLines = 0
+
+        this.startMeasuring()
+    }
+
+    // Starts the window and the totals from zero (the ramp up is not representative)
+    startMeasuring() {
+        this.resetWindow()
+        this.totals = { messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0, pings: [], acks: [], server: [] }
+        this.startTime = Date.now()
+    }
+
+    resetWindow() {
+        this.messagesIn = 0
+        this.messagesOut = 0
+        this.bytesIn = 0
+        this.bytesOut = 0
+        this.pings = [] // Round trip (ms)
+        this.acks = [] // Input sent -> playerState (ms)
+        this.server = [] // Stats from the forked server (one per second)
+        this.windowStart = Date.now()
+    }
+
+    // Bot events (capped so a mass disconnect doesn't flood the terminal)
+    log(line) {
+        this.logLines++
+        if (this.logLines <= 20) console.log(`  ! ${line}`)
+        else if (this.logLines === 21) console.log("  ! (mas avisos omitidos)")
+    }
+
+    takeWindow() {
+        const window = {
+            seconds: (Date.now() - this.windowStart) / 1000,
+            messagesIn: this.messagesIn,
+            messagesOut: this.messagesOut,
+            bytesIn: this.bytesIn,
+            bytesOut: this.bytesOut,
+            pings: this.pings,
+            acks: this.acks,
+            server: this.server,
+        }
+
+        this.totals.messagesIn += this.messagesIn
+        this.totals.messagesOut += this.messagesOut
+        this.totals.bytesIn += this.bytesIn
+        this.totals.bytesOut += this.bytesOut
+        this.totals.pings.push(...this.pings)
+        this.totals.acks.push(...this.acks)
+        this.totals.server.push(...this.server)
+
+        this.resetWindow()
+        return window
+    }
+
+    takeTotals() {
+        this.takeWindow()
+        return { seconds: (Date.now() - this.startTime) / 1000, ...this.totals }
+    }
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
+}
+
+function summarizeLatency(samples) {
+    const sorted = [...samples].sort((a, b) => a - b)
+    return {
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        p99: percentile(sorted, 0.99),
+        max: sorted.length ? sorted[sorted.length - 1] : NaN,
+    }
+}
+
+function summarizeServer(samples) {
+    if (samples.length === 0) return null
+    const average = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length
+    const max = (key) => Math.max(...samples.map((s) => s[key]))
+    return {
+        cpuAvg: average("cpu"),
+        cpuMax: max("cpu"),
+        rssMax: max("rss"),
+        tickAvg: average("tickAvg"),
+        tickMax: max("tickMax"),
+    }
+}
+
+function formatLatency(latency) {
+    const ms = (v) => Number.isFinite(v) ? `${Math.round(v)}` : "-"
+    return `p50 ${ms(latency.p50)} / p95 ${ms(latency.p95)} / p99 ${ms(latency.p99)} / max ${ms(latency.max)} ms`
+}
+
+function formatReport(window, stats, bots) {
+    const perSecond = (v) => (v / window.seconds).toFixed(0)
+    const kbPerSecond = (v) => (v / 1024 / window.seconds).toFixed(1)
+    const lines = [
+        `  bots        ${stats.connected}/${bots} conectados, ${stats.disconnects} desconexiones, ${stats.kicked} expulsados, ${stats.errors} errores`,
+        `  ping        ${formatLatency(summarizeLatency(window.pings))}`,
+        `  input ack   ${formatLatency(summarizeLatency(window.acks))}`,
+        `  mensajes/s  in ${perSecond(window.messagesIn)}  out ${perSecond(window.messagesOut)}`,
+        `  KB/s        in ${kbPerSecond(window.bytesIn)}  out ${kbPerSecond(window.bytesOut)}` +
+            `  (por bot: in ${kbPerSecond(window.bytesIn / Math.max(stats.connected, 1))})`,
+    ]
+
+    const server = summarizeServer(window.server)
+    if (server) {
+        lines.push(
+            `  servidor    CPU ${server.cpuAvg.toFixed(0)}% (max ${server.cpuMax.toFixed(0)}%)` +
+            `  RSS ${(server.rssMax / 1024 / 1024).toFixed(0)} MB` +
+            `  tick ${server.tickAvg.toFixed(2)} ms (max ${server.tickMax.toFixed(1)} ms)`
+        )
+    }
+    return lines.join("\n")
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer()
+        probe.on("error", reject)
+        probe.listen(0, () => {
+            const port = probe.address().port
+            probe.close(() => resolve(port))
+        })
+    })
+}
+
+/**
+ * Forks websocket-server.js with throwaway data files; resolves once it listens
+ */
+async function startServer(stats, options) {
+    const port = await getFreePort()
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "loadtest-"))
+    const logPath = path.join(dataDir, "server.log")
+    const log = fs.openSync(logPath, "a")
+
+    const child = fork(fileURLToPath(new URL("./websocket-server.js", import.meta.url)), [], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            MAX_PLAYERS_PER_ROOM: String(options.roomSize),
+            PROFILE_STORE: path.join(dataDir, "profiles.json"),
+            BAN_LIST: path.join(dataDir, "bans.json"),
+            AUDIT_LOG: path.join(dataDir, "audit.log"),
+            WORLD_STORE: path.join(dataDir, "world.json"),
+            RESUME_GRACE_MS: "1000", // Bots don't resume: free their slots right away
+            ADMIN_CONSOLE: "0",
+        },
+        stdio: ["ignore", log, log, "ipc"],
+    })
+    child.on("message", (message) => {
+        if (message.type === "stats") stats.server.push(message)
+    })
+
+    await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error(`Server did not start, see ${logPath}`)), 15000)
+        const check = setInterval(() => {
+            if (fs.readFileSync(logPath, "utf8").includes("WebSocket server is running")) {
+                clearTimeout(timeout)
+                clearInterval(check)
+                resolve()
+            }
+        }, 100)
+        child.on("exit", (code) => {
+            clearTimeout(timeout)
+            clearInterval(check)
+            reject(new Error(`Server exited (${code}), see ${logPath}`))
+        })
+    })
+
+    console.log(`Servidor propio en el puerto ${port} (log: ${logPath})`)
+    return { child, url: `ws://localhost:${port}` }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2))
+    const stats = new LoadTestStats()
+
+    let server = null
+    let url = options.url
+    if (!url) {
+        server = await startServer(stats, options)
+        url = server.url
+    }
+
+    const bots = []
+    console.log(`Conectando ${options.bots} bots a ${url} (${options.roomSize} por sala, ${options.json ? "JSON" : "binario"})...`)
+    for (let i = 0; i < options.bots; i++) {
+        const bot = new LoadTestBot({
+            url: url,
+            name: `Bot${String(i + 1).padStart(3, "0")}`,
+            room: `loadtest-${Math.floor(i / options.roomSize) + 1}`,
+            maxPlayers: options.roomSize,
+            useBinary: !options.json,
+            chatInterval: options.chat * 1000,
+            placeInterval: options.place * 1000,
+        }, stats)
+        bot.connect()
+        bots.push(bot)
+        await wait(options.ramp)
+    }
+
+    stats.startMeasuring()
+    let stopping = false
+
+    const finish = () => {
+        if (stopping) return
+        stopping = true
+        clearInterval(reportTimer)
+
+        const totals = stats.takeTotals()
+        console.log(`\nResultado (${totals.seconds.toFixed(0)} s, ${options.bots} bots)`)
+        console.log(formatReport(totals, stats, options.bots))
+
+        // Regression thresholds for the release check
+        const failures = []
+        const ping = summarizeLatency(totals.pings)
+        const serverSummary = summarizeServer(totals.server)
+        if (options.maxLatency !== null && !(ping.p95 <= options.maxLatency)) {
+            failures.push(`p95 de ping ${Math.round(ping.p95)} ms > ${options.maxLatency} ms`)
+        }
+        if (options.maxCpu !== null && serverSummary && serverSummary.cpuAvg > options.maxCpu) {
+            failures.push(`CPU media del servidor ${serverSummary.cpuAvg.toFixed(0)}% > ${options.maxCpu}%`)
+        }
+        if (stats.kicked > 0) failures.push(`${stats.kicked} bots expulsados por el servidor`)
+        failures.forEach((failure) => console.log(`FALLO: ${failure}`))
+
+        bots.forEach((bot) => bot.stop())
+        if (server) server.child.kill()
+        setTimeout(() => process.exit(failures.length > 0 ? 1 : 0), 200)
+    }
+
+    const reportTimer = setInterval(() => {
+        const elapsed = (Date.now() - stats.startTime) / 1000
+        console.log(`\n[${elapsed.toFixed(0)} s]`)
+        console.log(formatReport(stats.takeWindow(), stats, options.bots))
+    }, options.report * 1000)
+
+    setTimeout(finish, options.duration * 1000)
+    process.on("SIGINT", finish)
+}
+
+main().catch((error) => {
+    console.error(error)
+    process.exit(1)
+})
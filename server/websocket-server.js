@@ -2,35 +2,255 @@
 // Run with: node scripts/websocket-server.js
 
 import { WebSocketServer } from "ws"
+import { fileURLToPath } from "url"
+import RAPIER from "@dimforge/rapier3d-compat"
+import { Room } from "./Room.js"
+import { ProfileStore } from "./ProfileStore.js"
+import { MessageValidator } from "./MessageValidator.js"
+import { ConnectionGuard } from "./ConnectionGuard.js"
+import { BanList } from "./BanList.js"
+import { AuditLog } from "./AuditLog.js"
+import { AdminConsole } from "./AdminConsole.js"
+import { CommandRegistry } from "./CommandRegistry.js"
+import { WorldStore } from "./WorldStore.js"
+import { ChatFilter } from "./ChatFilter.js"
+import { ItemRegistry } from "../js/item/ItemRegistry.js"
+import { RECIPES } from "../js/item/CraftingManager.js"
+import { NetworkProtocol, MessageType, SnapshotEncoder } from "../js/NetworkProtocol.js"
 
 const PORT = process.env.PORT || 8080
+const MAX_PLAYERS_PER_ROOM = parseInt(process.env.MAX_PLAYERS_PER_ROOM) || 16
+const DEFAULT_ROOM = "lobby"
+const AOI_CELL_SIZE = parseFloat(process.env.AOI_CELL_SIZE) || 25 // Interest grid cell (world units)
+const PROFILE_STORE_PATH = process.env.PROFILE_STORE || fileURLToPath(new URL("./data/profiles.json", import.meta.url))
+const BAN_LIST_PATH = process.env.BAN_LIST || fileURLToPath(new URL("./data/bans.json", import.meta.url))
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG || fileURLToPath(new URL("./data/audit.log", import.meta.url))
+const WORLD_STORE_PATH = process.env.WORLD_STORE || fileURLToPath(new URL("./data/world.json", import.meta.url))
+const CHAT_FILTER_PATH = process.env.CHAT_FILTER || fileURLToPath(new URL("./data/chat-filter.json", import.meta.url))
+const WORLD_SAVE_INTERVAL = (parseFloat(process.env.WORLD_SAVE_INTERVAL) || 60) * 1000 // Periodic save (also on SIGTERM)
+const MAX_DROP_DISTANCE = 8 // Throw origin vs server position (prediction runs a bit ahead)
+const MAX_PICKUP_DISTANCE = 6 // Client pickup range (3) + bounce/latency slack
+const RESUME_GRACE_MS = parseInt(process.env.RESUME_GRACE_MS) || 30000 // Time a dropped player keeps its slot
+const MAX_PLAYER_DATA = 16384 // Client state kept for resumes and restarts (inventory, fuego), serialized size
+const MAX_INVENTORY_SLOTS = 36 // Per area of playerData (hotbar, backpack)
+const MAX_MESSAGE_SIZE = 64 * 1024 // Bigger frames close the connection (ws maxPayload)
+const TICK_RATE = parseInt(process.env.TICK_RATE) || 30 // Simulation + snapshot rate (Hz)
+const TICK_DT = 1 / TICK_RATE
+const MAX_SHOOT_DISTANCE = 10 // Projectile origin vs server position (third person camera is behind the player)
+const MAX_PROJECTILE_SPEED = 100
+const PROXIMITY_CHAT_RADIUS = parseFloat(process.env.PROXIMITY_CHAT_RADIUS) || 20 // World units
+const CHAT_CHANNELS = ["room", "team", "proximity", "whisper"]
+// Same place as the client FarmingZone (Game constructor)
+const FARMING_ZONES = [{ position: { x: -5, y: 0.1, z: 10 } }]
+// Same patrol as the single player NPCRapier (Game constructor)
+const NPCS = [
+    {
+        name: "Patrulla",
+        position: { x: 0, y: 0, z: -15 },
+        path: [{ x: 0, y: 0, z: -15 }, { x: 5, y: 0, z: -15 }, { x: 5, y: 0, z: -10 }, { x: 0, y: 0, z: -10 }],
+    },
+]
 
-const wss = new WebSocketServer({ port: PORT })
+// Authoritative physics (players move from inputs, not from sent positions)
+await RAPIER.init()
 
-// Store connected players
-const players = new Map()
+const wss = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_SIZE })
+
+// Names and colors remembered between sessions (by persistent token)
+const profiles = new ProfileStore(PROFILE_STORE_PATH)
+const bans = new BanList(BAN_LIST_PATH)
+
+// Placed objects, farming zones and inventories from the last run
+const worldStore = new WorldStore(WORLD_STORE_PATH)
+
+// Words masked in every chat channel (admins edit the list with /filter)
+const chatFilter = new ChatFilter(CHAT_FILTER_PATH)
+
+// Players that dropped while in a room, waiting for a reconnect with their resume token
+const suspendedSessions = new Map() // Map<resumeToken, { ws, timer }>
+
+// Rooms (each one with its own players and simulation)
+const rooms = new Map()
+createRoom(DEFAULT_ROOM, MAX_PLAYERS_PER_ROOM, { persistent: true })
 
 // Generate unique player ID
 function generatePlayerId() {
     return "player_" + Math.random().toString(36).substring(2, 9)
 }
 
-// Broadcast message to all players except sender
-function broadcast(message, excludeId = null) {
-    const messageStr = JSON.stringify(message)
-    wss.clients.forEach((client) => {
-        if (client.readyState === 1) {
-            // WebSocket.OPEN
-            const clientId = client.playerId
-            if (clientId !== excludeId) {
-                client.send(messageStr)
+// Short numeric id used in binary snapshots (1..65535)
+let lastNetId = 0
+function generateNetId() {
+    lastNetId = (lastNetId % 65535) + 1
+    return lastNetId
+}
+
+// Public player data (without the physics motor)
+function serializePlayer(player) {
+    return {
+        id: player.id,
+        netId: player.netId,
+        name: player.name,
+        color: player.color,
+        position: player.position,
+        rotation: player.rotation,
+        animation: player.animation,
+    }
+}
+
+function readVector(v, limit) {
+    if (!v || !Number.isFinite(v.x) || !Number.isFinite(v.y) || !Number.isFinite(v.z)) return null
+    if (Math.abs(v.x) > limit || Math.abs(v.y) > limit || Math.abs(v.z) > limit) return null
+    return { x: v.x, y: v.y, z: v.z }
+}
+
+const MAP_OBJECT_TYPES = ["wall", "pillar", "ramp", "stairs"]
+
+// Validate a placeObject request; returns the clean data or null
+function readPlacement(data) {
+    if (!data) return null
+    const position = readVector(data.position, 1000)
+    if (!position) return null
+
+    switch (data.kind) {
+        case "impulsePad": {
+            const direction = readVector(data.direction, 1)
+            const strength = Number(data.strength)
+            if (!direction || (direction.x === 0 && direction.y === 0 && direction.z === 0)) return null
+            if (!Number.isFinite(strength)) return null
+            return {
+                kind: "impulsePad",
+                position: position,
+                direction: direction,
+                strength: Math.min(Math.max(strength, 0), 50),
+            }
+        }
+
+        case "turret":
+            return { kind: "turret", position: position }
+
+        case "mapObject": {
+            const scale = readVector(data.scale, 50)
+            const rotation = readVector(data.rotation, Math.PI * 2)
+            if (!MAP_OBJECT_TYPES.includes(data.mapObjectType) || !scale || !rotation) return null
+            if (scale.x < 0.1 || scale.y < 0.1 || scale.z < 0.1) return null
+            return {
+                kind: "mapObject",
+                mapObjectType: data.mapObjectType,
+                color: Number.isInteger(data.color) ? data.color & 0xFFFFFF : 0xFFFFFF,
+                scale: scale,
+                position: position,
+                rotation: rotation,
             }
         }
+    }
+    return null
+}
+
+// An item from ItemRegistry.serialize, rebuilt from the catalog definition of its id:
+// names, icons and stats never come from the client, only count (up to maxStack), charges and durability
+function readItem(item) {
+    if (!item || typeof item !== "object") return null
+    if (item.count !== undefined && !(Number.isInteger(item.count) && item.count > 0)) return null
+    return ItemRegistry.sanitize(item)
+}
+
+// Client inventory from playerData, every slot through readItem. Fuego is not the client's to say:
+// the server spawns it and approves the pickups, so the stored count is used instead
+function readPlayerData(data, fuegoCount) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.inventory)) return null
+    const readSlots = (slots) => (Array.isArray(slots) ? slots.slice(0, MAX_INVENTORY_SLOTS).map((item) => readItem(item)) : [])
+    return {
+        inventory: readSlots(data.inventory),
+        backpack: readSlots(data.backpack),
+        selectedSlot: Number.isInteger(data.selectedSlot) && data.selectedSlot >= 0 && data.selectedSlot < MAX_INVENTORY_SLOTS ? data.selectedSlot : 0,
+        fuegoCount: fuegoCount,
+    }
+}
+
+function distance(a, b) {
+    const dx = a.x - b.x
+    const dy = a.y - b.y
+    const dz = a.z - b.z
+    return Math.sqrt(dx * dx + dy * dy + dz * dz)
+}
+
+// Display names: 3-16 chars, letters (any language), numbers, spaces, - and _
+function readName(name) {
+    if (typeof name !== "string") return null
+    const trimmed = name.trim().replace(/\s+/g, " ")
+    if (!/^[\p{L}\p{N}_\- ]{3,16}$/u.test(trimmed)) return null
+    return trimmed
+}
+
+// Team names: 1-16 chars, same characters as player names
+function readTeam(team) {
+    if (typeof team !== "string") return null
+    const trimmed = team.trim().replace(/\s+/g, " ")
+    if (!/^[\p{L}\p{N}_\- ]{1,16}$/u.test(trimmed)) return null
+    return trimmed
+}
+
+function readColor(color) {
+    if (!Number.isInteger(color) || color < 0 || color > 0xFFFFFF) return null
+    return color
+}
+
+const PLAYER_COLORS = [0x4488ff, 0xff4444, 0x44ff44, 0xffff44, 0xff44ff, 0x44ffff, 0xff8844, 0x8844ff]
+
+// Names are unique among connected players: "Ana" -> "Ana2", "Ana3"...
+function uniqueName(name, ws) {
+    const taken = new Set()
+    wss.clients.forEach((client) => {
+        if (client !== ws && client.profile) taken.add(client.profile.name.toLowerCase())
     })
+    // Suspended players get their name back when they resume
+    suspendedSessions.forEach((session) => taken.add(session.ws.profile.name.toLowerCase()))
+    if (!taken.has(name.toLowerCase())) return name
+
+    for (let i = 2; ; i++) {
+        const suffix = String(i)
+        const candidate = name.slice(0, 16 - suffix.length) + suffix
+        if (!taken.has(candidate.toLowerCase())) return candidate
+    }
+}
+
+// Room names: 1-24 chars, letters, numbers, spaces, - and _
+function sanitizeRoomName(name) {
+    if (typeof name !== "string") return null
+    const trimmed = name.trim()
+    if (!/^[\w\- ]{1,24}$/.test(trimmed)) return null
+    return trimmed
+}
+
+function getFuegoCount(token) {
+    const data = worldStore.getPlayerData(token)
+    return data && Number.isInteger(data.fuegoCount) ? data.fuegoCount : 0
+}
+
+// Room copy (session resumes) and WorldStore copy (next sessions, restarts)
+function setPlayerData(ws, player, data) {
+    player.data = data
+    worldStore.setPlayerData(ws.token, data)
+}
+
+function setFuegoCount(ws, player, count) {
+    worldStore.setFuegoCount(ws.token, count)
+    if (player && player.data) player.data = { ...player.data, fuegoCount: count }
+}
+
+function getRoomList() {
+    return Array.from(rooms.values()).map((room) => room.getSummary())
+}
+
+function send(ws, message) {
+    if (ws.readyState === 1) {
+        ws.send(JSON.stringify(message))
+    }
 }
 
-// Broadcast to all players including sender
-function broadcastAll(message) {
+// Send to every connected client, in a room or not (lobby browser updates)
+function broadcastGlobal(message) {
     const messageStr = JSON.stringify(message)
     wss.clients.forEach((client) => {
         if (client.readyState === 1) {
@@ -39,112 +259,741 @@ function broadcastAll(message) {
     })
 }
 
-console.log(`WebSocket server starting on port ${PORT}...`)
+function broadcastRoomList() {
+    broadcastGlobal({ type: "roomList", rooms: getRoomList() })
+}
 
-wss.on("connection", (ws) => {
-    // Assign player ID
-    const playerId = generatePlayerId()
-    ws.playerId = playerId
+function createRoom(name, maxPlayers, options = {}) {
+    maxPlayers = Math.min(Math.max(parseInt(maxPlayers) || MAX_PLAYERS_PER_ROOM, 2), 64)
+    const room = new Room(name, {
+        maxPlayers: maxPlayers,
+        interest: { cellSize: AOI_CELL_SIZE },
+        farmingZones: FARMING_ZONES,
+        npcs: NPCS,
+        onViolation: (playerId, reason) => {
+            const client = room.sockets.get(playerId)
+            if (client) reportViolation(client, reason)
+        },
+        ...options,
+    })
+
+    const saved = worldStore.takeRoom(name)
+    if (saved) {
+        room.restore(saved)
+        console.log(`Room "${name}" restored (${room.placedObjects.size} objects)`)
+    }
+
+    rooms.set(name, room)
+    return room
+}
+
+function joinRoom(ws, room) {
+    if (ws.room === room) return
+    if (room.isFull()) {
+        send(ws, { type: "roomError", message: `La sala "${room.name}" esta llena (${room.maxPlayers})` })
+        return
+    }
+    if (ws.room) leaveRoom(ws)
+
+    const playerId = ws.playerId
 
     // Initial spawn position
     const spawnPosition = {
         x: Math.random() * 10 - 5,
-        y: 0,
+        y: 1,
         z: Math.random() * 10 - 5,
     }
 
-    // Store player data
-    players.set(playerId, {
+    const player = {
         id: playerId,
+        netId: ws.netId,
+        name: ws.profile.name,
+        color: ws.profile.color,
         position: spawnPosition,
         rotation: 0,
         animation: "Idle",
-    })
+        motor: null, // Created by the room simulation
+        lastInputSeq: 0, // Last input sequence number simulated (acked back to the client)
+        data: worldStore.getPlayerData(ws.token), // Client state from playerData, returned when the session is resumed
+    }
 
-    console.log(`Player connected: ${playerId} (Total: ${players.size})`)
+    // Existing players, before adding ourselves
+    const existingPlayers = Array.from(room.players.values()).map(serializePlayer)
 
-    // Send welcome message with player ID
-    ws.send(
-        JSON.stringify({
-            type: "welcome",
-            playerId: playerId,
-        }),
-    )
+    room.addPlayer(ws, player)
+    ws.room = room
+    ws.snapshots.reset() // Client resets its decoder on roomJoined
 
-    // Send current game state (all existing players)
-    const existingPlayers = Array.from(players.values()).filter((p) => p.id !== playerId)
-    if (existingPlayers.length > 0) {
-        ws.send(
-            JSON.stringify({
-                type: "gameState",
-                players: existingPlayers,
-            }),
-        )
-    }
+    console.log(`Player ${playerId} joined room "${room.name}" (${room.players.size}/${room.maxPlayers})`)
+
+    send(ws, {
+        type: "roomJoined",
+        room: room.name,
+        maxPlayers: room.maxPlayers,
+        position: spawnPosition,
+    })
+
+    // Send current game state (room roster, placed objects and items on the ground).
+    // Remote players are only created from playerEnter, for the ones in our area of interest
+    send(ws, {
+        type: "gameState",
+        time: Date.now(),
+        players: existingPlayers,
+        objects: room.getPlacedObjects(),
+        drops: room.getDrops(),
+        farmingZones: room.getFarmingZones(),
+    })
+
+    // What was said in the room before we came in
+    send(ws, { type: "chatHistory", room: room.name, messages: room.getChatHistory() })
 
     // Notify other players about new player
-    broadcast(
+    room.broadcast(
         {
             type: "playerJoined",
             playerId: playerId,
+            netId: ws.netId,
+            name: ws.profile.name,
+            color: ws.profile.color,
+            time: Date.now(),
             position: spawnPosition,
             rotation: 0,
         },
         playerId,
     )
 
+    // Who sees the new player, and who it sees
+    room.updateInterest(player, Date.now())
+
+    broadcastRoomList()
+}
+
+function leaveRoom(ws) {
+    const room = ws.room
+    if (!room) return
+
+    room.removePlayer(ws.playerId)
+    ws.room = null
+
+    console.log(`Player ${ws.playerId} left room "${room.name}" (${room.players.size}/${room.maxPlayers})`)
+
+    // Notify other players
+    room.broadcast({
+        type: "playerLeft",
+        playerId: ws.playerId,
+    })
+
+    send(ws, { type: "roomLeft", room: room.name })
+
+    if (room.isEmpty() && !room.persistent) {
+        // Its objects and farming zones come back when someone creates it again (restarts included)
+        worldStore.keepRoom(room)
+        rooms.delete(room.name)
+        console.log(`Room "${room.name}" closed`)
+    }
+
+    broadcastRoomList()
+}
+
+console.log(`WebSocket server starting on port ${PORT}...`)
+
+// Logged with the player id; too many in a short time and the client is kicked
+function reportViolation(ws, reason) {
+    const name = ws.profile ? ` "${ws.profile.name}"` : ""
+    console.warn(`[violation] ${ws.playerId}${name}: ${reason}`)
+    if (ws.guard.recordViolation()) kick(ws, "Demasiadas infracciones")
+}
+
+// Kicked players leave their room right away and can't resume the session
+function kick(ws, reason) {
+    if (ws.kicked) return
+    ws.kicked = true
+    console.warn(`[kick] ${ws.playerId}: ${reason}`)
+
+    send(ws, { type: "kicked", reason: reason })
+    leaveRoom(ws)
+    ws.close(4001, "kicked")
+}
+
+function findClientByName(name) {
+    if (typeof name !== "string") return null
+    const lower = name.trim().toLowerCase()
+    return Array.from(wss.clients).find((client) => client.profile && !client.kicked && client.profile.name.toLowerCase() === lower) || null
+}
+
+/**
+ * Who gets a chat line: the whole room, the sender's team in the room,
+ * the players within PROXIMITY_CHAT_RADIUS of the sender, or one player anywhere (whisper)
+ */
+function routeChat(ws, line, to) {
+    if (line.channel === "whisper") {
+        const target = findClientByName(to)
+        if (!target) {
+            notify(ws, `Jugador no encontrado: ${to || ""}`)
+            return
+        }
+        line.to = target.profile.name
+        send(target, line)
+        if (target !== ws) send(ws, line) // Echo, so the sender sees who it went to
+        return
+    }
+
+    const room = ws.room
+    if (!room) return
+
+    switch (line.channel) {
+        case "team":
+            if (!ws.team) {
+                notify(ws, "No estas en ningun equipo. Usa /team <nombre>")
+                return
+            }
+            line.team = ws.team
+            room.broadcastWhere(line, (player, client) => client.team === ws.team)
+            break
+
+        case "proximity": {
+            const sender = room.players.get(ws.playerId)
+            if (!sender) return
+            room.broadcastWhere(line, (player) => distance(player.position, sender.position) <= PROXIMITY_CHAT_RADIUS)
+            break
+        }
+
+        default:
+            room.addChatHistory(line)
+            room.broadcastAll(line)
+    }
+}
+
+// Server message shown in the player's chat
+function notify(ws, message) {
+    send(ws, { type: "systemMessage", message: message })
+}
+
+function announce(message) {
+    broadcastGlobal({ type: "systemMessage", message: message, announcement: true })
+}
+
+// Moves a player server side; its client snaps there (no prediction blending)
+function teleportPlayer(ws, position) {
+    const room = ws.room
+    const player = room && room.players.get(ws.playerId)
+    if (!player) return
+
+    room.teleportPlayer(player, position)
+    send(ws, { type: "teleport", position: player.position })
+}
+
+// Commands the client offers for /help and autocomplete (admin ones only once logged in)
+function sendCommands(ws) {
+    send(ws, { type: "commands", commands: commands.list(ws.isAdmin), isAdmin: !!ws.isAdmin })
+}
+
+// Slash commands from the chat (/help, /admin...); client-only ones (/give, /fly...) never get here
+const commands = new CommandRegistry()
+commands.register({
+    name: "help",
+    usage: "help [comando]",
+    description: "Comandos del servidor",
+    run: (context, args) => commands.help(context.isAdmin, args[0]),
+})
+
+// Admin commands: stdin REPL and chat (/admin <password>, only if ADMIN_PASSWORD is set)
+const adminConsole = new AdminConsole(
+    {
+        getClients: () => Array.from(wss.clients).filter((client) => client.profile && !client.kicked),
+        kick: kick,
+        teleport: teleportPlayer,
+        announce: announce,
+        notify: notify,
+        reportViolation: reportViolation,
+        sendCommands: sendCommands,
+    },
+    {
+        password: process.env.ADMIN_PASSWORD,
+        auditLog: new AuditLog(AUDIT_LOG_PATH),
+        bans: bans,
+        chatFilter: chatFilter,
+    },
+)
+adminConsole.registerCommands(commands)
+if (process.stdin.isTTY || process.env.ADMIN_CONSOLE === "1") adminConsole.startRepl()
+
+// Connection lost while in a room: the player stays (frozen) until it resumes or the grace period ends
+function suspendSession(ws) {
+    const timer = setTimeout(() => {
+        suspendedSessions.delete(ws.resumeToken)
+        console.log(`Session of ${ws.playerId} expired`)
+        leaveRoom(ws)
+    }, RESUME_GRACE_MS)
+
+    suspendedSessions.set(ws.resumeToken, { ws: ws, timer: timer })
+    console.log(`Player ${ws.playerId} suspended in room "${ws.room.name}" (${RESUME_GRACE_MS / 1000}s to resume)`)
+}
+
+/**
+ * Moves a suspended session to a new socket (same id, netId, profile and room slot)
+ * @returns {boolean} - false if the token is unknown or already expired
+ */
+function resumeSession(ws, resumeToken) {
+    const session = typeof resumeToken === "string" && suspendedSessions.get(resumeToken)
+    if (!session) return false
+
+    clearTimeout(session.timer)
+    suspendedSessions.delete(resumeToken)
+
+    const previous = session.ws
+    const room = previous.room
+    previous.room = null
+    if (!room || !room.reattachPlayer(previous.playerId, ws)) return false
+
+    ws.playerId = previous.playerId
+    ws.netId = previous.netId
+    ws.token = previous.token
+    ws.profile = previous.profile
+    ws.isAdmin = previous.isAdmin
+    ws.mutedUntil = previous.mutedUntil
+    ws.team = previous.team
+    ws.resumeToken = resumeToken
+    ws.room = room
+    ws.snapshots.reset() // Client resets its decoder on roomJoined
+    return true
+}
+
+// Puts a resumed client back in its room where the player was left
+function resumeRoom(ws) {
+    const room = ws.room
+    const player = room.players.get(ws.playerId)
+    const time = Date.now()
+
+    send(ws, {
+        type: "roomJoined",
+        room: room.name,
+        maxPlayers: room.maxPlayers,
+        position: player.position,
+        resumed: true,
+        inputSeq: player.lastInputSeq, // The client continues its input sequence after this one
+        data: player.data || null,
+    })
+
+    // The new socket knows nothing about the players around: playerEnter again
+    room.resyncInterest(player, time)
+
+    const others = Array.from(room.players.values()).filter((other) => other !== player)
+    send(ws, {
+        type: "gameState",
+        time: time,
+        players: others.map(serializePlayer),
+        visible: Array.from(player.visible.keys()), // Remote players kept by the client but not listed here are gone
+        objects: room.getPlacedObjects(),
+        drops: room.getDrops(),
+        farmingZones: room.getFarmingZones(),
+    })
+}
+
+wss.on("connection", (ws, req) => {
+    // Assign player ID (replaced by the previous one if the session is resumed)
+    let playerId = generatePlayerId()
+    ws.playerId = playerId
+    ws.netId = generateNetId()
+    ws.room = null
+    ws.profile = null // Set by the hello handshake
+
+    // Binary protocol by default, ?protocol=json keeps everything in JSON (debug)
+    const url = new URL(req.url, "http://localhost")
+    ws.useBinary = url.searchParams.get("protocol") !== "json"
+    ws.snapshots = new SnapshotEncoder()
+    ws.guard = new ConnectionGuard() // Rate limits and violation count
+    ws.kicked = false
+    ws.isAdmin = false // Logged in with /admin
+    ws.mutedUntil = 0
+    ws.team = null // Set with /team, for the team chat channel
+
+    console.log(`Player connected: ${playerId} (Total: ${wss.clients.size})`)
+
+    // Rooms to choose from; welcome (player ID + profile) comes after the hello handshake
+    send(ws, { type: "roomList", rooms: getRoomList() })
+
     // Handle incoming messages
-    ws.on("message", (data) => {
+    ws.on("message", (data, isBinary) => {
+        if (ws.kicked) return
+
+        let message
+        try {
+            if (isBinary) {
+                if (NetworkProtocol.getType(data) !== MessageType.PLAYER_INPUT) {
+                    reportViolation(ws, "unknown binary message")
+                    return
+                }
+                message = NetworkProtocol.decodeInput(data)
+            } else {
+                message = JSON.parse(data)
+            }
+        } catch (error) {
+            reportViolation(ws, "malformed message")
+            return
+        }
+
+        // Schema per type, then the rate for that type (admins are trusted with bursts of commands)
+        const invalid = MessageValidator.validate(message)
+        if (invalid) {
+            reportViolation(ws, invalid)
+            return
+        }
+        if (!ws.isAdmin && !ws.guard.allow(message.type)) {
+            reportViolation(ws, `rate limit exceeded for "${message.type}"`)
+            return
+        }
+
         try {
-            const message = JSON.parse(data)
+            // Everything but browsing rooms needs the handshake first
+            if (!ws.profile && message.type !== "hello" && message.type !== "listRooms") {
+                reportViolation(ws, `"${message.type}" before hello`)
+                return
+            }
 
             switch (message.type) {
-                case "playerUpdate":
-                    // Update player state
-                    const player = players.get(playerId)
-                    if (player) {
-                        player.position = message.position
-                        player.rotation = message.rotation
-                        player.animation = message.animation
-                    }
-
-                    // Broadcast to other players
-                    broadcast(
-                        {
-                            type: "playerUpdate",
+                case "hello": {
+                    if (ws.profile) break
+
+                    const ban = bans.get(message.token)
+                    if (ban) {
+                        kick(ws, `Baneado: ${ban.reason}`)
+                        break
+                    }
+
+                    // Back from a dropped connection: same id and slot, nothing to redo
+                    if (resumeSession(ws, message.resumeToken)) {
+                        playerId = ws.playerId
+                        console.log(`Player ${playerId} resumed its session in room "${ws.room.name}"`)
+
+                        send(ws, {
+                            type: "welcome",
                             playerId: playerId,
-                            position: message.position,
-                            rotation: message.rotation,
-                            animation: message.animation,
-                        },
-                        playerId,
-                    )
+                            token: ws.token,
+                            name: ws.profile.name,
+                            color: ws.profile.color,
+                            resumeToken: ws.resumeToken,
+                            resumed: true,
+                        })
+                        sendCommands(ws)
+                        resumeRoom(ws)
+                        break
+                    }
+
+                    // Known token: remembered profile; otherwise a new identity
+                    let token = message.token
+                    const stored = profiles.get(token)
+                    if (!stored) token = profiles.generateToken()
+
+                    const name = readName(message.name) || (stored && stored.name) || "Jugador" + Math.floor(1000 + Math.random() * 9000)
+                    let color = readColor(message.color)
+                    if (color === null) color = stored ? stored.color : PLAYER_COLORS[Math.floor(Math.random() * PLAYER_COLORS.length)]
+
+                    // Store the requested name so it comes back next session if it's free
+                    profiles.set(token, { name: name, color: color })
+
+                    ws.token = token
+                    ws.resumeToken = profiles.generateToken() // Per session, unlike the profile token
+                    ws.profile = { name: uniqueName(name, ws), color: color }
+                    console.log(`Player ${playerId} is "${ws.profile.name}"`)
+
+                    send(ws, {
+                        type: "welcome",
+                        playerId: playerId,
+                        token: token,
+                        name: ws.profile.name,
+                        color: ws.profile.color,
+                        resumeToken: ws.resumeToken,
+                        data: worldStore.getPlayerData(token), // Inventory and fuego saved from earlier sessions
+                    })
+                    sendCommands(ws)
+                    break
+                }
+
+                case "listRooms":
+                    send(ws, { type: "roomList", rooms: getRoomList() })
+                    break
+
+                case "ping":
+                    send(ws, { type: "pong", id: message.id, time: message.time, serverTime: Date.now() })
+                    break
+
+                case "createRoom": {
+                    const name = sanitizeRoomName(message.name)
+                    if (!name) {
+                        send(ws, { type: "roomError", message: "Nombre de sala invalido" })
+                        break
+                    }
+                    if (rooms.has(name)) {
+                        send(ws, { type: "roomError", message: `La sala "${name}" ya existe` })
+                        break
+                    }
+
+                    const room = createRoom(name, message.maxPlayers)
+                    console.log(`Room "${name}" created by ${playerId} (max ${room.maxPlayers})`)
+
+                    joinRoom(ws, room)
+                    break
+                }
+
+                case "joinRoom": {
+                    // create: true joins or creates (used when connecting with a room name)
+                    const name = sanitizeRoomName(message.name)
+                    let room = name && rooms.get(name)
+                    if (!room && name && message.create) {
+                        room = createRoom(name, message.maxPlayers)
+                        console.log(`Room "${name}" created by ${playerId} (max ${room.maxPlayers})`)
+                    }
+                    if (!room) {
+                        send(ws, { type: "roomError", message: "La sala no existe" })
+                        break
+                    }
+                    joinRoom(ws, room)
+                    break
+                }
+
+                case "leaveRoom":
+                    leaveRoom(ws)
+                    break
+
+                case "playerInput": {
+                    const room = ws.room
+                    const player = room && room.players.get(playerId)
+                    if (!player) break
+                    if (Number.isInteger(message.ack)) ws.snapshots.acknowledge(message.ack)
+
+                    // Simulated on the next tick, together with everyone else (Room.tick)
+                    if (!room.queueInput(player, message)) reportViolation(ws, "too many inputs queued")
+                    break
+                }
+
+                case "playerData": {
+                    // Client side state (inventory) handed back on resume; fuego is counted here
+                    const player = ws.room && ws.room.players.get(playerId)
+                    if (!player || JSON.stringify(message.data).length > MAX_PLAYER_DATA) break
+                    const fuegoCount = getFuegoCount(ws.token)
+                    const data = readPlayerData(message.data, fuegoCount)
+                    if (!data) break
+
+                    setPlayerData(ws, player, data)
+                    if (message.data.fuegoCount !== fuegoCount) send(ws, { type: "fuegoCount", value: fuegoCount })
+                    break
+                }
+
+                case "craft": {
+                    // Fuego is counted here (farming drops, pickups), so it is spent here too.
+                    // Ingredients and unlocks are the client's inventory and progress, checked there
+                    const recipe = RECIPES.find((candidate) => candidate.id === message.recipeId)
+                    const fuegoCount = getFuegoCount(ws.token)
+                    const cost = recipe ? recipe.fuego || 0 : 0
+                    const reply = (ok, text, item = null) => {
+                        send(ws, { type: "craftResult", requestId: message.requestId, ok: ok, message: text, item: item, fuegoCount: getFuegoCount(ws.token) })
+                    }
+                    if (!recipe) {
+                        reply(false, "receta desconocida")
+                        break
+                    }
+                    if (fuegoCount < cost) {
+                        reply(false, `falta ${cost - fuegoCount} fuego`)
+                        break
+                    }
+
+                    setFuegoCount(ws, ws.room && ws.room.players.get(playerId), fuegoCount - cost)
+                    reply(true, "", recipe.output ? ItemRegistry.serialize(ItemRegistry.create(recipe.output.id, recipe.output.count)) : null)
                     break
+                }
 
-                case "chat":
-                    // Broadcast chat message
-                    broadcastAll({
+                case "shoot": {
+                    const room = ws.room
+                    const player = room && room.players.get(playerId)
+                    if (!player) break
+
+                    const origin = readVector(message.origin, 1000)
+                    const velocity = readVector(message.velocity, MAX_PROJECTILE_SPEED)
+                    if (!origin || !velocity || message.bulletDrop < 0 || message.bulletDrop > 5) {
+                        reportViolation(ws, "invalid projectile")
+                        break
+                    }
+                    if (distance(origin, player.position) > MAX_SHOOT_DISTANCE) {
+                        reportViolation(ws, "projectile fired away from the player")
+                        break
+                    }
+
+                    const projectile = room.addProjectile(playerId, origin, velocity, message.bulletDrop)
+                    if (!projectile) break
+
+                    // The shooter already has its own (spawned locally when firing)
+                    room.broadcast({ type: "projectileSpawned", projectile: room.serializeProjectile(projectile) }, playerId)
+                    break
+                }
+
+                case "placeObject": {
+                    if (!ws.room) break
+
+                    // The sender spent the item already: requestId tells it which placement to refund
+                    const requestId = Number.isInteger(message.requestId) ? message.requestId : null
+                    const data = readPlacement(message.object)
+                    if (!data) {
+                        console.warn(`Invalid placement from ${playerId}`)
+                        send(ws, { type: "placeRejected", requestId: requestId, message: "Colocacion no valida" })
+                        break
+                    }
+
+                    const object = ws.room.addPlacedObject(data, playerId)
+                    if (!object) {
+                        send(ws, { type: "placeRejected", requestId: requestId, message: "Limite de objetos en la sala alcanzado" })
+                        break
+                    }
+
+                    // Everyone (sender included) creates it from this message
+                    const placed = { type: "objectPlaced", object: ws.room.serializePlacedObject(object) }
+                    ws.room.broadcast(placed, playerId)
+                    send(ws, { ...placed, requestId: requestId })
+                    break
+                }
+
+                case "removeObject": {
+                    const room = ws.room
+                    const object = room && room.placedObjects.get(message.id)
+                    if (!object) break
+
+                    // Only the owner can remove it, unless the owner already left the room
+                    if (object.ownerId !== playerId && room.players.has(object.ownerId)) break
+
+                    room.removePlacedObject(object.id)
+                    room.broadcastAll({ type: "objectRemoved", id: object.id })
+                    break
+                }
+
+                case "dropItem": {
+                    const room = ws.room
+                    const player = room && room.players.get(playerId)
+                    if (!player) break
+
+                    const item = readItem(message.item)
+                    const position = readVector(message.position, 1000)
+                    const impulse = readVector(message.impulse, 5) || { x: 0, y: 0, z: 0 }
+                    const torque = readVector(message.torque, 1) || { x: 0, y: 0, z: 0 }
+                    if (!item) break
+
+                    // Must be thrown from where the server has the player; otherwise give it back
+                    const drop = position && distance(position, player.position) <= MAX_DROP_DISTANCE
+                        ? room.addDrop({ item, position, impulse, torque }, playerId)
+                        : null
+                    if (!drop) {
+                        send(ws, { type: "dropDenied", item: item })
+                        break
+                    }
+
+                    room.broadcastAll({ type: "itemDropped", drop: drop })
+                    break
+                }
+
+                case "pickupItem": {
+                    const room = ws.room
+                    const player = room && room.players.get(playerId)
+                    const drop = player && room.drops.get(message.id)
+                    if (!drop) {
+                        // Already taken by someone else (or never existed)
+                        send(ws, { type: "pickupDenied", id: message.id })
+                        break
+                    }
+
+                    if (distance(drop.position, player.position) > MAX_PICKUP_DISTANCE) {
+                        send(ws, { type: "pickupDenied", id: drop.id })
+                        break
+                    }
+
+                    // First request wins: the drop is gone for everyone else
+                    room.removeDrop(drop.id)
+                    if (drop.item.type === "fuego") setFuegoCount(ws, player, getFuegoCount(ws.token) + (drop.item.value || 1))
+                    room.broadcastAll({ type: "itemPickedUp", id: drop.id, playerId: playerId, item: drop.item })
+                    break
+                }
+
+                case "itemSettled": {
+                    // The thrower reports where its drop came to rest
+                    const room = ws.room
+                    const drop = room && room.drops.get(message.id)
+                    const position = readVector(message.position, 1000)
+                    if (!drop || drop.ownerId !== playerId || drop.settled || !position) break
+                    if (distance(position, drop.position) > 20) break
+
+                    drop.position = position
+                    drop.settled = true
+                    room.broadcast({ type: "itemSettled", id: drop.id, position: position }, playerId)
+                    break
+                }
+
+                case "chat": {
+                    const text = message.text.trim()
+                    if (!text) break
+
+                    // Commands (/help, /admin, /kick...) never reach the room
+                    if (text.startsWith("/")) {
+                        const reply = commands.execute({ ws: ws, actor: adminConsole.getActor(ws), isAdmin: !!ws.isAdmin }, text.slice(1))
+                        if (reply) notify(ws, reply)
+                        break
+                    }
+
+                    if (ws.mutedUntil > Date.now()) {
+                        notify(ws, "Estas silenciado")
+                        break
+                    }
+
+                    // Spammers are silenced for a while (longer each time); the line is dropped
+                    const spam = ws.guard.checkChatSpam(text)
+                    if (spam) {
+                        ws.mutedUntil = Date.now() + spam.seconds * 1000
+                        console.warn(`[spam] ${playerId}: ${spam.reason}, silenced ${spam.seconds}s`)
+                        notify(ws, `Silenciado ${spam.seconds} s por spam (${spam.reason})`)
+                        break
+                    }
+
+                    const channel = CHAT_CHANNELS.includes(message.channel) ? message.channel : "room"
+                    routeChat(ws, {
                         type: "chat",
+                        channel: channel,
                         playerId: playerId,
-                        message: message.text,
-                    })
+                        name: ws.profile.name,
+                        color: ws.profile.color,
+                        message: chatFilter.clean(text).text,
+                        time: Date.now(),
+                    }, message.to)
+                    break
+                }
+
+                case "setTeam": {
+                    // Teams are per session: only used for the team chat channel
+                    if (message.team === null) {
+                        ws.team = null
+                        notify(ws, "Has salido del equipo")
+                        break
+                    }
+
+                    const team = readTeam(message.team)
+                    if (!team) {
+                        notify(ws, "Nombre de equipo invalido (1-16 letras, numeros, espacios, - o _)")
+                        break
+                    }
+                    ws.team = team
+                    notify(ws, `Ahora estas en el equipo "${team}"`)
                     break
+                }
             }
         } catch (error) {
-            console.error("Error parsing message:", error)
+            console.error(`Error handling "${message.type}" from ${playerId}:`, error)
         }
     })
 
     // Handle disconnect
     ws.on("close", () => {
-        console.log(`Player disconnected: ${playerId} (Total: ${players.size - 1})`)
-        players.delete(playerId)
-
-        // Notify other players
-        broadcast({
-            type: "playerLeft",
-            playerId: playerId,
-        })
+        if (ws.room && ws.resumeToken && !ws.kicked) {
+            suspendSession(ws)
+        } else {
+            leaveRoom(ws)
+        }
+        console.log(`Player disconnected: ${playerId} (Total: ${wss.clients.size})`)
     })
 
     ws.on("error", (error) => {
@@ -152,6 +1001,84 @@ wss.on("connection", (ws) => {
     })
 })
 
+// Time spent per loop run (ms), for the load test stats
+const tickStats = {
+    count: 0,
+    total: 0,
+    max: 0,
+    record(ms) {
+        this.count++
+        this.total += ms
+        this.max = Math.max(this.max, ms)
+    },
+}
+
+// Fixed timestep loop: every room advances in steps of TICK_DT whatever the timer jitter
+let lastTickTime = performance.now()
+let tickAccumulator = 0
+setInterval(() => {
+    const now = performance.now()
+    tickAccumulator += Math.min((now - lastTickTime) / 1000, 0.25) // After a stall, don't try to catch up forever
+    lastTickTime = now
+
+    while (tickAccumulator >= TICK_DT) {
+        tickAccumulator -= TICK_DT
+        const time = Date.now()
+        rooms.forEach((room) => room.tick(TICK_DT, time))
+    }
+    tickStats.record(performance.now() - now)
+}, 1000 / TICK_RATE)
+
+// Started by server/load-test.js (fork): usage reported to the parent over IPC every second
+if (process.send) {
+    let lastCpu = process.cpuUsage()
+    let lastStatsTime = performance.now()
+    setInterval(() => {
+        const cpu = process.cpuUsage(lastCpu)
+        const now = performance.now()
+        process.send({
+            type: "stats",
+            cpu: ((cpu.user + cpu.system) / 1000) / (now - lastStatsTime) * 100, // % of one core
+            rss: process.memoryUsage().rss,
+            clients: wss.clients.size,
+            rooms: rooms.size,
+            tickAvg: tickStats.count ? tickStats.total / tickStats.count : 0,
+            tickMax: tickStats.max,
+        })
+        lastCpu = process.cpuUsage()
+        lastStatsTime = now
+        tickStats.count = 0
+        tickStats.total = 0
+        tickStats.max = 0
+    }, 1000)
+    process.on("disconnect", () => process.exit(0))
+}
+
+// World to disk now and then, so a crash loses at most one interval
+function saveWorld() {
+    worldStore.save(Array.from(rooms.values()))
+}
+setInterval(saveWorld, WORLD_SAVE_INTERVAL)
+
+// Graceful restart (SIGTERM from the process manager, Ctrl+C): warn the players, flush everything, close
+let shuttingDown = false
+function shutdown(signal) {
+    if (shuttingDown) return
+    shuttingDown = true
+    console.log(`${signal} received: saving the world and closing connections...`)
+
+    announce("El servidor se esta reiniciando, volvemos en unos segundos")
+    saveWorld()
+    profiles.save()
+
+    // 1012 = service restart: clients reconnect with their usual backoff
+    wss.clients.forEach((ws) => ws.close(1012, "Server restarting"))
+    wss.close(() => process.exit(0))
+    setTimeout(() => process.exit(0), 2000).unref() // Don't wait forever for slow sockets
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"))
+process.on("SIGINT", () => shutdown("SIGINT"))
+
 wss.on("listening", () => {
     console.log(`WebSocket server is running on ws://localhost:${PORT}`)
     console.log("Waiting for players to connect...")